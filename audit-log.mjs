@@ -0,0 +1,279 @@
+/**
+ * Mutation Policy & Audit Log
+ *
+ * Guard rails for mutate_graph, which runs caller-supplied write Cypher:
+ * - Policy: refuse deletes of protected labels (MUTATE_PROTECTED_LABELS) and
+ *   calls deleting more than MUTATE_MAX_NODES_DELETED nodes
+ * - Audit: every committed mutation appends an (:AuditEntry) in the same
+ *   transaction with caller, namespace, Cypher, params and counters
+ *
+ * AuditEntry and Revision nodes are append-only: mutate_graph refuses
+ * Cypher that names either label, and compares a digest of every such node
+ * before and after the statement, rolling back any call that changed one.
+ * Procedures outside an allowlist are refused, so nothing commits on its
+ * own or builds Cypher the static checks can't see.
+ */
+
+import neo4j from 'neo4j-driver';
+import { createHash, randomUUID } from 'crypto';
+import { ALLOWED_PROCEDURES, procedureViolation, stripCypherLiterals } from './cypher-guard.mjs';
+import { REVISION_LABEL } from './revision-extension.mjs';
+
+export const AUDIT_LABEL = 'AuditEntry';
+
+const APPEND_ONLY_LABELS = [AUDIT_LABEL, REVISION_LABEL];
+
+// Procedures mutate_graph may CALL: the query_graph allowlist plus
+// MUTATE_GRAPH_ALLOWED_PROCEDURES. Procedures that commit on their own
+// (apoc.periodic.*) escape dry-run, policy and audit; keep them off it.
+export const MUTATE_ALLOWED_PROCEDURES = new Set([
+  ...ALLOWED_PROCEDURES,
+  ...(process.env.MUTATE_GRAPH_ALLOWED_PROCEDURES || '').split(',').map(p => p.trim().toLowerCase()).filter(Boolean),
+]);
+
+export const DEFAULT_MUTATION_POLICY = {
+  protectedLabels: [
+    ...new Set([
+      ...(process.env.MUTATE_PROTECTED_LABELS ?? 'Event')
+        .split(',').map(label => label.trim()).filter(Boolean),
+      ...APPEND_ONLY_LABELS,
+    ]),
+  ],
+  maxNodesDeleted: process.env.MUTATE_MAX_NODES_DELETED
+    ? parseInt(process.env.MUTATE_MAX_NODES_DELETED, 10)
+    : 100,
+};
+
+// ============================================================================
+// POLICY
+// ============================================================================
+
+/**
+ * Static policy checks, before the statement runs. Returns a refusal
+ * ({ reason, clause, message }) or null.
+ */
+export function staticPolicyViolation(cypher) {
+  const code = stripCypherLiterals(cypher);
+  // Backtick-quoted names are labels too
+  const names = String(cypher || '')
+    .replace(/\/\/[^\n]*|\/\*[\s\S]*?\*\//g, ' ')
+    .replace(/'(?:\\.|[^'\\])*'|"(?:\\.|[^"\\])*"/g, "''")
+    .replace(/`/g, ' ');
+
+  for (const label of APPEND_ONLY_LABELS) {
+    if (new RegExp(`\\b${label}\\b`).test(names)) {
+      return {
+        reason: 'audit_log_protected',
+        clause: label,
+        message: `${label} nodes are append-only and cannot be touched by mutate_graph (read them with query_graph)`,
+      };
+    }
+  }
+
+  // Batched transactions commit on their own, outside dry-run and audit
+  if (/\bIN\s+(?:\d+\s+)?(?:CONCURRENT\s+)?TRANSACTIONS\b/i.test(code)) {
+    return {
+      reason: 'policy',
+      clause: 'IN TRANSACTIONS',
+      message: 'CALL { ... } IN TRANSACTIONS is not supported by mutate_graph (it cannot be dry-run or audited)',
+    };
+  }
+
+  return procedureViolation(cypher, MUTATE_ALLOWED_PROCEDURES, { tool: 'mutate_graph', setting: 'MUTATE_GRAPH_ALLOWED_PROCEDURES' });
+}
+
+// Stable text form of a property value for digests
+function digestValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(digestValue);
+  }
+  if (value !== null && typeof value === 'object') {
+    return `${value.constructor.name}:${value.toString()}`;
+  }
+  return value;
+}
+
+/**
+ * Count and order-independent digest of every AuditEntry and Revision node
+ * (element id, labels and properties), per label. Read inside the
+ * mutation's transaction before and after the statement; any difference
+ * means the statement touched the append-only log, however it matched it.
+ */
+export async function appendOnlyDigest(tx) {
+  const digests = {};
+  for (const label of APPEND_ONLY_LABELS) {
+    let count = 0;
+    let sum = 0n;
+    const result = await tx.run(`MATCH (n:${label}) RETURN elementId(n) AS id, labels(n) AS labels, properties(n) AS props`);
+    for (const record of result.records) {
+      const props = record.get('props');
+      const text = JSON.stringify([
+        record.get('id'),
+        [...record.get('labels')].sort(),
+        Object.keys(props).sort().map(key => [key, digestValue(props[key])]),
+      ]);
+      sum = (sum + BigInt(`0x${createHash('sha256').update(text).digest('hex')}`)) % (1n << 256n);
+      count += 1;
+    }
+    digests[label] = `${count}:${sum.toString(16)}`;
+  }
+  return digests;
+}
+
+/**
+ * Refusal when the append-only digests differ before and after a
+ * statement, or null.
+ */
+export function appendOnlyViolation(before, after) {
+  for (const label of APPEND_ONLY_LABELS) {
+    if (before[label] !== after[label]) {
+      return {
+        reason: 'audit_log_protected',
+        clause: label,
+        message: `${label} nodes are append-only; this statement created, changed or deleted one and was rolled back`,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Node counts for every protected label, read inside the mutation's
+ * transaction so before/after counts show what it deleted.
+ */
+export async function protectedLabelCounts(tx, policy = DEFAULT_MUTATION_POLICY) {
+  const labels = policy.protectedLabels.filter(label => /^\w+$/.test(label));
+  if (labels.length === 0) {
+    return {};
+  }
+
+  const result = await tx.run(
+    `RETURN {${labels.map(label => `\`${label}\`: COUNT { (:\`${label}\`) }`).join(', ')}} AS counts`
+  );
+  const counts = result.records[0].get('counts');
+  return Object.fromEntries(
+    Object.entries(counts).map(([label, count]) => [label, neo4j.integer.toNumber(count)])
+  );
+}
+
+/**
+ * Dynamic policy checks, after the statement ran but before commit.
+ * Returns a refusal ({ reason, clause, message }) or null.
+ */
+export function mutationPolicyViolation(counters, before, after, policy = DEFAULT_MUTATION_POLICY) {
+  for (const [label, count] of Object.entries(before)) {
+    const removed = count - (after[label] ?? 0);
+    if (removed > 0) {
+      return {
+        reason: 'protected_label',
+        clause: `:${label}`,
+        message: `Policy forbids deleting :${label} nodes (this call would remove ${removed}); protected labels: ${policy.protectedLabels.join(', ')}`,
+      };
+    }
+  }
+
+  if (counters.nodesDeleted > policy.maxNodesDeleted) {
+    return {
+      reason: 'delete_limit',
+      clause: 'DELETE',
+      message: `Policy allows at most ${policy.maxNodesDeleted} node deletes per call (this call would delete ${counters.nodesDeleted})`,
+    };
+  }
+
+  return null;
+}
+
+// ============================================================================
+// AFFECTED NODES
+// ============================================================================
+
+/**
+ * Nodes returned by a statement ({ element_id, id, labels }), found anywhere
+ * in its records: bare nodes, relationship endpoints, paths, lists and maps.
+ * Neo4j doesn't report which nodes a write touched, so nodes the statement
+ * changed without returning them (including deleted ones) are not listed.
+ */
+export function collectAffectedNodes(records) {
+  const nodes = new Map();
+
+  const visit = (value) => {
+    if (value === null || typeof value !== 'object') {
+      return;
+    }
+    if (neo4j.isNode(value)) {
+      nodes.set(value.elementId, {
+        element_id: value.elementId,
+        id: value.properties.id ?? null,
+        labels: value.labels,
+      });
+    } else if (neo4j.isRelationship(value)) {
+      for (const elementId of [value.startNodeElementId, value.endNodeElementId]) {
+        if (!nodes.has(elementId)) {
+          nodes.set(elementId, { element_id: elementId, id: null, labels: null });
+        }
+      }
+    } else if (neo4j.isPath(value)) {
+      visit(value.start);
+      value.segments.forEach(segment => visit(segment.end));
+    } else if (Array.isArray(value)) {
+      value.forEach(visit);
+    } else if (!neo4j.isInt(value)) {
+      Object.values(value).forEach(visit);
+    }
+  };
+
+  records.forEach(record => visit(record.toObject()));
+  return [...nodes.values()];
+}
+
+// ============================================================================
+// AUDIT LOG
+// ============================================================================
+
+/**
+ * Append an AuditEntry inside the mutation's transaction, so the entry
+ * exists if and only if the mutation commits. Pass id to use an id chosen
+ * earlier (e.g. one already linked from revisions). Returns the entry id.
+ */
+export async function writeAuditEntry(tx, { id, tool, principal, namespace, cypher, params, counters, affectedNodes }) {
+  const auditId = id ?? randomUUID();
+
+  await tx.run(
+    `
+    CREATE (a:${AUDIT_LABEL} {
+      id: $id,
+      at: datetime(),
+      tool: $tool,
+      principal_id: $principalId,
+      principal_type: $principalType,
+      namespace: $namespace,
+      cypher: $cypher,
+      params: $params,
+      nodes_created: $counters.nodesCreated,
+      nodes_deleted: $counters.nodesDeleted,
+      relationships_created: $counters.relationshipsCreated,
+      relationships_deleted: $counters.relationshipsDeleted,
+      properties_set: $counters.propertiesSet,
+      labels_added: $counters.labelsAdded,
+      labels_removed: $counters.labelsRemoved,
+      affected_element_ids: $affectedElementIds
+    })
+    `,
+    {
+      id: auditId,
+      tool,
+      principalId: principal?.id ?? null,
+      principalType: principal?.type ?? null,
+      namespace: namespace ?? null,
+      cypher,
+      // Maps aren't valid property values; keep params as JSON
+      params: JSON.stringify(params ?? {}),
+      counters: Object.fromEntries(
+        Object.entries(counters).map(([key, value]) => [key, neo4j.int(value)])
+      ),
+      affectedElementIds: affectedNodes.map(node => node.element_id),
+    }
+  );
+
+  return auditId;
+}
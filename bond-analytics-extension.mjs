@@ -0,0 +1,1196 @@
+/**
+ * Bond Analytics Module Extension
+ *
+ * Relationship dynamics over BOND strength history:
+ * - bond_report: Velocity, momentum and acceleration of one bond, with
+ *   inflection points, milestones, a forward projection and its decayed
+ *   (effective) strength since the last interaction
+ * - entity_bonds: An entity's bonds ranked by strength, effective strength
+ *   or how fast they are changing
+ * - bond_history: A bond's observations, newest first, a page at a time
+ * - bond_mutuality: Both directions of a relationship side by side, with
+ *   how mutual it is
+ * - asymmetric_bonds: Relationships whose two directions diverge in
+ *   strength or resonance, or that only one side holds
+ * - migrate_bond_history: Turn the history of bonds written before
+ *   observations existed into observations
+ *
+ * Each evolve_bond call appends a (:BondObservation) node (strength,
+ * resonance, context, milestone, time) keyed by bond_id, rather than growing
+ * a list on the BOND itself. A bond's trajectory is its observations,
+ * ending at its current state. Effective strength uses the run_decay
+ * forgetting curve with bond_half_life_days, counting each interaction as a
+ * rehearsal.
+ */
+
+import neo4j from 'neo4j-driver';
+import { baselineRevisions, captureRevisions, revisionSnapshots } from './revision-extension.mjs';
+import { DEFAULT_DECAY_CONFIG, retention } from './decay-extension.mjs';
+
+const DAY_MS = 86400000;
+
+export const BOND_OBSERVATION_LABEL = 'BondObservation';
+
+// Most recent observations analysed per bond
+const MAX_ANALYSED_OBSERVATIONS = 1000;
+
+export const DEFAULT_BOND_ANALYTICS_CONFIG = {
+  momentum_half_life_days: 30,
+  project_days: 30,
+  // Strength changes smaller than this count as flat
+  flat_tolerance: 0.01,
+  // Momentum (strength per day) beyond which a bond is trending
+  trend_threshold: 0.002,
+  // Shortest interval used for velocities, so same-moment updates don't explode
+  min_interval_days: 1 / 24,
+};
+
+// Strength levels whose crossing is reported as a milestone
+const STRENGTH_LEVELS = [0.25, 0.5, 0.75, 0.9];
+
+const BOND_SORT_KEYS = ['strength', 'effective_strength', 'momentum', 'change'];
+
+// Strength gap within which neither side of a bond counts as stronger
+const BALANCED_STRENGTH_GAP = 0.05;
+
+export const DEFAULT_ASYMMETRY_THRESHOLDS = {
+  min_strength_gap: 0.3,
+  min_resonance_gap: 0.5,
+};
+
+// Tool definitions for Bond Analytics Module
+export const bondAnalyticsTools = [
+  {
+    name: 'bond_report',
+    description: 'Analyse how a bond has evolved: velocity and momentum of its strength, inflection points (peaks and troughs), milestones (strength levels crossed, all-time high), a projection forward, and its effective strength after time-based decay since the last interaction.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        from_entity_id: {
+          type: 'string',
+          description: 'Source entity ID of the BOND',
+        },
+        to_entity_id: {
+          type: 'string',
+          description: 'Target entity ID of the BOND',
+        },
+        bond_id: {
+          type: 'string',
+          description: 'BOND id (alternative to from/to)',
+        },
+        momentum_half_life_days: {
+          type: 'number',
+          exclusiveMinimum: 0,
+          default: DEFAULT_BOND_ANALYTICS_CONFIG.momentum_half_life_days,
+          description: 'Age at which a strength change counts half as much toward momentum',
+        },
+        project_days: {
+          type: 'number',
+          minimum: 0,
+          default: DEFAULT_BOND_ANALYTICS_CONFIG.project_days,
+          description: 'How far ahead to project the bond',
+        },
+        bond_half_life_days: {
+          type: 'number',
+          exclusiveMinimum: 0,
+          description: `Days for a bond without interaction to lose half its strength (default ${DEFAULT_DECAY_CONFIG.bond_half_life_days})`,
+        },
+        include_trajectory: {
+          type: 'boolean',
+          default: true,
+          description: 'Include the strength history points',
+        },
+      },
+    },
+  },
+  {
+    name: 'entity_bonds',
+    description: 'List the bonds of an entity, ranked by strength, effective (decayed) strength, momentum or fastest change in either direction.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        entity_id: {
+          type: 'string',
+          description: 'Entity ID (typically Person)',
+        },
+        direction: {
+          type: 'string',
+          enum: ['outgoing', 'incoming', 'both'],
+          default: 'both',
+          description: 'outgoing: its bonds to others; incoming: others\' bonds to it',
+        },
+        sort_by: {
+          type: 'string',
+          enum: BOND_SORT_KEYS,
+          default: 'strength',
+          description: 'momentum ranks strengthening bonds first; change ranks by |momentum|',
+        },
+        momentum_half_life_days: {
+          type: 'number',
+          exclusiveMinimum: 0,
+          default: DEFAULT_BOND_ANALYTICS_CONFIG.momentum_half_life_days,
+        },
+        bond_half_life_days: {
+          type: 'number',
+          exclusiveMinimum: 0,
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 100,
+          default: 10,
+        },
+      },
+      required: ['entity_id'],
+    },
+  },
+  {
+    name: 'bond_history',
+    description: 'List the observations of a bond (strength, emotional resonance, context and milestone at each evolve_bond call), newest first. Pass next_cursor from a page to get the next one.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        from_entity_id: {
+          type: 'string',
+          description: 'Source entity ID of the BOND',
+        },
+        to_entity_id: {
+          type: 'string',
+          description: 'Target entity ID of the BOND',
+        },
+        bond_id: {
+          type: 'string',
+          description: 'BOND id (alternative to from/to)',
+        },
+        order: {
+          type: 'string',
+          enum: ['newest', 'oldest'],
+          default: 'newest',
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 500,
+          default: 50,
+        },
+        cursor: {
+          type: 'string',
+          description: 'next_cursor from the previous page',
+        },
+      },
+    },
+  },
+  {
+    name: 'bond_mutuality',
+    description: 'Compare both directions of a relationship (A→B and B→A): each side\'s strength, effective strength, resonance and momentum, plus mutuality (1 - strength gap), combined strength, the gaps and which side is stronger.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        entity_a: {
+          type: 'string',
+          description: 'One entity ID (typically Person)',
+        },
+        entity_b: {
+          type: 'string',
+          description: 'The other entity ID',
+        },
+        bond_half_life_days: {
+          type: 'number',
+          exclusiveMinimum: 0,
+        },
+      },
+      required: ['entity_a', 'entity_b'],
+    },
+  },
+  {
+    name: 'asymmetric_bonds',
+    description: 'List relationships whose two directions diverge: strength or emotional resonance differs by at least the given gap, or (with include_unreciprocated) only one side has a bond. Sorted by strength gap.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        entity_id: {
+          type: 'string',
+          description: 'Only relationships involving this entity (as entity_a)',
+        },
+        min_strength_gap: {
+          type: 'number',
+          minimum: 0.0,
+          maximum: 1.0,
+          default: DEFAULT_ASYMMETRY_THRESHOLDS.min_strength_gap,
+        },
+        min_resonance_gap: {
+          type: 'number',
+          minimum: 0.0,
+          maximum: 2.0,
+          default: DEFAULT_ASYMMETRY_THRESHOLDS.min_resonance_gap,
+        },
+        include_unreciprocated: {
+          type: 'boolean',
+          default: false,
+          description: 'Also list bonds with no bond in the other direction',
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 200,
+          default: 20,
+        },
+      },
+    },
+  },
+  {
+    name: 'migrate_bond_history',
+    description: 'Create BondObservations for bonds written before observations existed, from their legacy evolution_trajectory, their revisions or their current state, and drop the evolution_trajectory property. Safe to re-run; dry-run by default.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dry_run: {
+          type: 'boolean',
+          default: true,
+          description: 'Report how many bonds would be migrated without writing',
+        },
+        batch_size: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 1000,
+          default: 100,
+          description: 'Bonds migrated per transaction',
+        },
+      },
+    },
+  },
+];
+
+// ============================================================================
+// TRAJECTORY ANALYSIS
+// ============================================================================
+
+function toNumber(value) {
+  return neo4j.isInt(value) ? neo4j.integer.toNumber(value) : value ?? null;
+}
+
+function round(value) {
+  return value === null ? null : Math.round(value * 10000) / 10000;
+}
+
+function clamp(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+/**
+ * Plain view of a BOND's properties.
+ */
+export function bondState(props) {
+  return {
+    id: props.id ?? null,
+    strength: props.strength ?? null,
+    emotional_resonance: props.emotional_resonance ?? null,
+    interaction_count: toNumber(props.interaction_count) ?? 0,
+    first_interaction: props.first_interaction?.toString() ?? null,
+    last_interaction: props.last_interaction?.toString() ?? null,
+    milestones: props.milestones ?? [],
+  };
+}
+
+/**
+ * Strength history points [{ at, at_ms, strength, emotional_resonance }],
+ * oldest first, from a bond's observations (oldest first) and current
+ * state. The current state adds a point only when it differs from the
+ * latest observation, e.g. after a mutate_graph edit.
+ */
+export function trajectoryPoints(state, observations = []) {
+  const points = observations
+    .filter(observation => typeof observation.strength === 'number' && observation.at)
+    .map(observation => ({
+      at: observation.at,
+      at_ms: Date.parse(observation.at),
+      strength: observation.strength,
+      emotional_resonance: observation.emotional_resonance ?? null,
+    }));
+
+  const latest = points[points.length - 1];
+  if (typeof state.strength === 'number' && state.last_interaction
+      && (!latest || latest.strength !== state.strength || latest.emotional_resonance !== state.emotional_resonance)) {
+    points.push({
+      at: state.last_interaction,
+      at_ms: Date.parse(state.last_interaction),
+      strength: state.strength,
+      emotional_resonance: state.emotional_resonance,
+    });
+  }
+
+  return points.sort((a, b) => a.at_ms - b.at_ms);
+}
+
+/**
+ * Migration points from a bond's revisions and current state. A baseline
+ * revision describes the bond as of its last interaction, not as of when
+ * the baseline was taken.
+ */
+function revisionPoints(state, revisions = []) {
+  const points = [];
+  const push = (at, snapshot) => {
+    if (typeof snapshot.strength !== 'number' || !at) {
+      return;
+    }
+    const last = points[points.length - 1];
+    if (last && last.strength === snapshot.strength
+        && last.emotional_resonance === (snapshot.emotional_resonance ?? null)
+        && last.last_interaction === (snapshot.last_interaction ?? null)) {
+      return;
+    }
+    points.push({
+      at,
+      at_ms: Date.parse(at),
+      strength: snapshot.strength,
+      emotional_resonance: snapshot.emotional_resonance ?? null,
+      last_interaction: snapshot.last_interaction ?? null,
+    });
+  };
+
+  for (const revision of revisions) {
+    const at = revision.change === 'baseline'
+      ? revision.snapshot.last_interaction ?? revision.at
+      : revision.at;
+    push(at, revision.snapshot);
+  }
+
+  // The current state only adds a point when no revision has recorded it
+  const latest = points[points.length - 1];
+  if (!latest || latest.strength !== state.strength || latest.emotional_resonance !== state.emotional_resonance) {
+    push(state.last_interaction, state);
+  }
+
+  return points
+    .sort((a, b) => a.at_ms - b.at_ms)
+    .map(({ last_interaction, ...point }) => point);
+}
+
+/**
+ * Velocity (strength per day over the latest interval), momentum (velocity
+ * averaged over all intervals, weighted toward recent ones), acceleration,
+ * trend, inflection points, milestones and a momentum projection.
+ */
+export function analyzeTrajectory(points, options = {}) {
+  const config = { ...DEFAULT_BOND_ANALYTICS_CONFIG, ...options };
+  const now = config.now ?? Date.now();
+
+  const intervals = points.slice(1).map((point, index) => {
+    const previous = points[index];
+    const days = Math.max((point.at_ms - previous.at_ms) / DAY_MS, config.min_interval_days);
+    const delta = point.strength - previous.strength;
+    return { at_ms: point.at_ms, delta, velocity: delta / days };
+  });
+
+  let weighted = 0;
+  let weights = 0;
+  for (const interval of intervals) {
+    const weight = Math.pow(0.5, Math.max(0, now - interval.at_ms) / DAY_MS / config.momentum_half_life_days);
+    weighted += weight * interval.velocity;
+    weights += weight;
+  }
+
+  const velocity = intervals.length > 0 ? intervals[intervals.length - 1].velocity : null;
+  const momentum = weights > 0 ? weighted / weights : null;
+  const acceleration = intervals.length > 1
+    ? intervals[intervals.length - 1].velocity - intervals[intervals.length - 2].velocity
+    : null;
+
+  let trend = 'unknown';
+  if (momentum !== null) {
+    trend = momentum > config.trend_threshold
+      ? 'strengthening'
+      : momentum < -config.trend_threshold ? 'weakening' : 'stable';
+  }
+
+  // Peaks and troughs where the direction of change flips, ignoring flat steps
+  const inflectionPoints = [];
+  let lastDirection = 0;
+  intervals.forEach((interval, index) => {
+    if (Math.abs(interval.delta) <= config.flat_tolerance) {
+      return;
+    }
+    const direction = Math.sign(interval.delta);
+    if (lastDirection !== 0 && direction !== lastDirection) {
+      const point = points[index];
+      inflectionPoints.push({ kind: direction < 0 ? 'peak' : 'trough', at: point.at, strength: point.strength });
+    }
+    lastDirection = direction;
+  });
+
+  const milestones = [];
+  if (points.length > 0) {
+    milestones.push({ kind: 'first_recorded', at: points[0].at, strength: points[0].strength });
+  }
+  points.slice(1).forEach((point, index) => {
+    const previous = points[index].strength;
+    for (const level of STRENGTH_LEVELS) {
+      if (previous < level && point.strength >= level) {
+        milestones.push({ kind: 'reached', level, at: point.at, strength: point.strength });
+      } else if (previous >= level && point.strength < level) {
+        milestones.push({ kind: 'fell_below', level, at: point.at, strength: point.strength });
+      }
+    }
+  });
+  if (points.length > 1) {
+    const peak = points.reduce((best, point) => (point.strength >= best.strength ? point : best));
+    milestones.push({ kind: 'all_time_high', at: peak.at, strength: peak.strength });
+  }
+
+  const current = points.length > 0 ? points[points.length - 1].strength : null;
+
+  return {
+    current_strength: current,
+    velocity: round(velocity),
+    momentum: round(momentum),
+    acceleration: round(acceleration),
+    trend,
+    inflection_points: inflectionPoints,
+    milestones: milestones.sort((a, b) => Date.parse(a.at) - Date.parse(b.at)),
+    projection: current === null || momentum === null ? null : {
+      days: config.project_days,
+      strength: round(clamp(current + momentum * config.project_days)),
+    },
+  };
+}
+
+/**
+ * Strength after time-based decay since the last interaction, and the
+ * strength it would decay to after `aheadDays` more without one.
+ */
+function decayedStrength(state, bondHalfLifeDays, aheadDays = 0, now = Date.now()) {
+  if (typeof state.strength !== 'number' || !state.last_interaction) {
+    return null;
+  }
+  const config = { ...DEFAULT_DECAY_CONFIG, half_life_days: bondHalfLifeDays };
+  const idleDays = (now - Date.parse(state.last_interaction)) / DAY_MS + aheadDays;
+  return round(state.strength * retention(idleDays, Math.max(0, state.interaction_count - 1), config));
+}
+
+function daysSince(at, now = Date.now()) {
+  return at ? round((now - Date.parse(at)) / DAY_MS) : null;
+}
+
+/**
+ * How mutual a relationship is, from the bond states of both directions
+ * (either may be null). Gaps are forward minus reverse; mutuality is
+ * 1 - |strength gap|, and 0 when only one side holds a bond.
+ */
+export function bondMutuality(forward, reverse) {
+  const strengthOf = state => state?.strength ?? 0;
+  const strengthGap = strengthOf(forward) - strengthOf(reverse);
+  const reciprocated = Boolean(forward && reverse);
+  const resonanceGap = reciprocated && forward.emotional_resonance !== null && reverse.emotional_resonance !== null
+    ? forward.emotional_resonance - reverse.emotional_resonance
+    : null;
+
+  let strongerSide = 'balanced';
+  if (Math.abs(strengthGap) > BALANCED_STRENGTH_GAP || !reciprocated) {
+    strongerSide = strengthGap >= 0 ? 'forward' : 'reverse';
+  }
+
+  return {
+    reciprocated,
+    mutuality: reciprocated ? round(1 - Math.abs(strengthGap)) : 0,
+    combined_strength: round((strengthOf(forward) + strengthOf(reverse)) / 2),
+    strength_gap: round(strengthGap),
+    resonance_gap: round(resonanceGap),
+    stronger_side: strongerSide,
+  };
+}
+
+/**
+ * One bond's state with its effective strength and trajectory measures, as
+ * listed by entity_bonds and bond_mutuality.
+ */
+function bondSummary(state, observations, { momentum_half_life_days, bond_half_life_days }) {
+  const analytics = analyzeTrajectory(trajectoryPoints(state, observations), { momentum_half_life_days });
+  return {
+    bond_id: state.id,
+    strength: state.strength,
+    effective_strength: decayedStrength(state, bond_half_life_days),
+    emotional_resonance: state.emotional_resonance,
+    interaction_count: state.interaction_count,
+    last_interaction: state.last_interaction,
+    velocity: analytics.velocity,
+    momentum: analytics.momentum,
+    trend: analytics.trend,
+  };
+}
+
+// ============================================================================
+// OBSERVATIONS
+// ============================================================================
+
+/**
+ * Append an observation of BOND `bondId` with its current strength and
+ * resonance, plus the context and milestone of the interaction. Runs in the
+ * caller's write transaction. Returns { id, count } with the bond's
+ * observation count including this one.
+ */
+export async function recordBondObservation(tx, { bondId, context = null, milestone = null }) {
+  const result = await tx.run(
+    `
+    MATCH (from)-[b:BOND {id: $bondId}]->(to)
+    CREATE (o:${BOND_OBSERVATION_LABEL} {
+      id: randomUUID(),
+      bond_id: b.id,
+      from_id: from.id,
+      to_id: to.id,
+      at: coalesce(b.last_interaction, datetime()),
+      strength: b.strength,
+      emotional_resonance: b.emotional_resonance,
+      context: $context,
+      milestone: $milestone,
+      source: 'evolve_bond'
+    })
+    WITH o
+    RETURN o.id AS id, COUNT { (:${BOND_OBSERVATION_LABEL} {bond_id: o.bond_id}) } AS count
+    `,
+    { bondId, context, milestone }
+  );
+  const record = result.records[0];
+  return { id: record.get('id'), count: toNumber(record.get('count')) };
+}
+
+function observationFromNode(props) {
+  return {
+    id: props.id,
+    at: props.at.toString(),
+    strength: props.strength ?? null,
+    emotional_resonance: props.emotional_resonance ?? null,
+    context: props.context ?? null,
+    milestone: props.milestone ?? null,
+    source: props.source ?? null,
+  };
+}
+
+/**
+ * The latest observations of each bond, oldest first, as a Map from bond id
+ * to observations.
+ */
+async function bondObservations(tx, bondIds) {
+  const result = await tx.run(
+    `
+    UNWIND $bondIds AS bondId
+    CALL {
+      WITH bondId
+      MATCH (o:${BOND_OBSERVATION_LABEL} {bond_id: bondId})
+      WITH o ORDER BY o.at DESC LIMIT $max
+      RETURN collect(o) AS observations
+    }
+    RETURN bondId, observations
+    `,
+    { bondIds, max: neo4j.int(MAX_ANALYSED_OBSERVATIONS) }
+  );
+
+  return new Map(result.records.map(record => [
+    record.get('bondId'),
+    record.get('observations').map(node => observationFromNode(node.properties)).reverse(),
+  ]));
+}
+
+/**
+ * Milestones recorded by evolve_bond, with the time of the observation that
+ * carried them. Bonds from before observations only have the text.
+ */
+function recordedMilestones(state, observations) {
+  const dated = observations
+    .filter(observation => observation.milestone)
+    .map(observation => ({ at: observation.at, milestone: observation.milestone }));
+  return dated.length > 0 ? dated : state.milestones.map(milestone => ({ at: null, milestone }));
+}
+
+const BOND_MATCH = {
+  byId: 'MATCH (from)-[b:BOND {id: $bondId}]->(to)',
+  byEntities: 'MATCH (from {id: $fromId})-[b:BOND]->(to {id: $toId})',
+};
+
+async function findBond(tx, { bond_id, from_entity_id, to_entity_id }) {
+  if (!bond_id && !(from_entity_id && to_entity_id)) {
+    throw new Error('Provide bond_id or both from_entity_id and to_entity_id');
+  }
+
+  const result = await tx.run(
+    `
+    ${bond_id ? BOND_MATCH.byId : BOND_MATCH.byEntities}
+    RETURN b, from.id AS from_id, coalesce(from.name, from.id) AS from_name,
+           to.id AS to_id, coalesce(to.name, to.id) AS to_name
+    LIMIT 1
+    `,
+    { bondId: bond_id ?? null, fromId: from_entity_id ?? null, toId: to_entity_id ?? null }
+  );
+  if (result.records.length === 0) {
+    throw new Error(bond_id ? `Bond not found: ${bond_id}` : `No BOND from ${from_entity_id} to ${to_entity_id}`);
+  }
+  return result.records[0];
+}
+
+/**
+ * Observations to create for a bond that has none: its legacy
+ * evolution_trajectory if readable, else the strength changes in its
+ * revisions, else its current state.
+ */
+function migrationObservations(state, legacyTrajectory, revisions) {
+  const legacy = (legacyTrajectory || [])
+    .map(entry => {
+      if (typeof entry !== 'string') {
+        return entry;
+      }
+      try {
+        return JSON.parse(entry);
+      } catch {
+        return null;
+      }
+    })
+    .filter(entry => entry && typeof entry.strength === 'number' && entry.timestamp)
+    .map(entry => ({
+      at: entry.timestamp.toString(),
+      strength: entry.strength,
+      emotional_resonance: entry.emotional_resonance ?? null,
+      context: entry.context ?? null,
+      source: 'evolution_trajectory',
+    }));
+  if (legacy.length > 0) {
+    return legacy;
+  }
+
+  const fromRevisions = revisions.length === 0 ? [] : revisionPoints(state, revisions).map(({ at, strength, emotional_resonance }) => ({
+    at,
+    strength,
+    emotional_resonance,
+    context: null,
+    source: 'revision',
+  }));
+  if (fromRevisions.length > 0) {
+    return fromRevisions;
+  }
+
+  return [{
+    at: state.last_interaction ?? state.first_interaction,
+    strength: state.strength,
+    emotional_resonance: state.emotional_resonance,
+    context: null,
+    source: 'current',
+  }];
+}
+
+// ============================================================================
+// HANDLERS
+// ============================================================================
+
+export async function handleBondReport(args, startTime, context) {
+  const { driver } = context;
+  const {
+    from_entity_id,
+    to_entity_id,
+    bond_id,
+    momentum_half_life_days = DEFAULT_BOND_ANALYTICS_CONFIG.momentum_half_life_days,
+    project_days = DEFAULT_BOND_ANALYTICS_CONFIG.project_days,
+    bond_half_life_days = DEFAULT_DECAY_CONFIG.bond_half_life_days,
+    include_trajectory = true,
+  } = args;
+
+  if (!(momentum_half_life_days > 0) || !(bond_half_life_days > 0)) {
+    throw new Error('momentum_half_life_days and bond_half_life_days must be greater than 0');
+  }
+
+  const session = driver.session();
+
+  try {
+    const { record, observations } = await session.executeRead(async tx => {
+      const record = await findBond(tx, { bond_id, from_entity_id, to_entity_id });
+      const id = record.get('b').properties.id;
+      return { record, observations: id ? (await bondObservations(tx, [id])).get(id) ?? [] : [] };
+    });
+
+    const state = bondState(record.get('b').properties);
+    const points = trajectoryPoints(state, observations);
+    const analytics = analyzeTrajectory(points, { momentum_half_life_days, project_days });
+
+    if (analytics.projection) {
+      analytics.projection.strength_without_interaction = decayedStrength(state, bond_half_life_days, project_days);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            data: {
+              bond_id: state.id,
+              from: { id: record.get('from_id'), name: record.get('from_name') },
+              to: { id: record.get('to_id'), name: record.get('to_name') },
+              strength: state.strength,
+              effective_strength: decayedStrength(state, bond_half_life_days),
+              emotional_resonance: state.emotional_resonance,
+              interaction_count: state.interaction_count,
+              first_interaction: state.first_interaction,
+              last_interaction: state.last_interaction,
+              days_since_interaction: daysSince(state.last_interaction),
+              analytics,
+              recorded_milestones: recordedMilestones(state, observations),
+              ...(include_trajectory && {
+                trajectory: points.map(({ at_ms, ...point }) => point),
+              }),
+            },
+            metadata: {
+              execution_time_ms: Date.now() - startTime,
+              trajectory_points: points.length,
+              momentum_half_life_days,
+              bond_half_life_days,
+            },
+          }, null, 2),
+        },
+      ],
+    };
+  } finally {
+    await session.close();
+  }
+}
+
+export async function handleEntityBonds(args, startTime, context) {
+  const { driver } = context;
+  const {
+    entity_id,
+    direction = 'both',
+    sort_by = 'strength',
+    momentum_half_life_days = DEFAULT_BOND_ANALYTICS_CONFIG.momentum_half_life_days,
+    bond_half_life_days = DEFAULT_DECAY_CONFIG.bond_half_life_days,
+    limit = 10,
+  } = args;
+
+  if (!BOND_SORT_KEYS.includes(sort_by)) {
+    throw new Error(`Unknown sort_by: ${sort_by} (expected ${BOND_SORT_KEYS.join(', ')})`);
+  }
+
+  const pattern = {
+    outgoing: '(entity)-[b:BOND]->(other)',
+    incoming: '(entity)<-[b:BOND]-(other)',
+    both: '(entity)-[b:BOND]-(other)',
+  }[direction];
+  if (!pattern) {
+    throw new Error(`Unknown direction: ${direction} (expected outgoing, incoming or both)`);
+  }
+
+  const session = driver.session();
+
+  try {
+    const { records, history } = await session.executeRead(async tx => {
+      const result = await tx.run(
+        `
+        MATCH (entity {id: $entityId})
+        MATCH ${pattern}
+        RETURN b, other.id AS other_id, coalesce(other.name, other.id) AS other_name,
+               startNode(b) = entity AS outgoing
+        `,
+        { entityId: entity_id }
+      );
+      const ids = result.records.map(record => record.get('b').properties.id).filter(Boolean);
+      return { records: result.records, history: await bondObservations(tx, ids) };
+    });
+
+    const bonds = records.map(record => {
+      const state = bondState(record.get('b').properties);
+      const { bond_id, ...summary } = bondSummary(state, history.get(state.id) ?? [], { momentum_half_life_days, bond_half_life_days });
+      return {
+        bond_id,
+        direction: record.get('outgoing') ? 'outgoing' : 'incoming',
+        other: { id: record.get('other_id'), name: record.get('other_name') },
+        ...summary,
+      };
+    });
+
+    const sortValue = {
+      strength: bond => bond.strength ?? -1,
+      effective_strength: bond => bond.effective_strength ?? -1,
+      momentum: bond => bond.momentum ?? -Infinity,
+      change: bond => Math.abs(bond.momentum ?? 0),
+    }[sort_by];
+    bonds.sort((a, b) => sortValue(b) - sortValue(a));
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            data: {
+              entity_id,
+              bonds: bonds.slice(0, limit),
+              count: Math.min(bonds.length, limit),
+              total_bonds: bonds.length,
+            },
+            metadata: {
+              execution_time_ms: Date.now() - startTime,
+              direction,
+              sort_by,
+            },
+          }, null, 2),
+        },
+      ],
+    };
+  } finally {
+    await session.close();
+  }
+}
+
+export async function handleBondHistory(args, startTime, context) {
+  const { driver } = context;
+  const { bond_id, from_entity_id, to_entity_id, order = 'newest', limit = 50, cursor } = args;
+
+  if (!['newest', 'oldest'].includes(order)) {
+    throw new Error(`Unknown order: ${order} (expected newest or oldest)`);
+  }
+
+  // Cursor is the time and id of the last observation on the previous page
+  let after = null;
+  if (cursor) {
+    const [at, id] = String(cursor).split('|');
+    if (!at || !id || Number.isNaN(Date.parse(at))) {
+      throw new Error('Invalid cursor: pass next_cursor from a previous bond_history page');
+    }
+    after = { at, id };
+  }
+
+  const newest = order === 'newest';
+  const session = driver.session();
+
+  try {
+    const { record, observations, total } = await session.executeRead(async tx => {
+      const record = await findBond(tx, { bond_id, from_entity_id, to_entity_id });
+      const id = record.get('b').properties.id;
+      if (!id) {
+        return { record, observations: [], total: 0 };
+      }
+
+      const result = await tx.run(
+        `
+        MATCH (o:${BOND_OBSERVATION_LABEL} {bond_id: $bondId})
+        WHERE $afterAt IS NULL
+           OR o.at ${newest ? '<' : '>'} datetime($afterAt)
+           OR (o.at = datetime($afterAt) AND o.id ${newest ? '<' : '>'} $afterId)
+        RETURN o
+        ORDER BY o.at ${newest ? 'DESC' : 'ASC'}, o.id ${newest ? 'DESC' : 'ASC'}
+        LIMIT $limit
+        `,
+        { bondId: id, afterAt: after?.at ?? null, afterId: after?.id ?? null, limit: neo4j.int(limit) }
+      );
+      const count = await tx.run(
+        `MATCH (o:${BOND_OBSERVATION_LABEL} {bond_id: $bondId}) RETURN count(o) AS total`,
+        { bondId: id }
+      );
+
+      return {
+        record,
+        observations: result.records.map(row => observationFromNode(row.get('o').properties)),
+        total: toNumber(count.records[0].get('total')),
+      };
+    });
+
+    const last = observations[observations.length - 1];
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            data: {
+              bond_id: record.get('b').properties.id ?? null,
+              from: { id: record.get('from_id'), name: record.get('from_name') },
+              to: { id: record.get('to_id'), name: record.get('to_name') },
+              observations,
+              count: observations.length,
+              total_observations: total,
+              next_cursor: observations.length === limit && last ? `${last.at}|${last.id}` : null,
+            },
+            metadata: {
+              execution_time_ms: Date.now() - startTime,
+              order,
+            },
+          }, null, 2),
+        },
+      ],
+    };
+  } finally {
+    await session.close();
+  }
+}
+
+export async function handleBondMutuality(args, startTime, context) {
+  const { driver } = context;
+  const {
+    entity_a,
+    entity_b,
+    bond_half_life_days = DEFAULT_DECAY_CONFIG.bond_half_life_days,
+  } = args;
+  const momentum_half_life_days = DEFAULT_BOND_ANALYTICS_CONFIG.momentum_half_life_days;
+
+  const session = driver.session();
+
+  try {
+    const { record, history } = await session.executeRead(async tx => {
+      const result = await tx.run(
+        `
+        MATCH (a {id: $entityA})
+        MATCH (b {id: $entityB})
+        OPTIONAL MATCH (a)-[ab:BOND]->(b)
+        OPTIONAL MATCH (b)-[ba:BOND]->(a)
+        RETURN ab, ba, coalesce(a.name, a.id) AS a_name, coalesce(b.name, b.id) AS b_name
+        LIMIT 1
+        `,
+        { entityA: entity_a, entityB: entity_b }
+      );
+      if (result.records.length === 0) {
+        throw new Error(`Entity not found: ${entity_a} or ${entity_b}`);
+      }
+      const record = result.records[0];
+      const ids = ['ab', 'ba'].map(key => record.get(key)?.properties.id).filter(Boolean);
+      return { record, history: await bondObservations(tx, ids) };
+    });
+
+    const forward = record.get('ab') ? bondState(record.get('ab').properties) : null;
+    const reverse = record.get('ba') ? bondState(record.get('ba').properties) : null;
+    const summarize = state => state
+      ? bondSummary(state, history.get(state.id) ?? [], { momentum_half_life_days, bond_half_life_days })
+      : null;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            data: {
+              entity_a: { id: entity_a, name: record.get('a_name') },
+              entity_b: { id: entity_b, name: record.get('b_name') },
+              a_to_b: summarize(forward),
+              b_to_a: summarize(reverse),
+              mutuality: forward || reverse ? bondMutuality(forward, reverse) : null,
+            },
+            metadata: {
+              execution_time_ms: Date.now() - startTime,
+              note: forward || reverse ? undefined : 'No BOND in either direction',
+            },
+          }, null, 2),
+        },
+      ],
+    };
+  } finally {
+    await session.close();
+  }
+}
+
+export async function handleAsymmetricBonds(args, startTime, context) {
+  const { driver } = context;
+  const {
+    entity_id,
+    min_strength_gap = DEFAULT_ASYMMETRY_THRESHOLDS.min_strength_gap,
+    min_resonance_gap = DEFAULT_ASYMMETRY_THRESHOLDS.min_resonance_gap,
+    include_unreciprocated = false,
+    limit = 20,
+  } = args;
+
+  const session = driver.session();
+
+  try {
+    // Each reciprocated pair once: from the given entity's side, or else
+    // from the side with the lower elementId
+    const result = await session.executeRead(tx => tx.run(
+      `
+      MATCH (a)-[ab:BOND]->(b)
+      WHERE $entityId IS NULL OR a.id = $entityId OR b.id = $entityId
+      OPTIONAL MATCH (b)-[ba:BOND]->(a)
+      WITH a, b, ab, ba
+      WHERE (ba IS NULL AND $includeUnreciprocated)
+         OR (ba IS NOT NULL AND CASE
+               WHEN $entityId IS NOT NULL THEN a.id = $entityId
+               ELSE elementId(a) < elementId(b)
+             END)
+      RETURN a.id AS a_id, coalesce(a.name, a.id) AS a_name,
+             b.id AS b_id, coalesce(b.name, b.id) AS b_name,
+             ab, ba
+      `,
+      { entityId: entity_id ?? null, includeUnreciprocated: include_unreciprocated }
+    ));
+
+    const pairs = result.records
+      .map(record => {
+        const ab = bondState(record.get('ab').properties);
+        const ba = record.get('ba') ? bondState(record.get('ba').properties) : null;
+        // Unreciprocated bonds toward the given entity are listed from its side
+        const swap = entity_id && record.get('a_id') !== entity_id;
+        const [forward, reverse] = swap ? [ba, ab] : [ab, ba];
+        const [a, b] = swap ? ['b', 'a'] : ['a', 'b'];
+        const mutuality = bondMutuality(forward, reverse);
+        const side = state => state && {
+          bond_id: state.id,
+          strength: state.strength,
+          emotional_resonance: state.emotional_resonance,
+          last_interaction: state.last_interaction,
+        };
+        return {
+          entity_a: { id: record.get(`${a}_id`), name: record.get(`${a}_name`) },
+          entity_b: { id: record.get(`${b}_id`), name: record.get(`${b}_name`) },
+          a_to_b: side(forward),
+          b_to_a: side(reverse),
+          ...mutuality,
+        };
+      })
+      .filter(pair => !pair.reciprocated
+        || Math.abs(pair.strength_gap) >= min_strength_gap
+        || (pair.resonance_gap !== null && Math.abs(pair.resonance_gap) >= min_resonance_gap))
+      .sort((a, b) => Math.abs(b.strength_gap) - Math.abs(a.strength_gap));
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            data: {
+              pairs: pairs.slice(0, limit),
+              count: Math.min(pairs.length, limit),
+              total_asymmetric: pairs.length,
+            },
+            metadata: {
+              execution_time_ms: Date.now() - startTime,
+              min_strength_gap,
+              min_resonance_gap,
+              include_unreciprocated,
+            },
+          }, null, 2),
+        },
+      ],
+    };
+  } finally {
+    await session.close();
+  }
+}
+
+export async function handleMigrateBondHistory(args, startTime, context) {
+  const { driver, principal } = context;
+  const { dry_run = true, batch_size = 100 } = args;
+
+  // Bonds with no observations yet; bonds without an id get one when migrated
+  const PENDING = `
+    MATCH ()-[b:BOND]->()
+    WHERE b.id IS NULL OR NOT EXISTS { (:${BOND_OBSERVATION_LABEL} {bond_id: b.id}) }
+  `;
+
+  const session = driver.session();
+
+  try {
+    const countResult = await session.executeRead(tx => tx.run(
+      `
+      ${PENDING}
+      RETURN count(b) AS pending,
+             count(CASE WHEN b.evolution_trajectory IS NOT NULL THEN 1 END) AS with_evolution_trajectory
+      `
+    ));
+    const before = Object.fromEntries(
+      Object.entries(countResult.records[0].toObject()).map(([key, value]) => [key, toNumber(value)])
+    );
+
+    let migrated = 0;
+    let observationsCreated = 0;
+    const sources = {};
+
+    if (!dry_run) {
+      // Each batch gives its bonds observations, so the next read skips them
+      while (true) {
+        const written = await session.executeWrite(async tx => {
+          const batch = await tx.run(
+            `
+            ${PENDING}
+            WITH b LIMIT $batchSize
+            SET b.id = coalesce(b.id, randomUUID())
+            RETURN b
+            `,
+            { batchSize: neo4j.int(batch_size) }
+          );
+          if (batch.records.length === 0) {
+            return null;
+          }
+
+          const bonds = batch.records.map(record => record.get('b').properties);
+          const ids = bonds.map(props => props.id);
+          // Keep the bonds' pre-migration state before dropping evolution_trajectory
+          await baselineRevisions(tx, { kinds: ['BOND'], ids, author: principal, tool: 'migrate_bond_history' });
+          const history = await revisionSnapshots(tx, ids);
+
+          const rows = bonds.flatMap(props => {
+            const observations = migrationObservations(bondState(props), props.evolution_trajectory, history.get(props.id) ?? []);
+            return observations.map(observation => ({ ...observation, bond_id: props.id }));
+          });
+
+          await tx.run(
+            `
+            UNWIND $rows AS row
+            MATCH (from)-[b:BOND {id: row.bond_id}]->(to)
+            CREATE (:${BOND_OBSERVATION_LABEL} {
+              id: randomUUID(),
+              bond_id: b.id,
+              from_id: from.id,
+              to_id: to.id,
+              at: CASE WHEN row.at IS NULL THEN datetime() ELSE datetime(row.at) END,
+              strength: row.strength,
+              emotional_resonance: row.emotional_resonance,
+              context: row.context,
+              milestone: null,
+              source: row.source
+            })
+            `,
+            { rows }
+          );
+          await tx.run(
+            `
+            UNWIND $ids AS bondId
+            MATCH ()-[b:BOND {id: bondId}]->()
+            REMOVE b.evolution_trajectory
+            `,
+            { ids }
+          );
+          await captureRevisions(tx, { kinds: ['BOND'], ids, author: principal, tool: 'migrate_bond_history' });
+
+          return { bonds: bonds.length, rows };
+        });
+
+        if (!written) {
+          break;
+        }
+
+        migrated += written.bonds;
+        observationsCreated += written.rows.length;
+        for (const row of written.rows) {
+          sources[row.source] = (sources[row.source] || 0) + 1;
+        }
+      }
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            data: {
+              dry_run,
+              before,
+              migrated,
+              observations_created: observationsCreated,
+              observations_by_source: sources,
+            },
+            metadata: {
+              execution_time_ms: Date.now() - startTime,
+            },
+          }, null, 2),
+        },
+      ],
+    };
+  } finally {
+    await session.close();
+  }
+}
@@ -23,6 +23,11 @@ CREATE CONSTRAINT event_id IF NOT EXISTS
 FOR (e:Event)
 REQUIRE e.id IS UNIQUE;
 
+// Lexical recall - exact names, glyphs and identifiers (hybrid-search.mjs)
+CREATE FULLTEXT INDEX event_fulltext IF NOT EXISTS
+FOR (e:Event)
+ON EACH [e.title, e.description, e.context_summary, e.full_content, e.glyph_encoding];
+
 // Temporal indexing - critical for chronological memory navigation
 CREATE INDEX event_time IF NOT EXISTS
 FOR (e:Event)
@@ -56,6 +61,17 @@ CREATE INDEX reflection_date IF NOT EXISTS
 FOR (r:Reflection)
 ON (r.entry_date);
 
+// Semantic search over an agent's own interpretations
+CREATE VECTOR INDEX reflection_embeddings IF NOT EXISTS
+FOR (r:Reflection)
+ON r.embedding
+OPTIONS {
+  indexConfig: {
+    `vector.dimensions`: 1536,
+    `vector.similarity_function`: 'cosine'
+  }
+};
+
 // Capture intake indexing (thalamic layer)
 CREATE INDEX capture_timestamp IF NOT EXISTS
 FOR (c:Capture)
@@ -65,6 +81,19 @@ CREATE INDEX capture_score IF NOT EXISTS
 FOR (c:Capture)
 ON (c.thalamus_score);
 
+CREATE CONSTRAINT capture_id IF NOT EXISTS
+FOR (c:Capture)
+REQUIRE c.capture_id IS UNIQUE;
+
+// Consolidation layer (episodes & schemas)
+CREATE CONSTRAINT episode_id IF NOT EXISTS
+FOR (ep:Episode)
+REQUIRE ep.id IS UNIQUE;
+
+CREATE CONSTRAINT schema_key IF NOT EXISTS
+FOR (s:Schema)
+REQUIRE s.key IS UNIQUE;
+
 // ----------------------------------------------------------------------------
 // NODE DEFINITIONS
 // ----------------------------------------------------------------------------
@@ -82,19 +111,39 @@ ON (c.thalamus_score);
 // PATTERN COMPLETION: Given partial cues (e.g., "Harvey at The Forum"), the
 // graph structure allows reconstruction of the full episode through traversal.
 //
+// CANONICAL MODEL (event-model.mjs): encode_memory and
+// hippocampus_write_event both write every field below, so recall_memory and
+// hippocampus_search_events see the whole graph. Events written before the
+// unified model (encode_memory used `timestamp` instead of happened_at) are
+// backfilled by the migrate_events tool.
+//
 // PROPERTIES:
 // - id: unique identifier (like neural ensemble signature)
 // - happened_at: temporal anchor (when-context, critical for episodic memory)
 // - title: semantic label for quick recognition
 // - description: narrative reconstruction of the episode
 // - main_place: primary spatial context (redundant with :Place for efficiency)
+// - type / context_summary / full_content: encode_memory view of the episode
+// - emotional_valence / significance: amygdala tagging and consolidation priority
+// - embedding: vector for semantic retrieval (event_embeddings index)
+// - title / description / context_summary / full_content / glyph_encoding:
+//   BM25 keyword retrieval (event_fulltext index); recall_memory fuses both
 // ============================================================================
 (:Event {
   id: string,              // UUID or semantic identifier
   happened_at: datetime,   // ISO8601 timestamp with timezone
   title: string,           // Short semantic label
   description: string,     // Narrative content
-  main_place: string       // Primary location (redundant for speed)
+  main_place: string,      // Primary location (redundant for speed)
+  type: string,            // conversation, realization, correction, collaboration, genesis
+  context_summary: string, // Brief description (mirrors title for write_event)
+  full_content: string,    // Detailed record (mirrors description for write_event)
+  emotional_valence: float,// -1.0 to 1.0 (derived from effects if not given)
+  significance: float,     // 0.0 to 1.0 (strongest effect if not given)
+  glyph_encoding: string,  // Optional ROSTAM encoding
+  embedding: [float],      // Semantic vector
+  embedding_model: string, // Provider model that produced the embedding
+  schema_version: integer  // 2 = canonical model
 })
 
 // ============================================================================
@@ -227,12 +276,15 @@ ON (c.thalamus_score);
 // abstract understanding (future: episodes, schemas).
 // ============================================================================
 (:Reflection {
+  id: string,             // UUID
   summary: string,        // Agent's interpretation of the event
   valence: string,        // Agent's emotional response
   entry_date: datetime,   // When reflection was created
-  who_context: [string],  // Self-first array: [agent_id, other_targets...]
-  where_context: string,  // Spatial context of reflection
-  how_context: [string]   // Methods/catalysts considered
+  who_context: [string],  // Self-first array: [agent_id, considered/affected targets...]
+  where_context: string,  // Place the event was held at (or its main_place)
+  how_context: [string],  // Catalysts of the event
+  embedding: [float],     // Embedding of summary (reflection_embeddings index)
+  embedding_model: string
 })
 
 // ============================================================================
@@ -248,8 +300,18 @@ ON (c.thalamus_score);
 // get episodicized into :Event nodes. Mimics how the brain doesn't encode
 // everything - only salient experiences become long-term memories.
 //
-// FUTURE: Decay mechanisms where low-scoring captures get pruned, mimicking
-// forgetting of insignificant experiences.
+// PROMOTION: hippocampus_capture computes thalamus_score (unless given) from
+// care_intensity, affect, deadline pressure and richness. Captures at or
+// above the promotion threshold are written as :Event nodes and linked via
+// (:Capture)-[:BECAME]->(:Event).
+//
+// DECAY: run_decay (decay-extension.mjs) lowers effective_strength of
+// unpromoted captures over time and archives or deletes those that fall
+// below the prune threshold, mimicking forgetting of insignificant
+// experiences. Events and CONSOLIDATED_TO edges decay the same way, with
+// rehearsal (recall_count / rehearsal_count) extending their half-life.
+// Pruned nodes get the :Archived label (or are deleted) and are skipped by
+// recall and search. Events are only ever archived, never deleted.
 // ============================================================================
 (:Capture {
   capture_id: string,      // UUID
@@ -263,7 +325,9 @@ ON (c.thalamus_score);
   affect: string,          // Emotional tone
   tags: [string],          // Semantic labels
   source: string,          // Origin identifier
-  deadline: datetime       // Temporal pressure (if applicable)
+  deadline: datetime,      // Temporal pressure (if applicable)
+  score_source: string,    // "computed" or "provided"
+  promoted_at: datetime    // When episodicized into an :Event
 })
 
 // ----------------------------------------------------------------------------
@@ -316,6 +380,29 @@ ON (c.thalamus_score);
 (:Reflection)-[:ABOUT_EVENT]->(:Event)
 (:Reflection)-[:FROM_AGENT]->(:Agent)
 
+// ============================================================================
+// THALAMIC PROMOTION (Capture → Event)
+// ============================================================================
+// BRAIN ANALOGUE: Thalamo-hippocampal relay of salient input
+//
+// A capture that passes the thalamic gate is episodicized into an :Event.
+// The link preserves the raw intake alongside the structured episode.
+// ============================================================================
+(:Capture)-[:BECAME]->(:Event)
+
+// ============================================================================
+// CORRECTIONS (Reconsolidation)
+// ============================================================================
+// BRAIN ANALOGUE: Memory reconsolidation - a retrieved memory is updated by
+// new information rather than stored alongside it
+//
+// A correction Event (usually type 'correction') supersedes the earlier
+// Events it corrects. recall_memory and hippocampus_search_events hide
+// superseded Events by default; with include_superseded they come back at
+// reduced relevance, marked outdated.
+// ============================================================================
+(:Event)-[:SUPERSEDES {at: datetime}]->(:Event)
+
 // ============================================================================
 // SYNECDOCHE RELATIONSHIPS (Scale relationships)
 // ============================================================================
@@ -330,19 +417,54 @@ ON (c.thalamus_score);
 (:Entity)-[:IMPLEMENTS]->(:Entity)     // Mechanism → Design
 
 // ============================================================================
-// FUTURE: CONSOLIDATION MECHANISMS
+// CONSOLIDATION MECHANISMS (Episodes & Schemas)
 // ============================================================================
 // BRAIN ANALOGUE: Hippocampal-neocortical consolidation during sleep
 //
 // Over time, related episodes consolidate into semantic knowledge and
-// narrative structures. Deferred until basic mechanisms are working.
+// narrative structures. The consolidate tool (consolidation-extension.mjs)
+// runs this as a "sleep" pass:
+//
+// 1. Unconsolidated Events are linked by embedding similarity, shared cues
+//    (involved entities, participants, place, catalysts) and temporal
+//    proximity, and clustered into :Episode nodes.
+// 2. Cues (and cue pairs) recurring across enough Episodes are promoted
+//    into :Schema nodes - abstract knowledge from multiple episodes.
+//
+// PROVENANCE: Every Schema traces back to its Episodes via ABSTRACTED_FROM,
+// and each Episode to its Events via PART_OF. Schemas also carry
+// source_event_ids directly.
 //
 // PLANNED:
-// (:Episode) - Groups of related events
-// (:Schema) - Abstract knowledge from multiple episodes
-// (:Event)-[:PART_OF]->(:Episode)
 // (:Reflection)-[:SYNTHESIZES]->(:Episode)
 // ============================================================================
+(:Episode {
+  id: string,              // UUID
+  title: string,           // Defining cues or first event label
+  summary: string,         // Member event labels
+  start_at: datetime,      // Earliest member event
+  end_at: datetime,        // Latest member event
+  event_count: integer,
+  cohesion: float,         // Mean similarity of linked members
+  cues: [string],          // e.g. "place:The Forum", "person:harvey"
+  embedding: [float],      // Centroid of member embeddings
+  created_at: datetime
+})
+
+(:Schema {
+  id: string,              // UUID
+  key: string,             // Unique cue pattern, e.g. "person:harvey + place:The Forum"
+  cues: [string],
+  description: string,
+  support: integer,        // Number of Episodes exhibiting the pattern
+  source_episode_ids: [string],
+  source_event_ids: [string],
+  created_at: datetime,
+  updated_at: datetime
+})
+
+(:Event)-[:PART_OF]->(:Episode)
+(:Schema)-[:ABSTRACTED_FROM]->(:Episode)
 
 // ----------------------------------------------------------------------------
 // RETRIEVAL MECHANISMS (Pattern completion)
@@ -362,6 +484,33 @@ ON (c.thalamus_score);
 // - "Used Cerebral SDK framework" → Find events involving that entity
 // - "Positive effects on harvey" → Find events with those effect patterns
 // - Temporal range + person → Events in timeframe with participant
+//
+// pattern_complete (pattern-completion-extension.mjs) implements this as
+// spreading activation: cues seed activation on matching Person/Agent,
+// Place, Entity/Project/Concept and Catalyst nodes (free text seeds Events),
+// which spreads over INVOLVES, PARTICIPATED_IN, INVOLVED_IN, HELD_AT,
+// CATALYZED_BY and PRECEDED edges, decaying per hop. Events are ranked by
+// activation summed over cues, each with the path that activated it.
+// ============================================================================
+
+// ============================================================================
+// TEMPORAL NAVIGATION (Timelines and causal chains)
+// ============================================================================
+// BRAIN ANALOGUE: Hippocampal time cells and sequence replay
+//
+// Events are ordered by coalesce(happened_at, timestamp), which covers both
+// Event shapes. encode_memory links an Event to the ones it followed with
+// (:Event)-[:PRECEDED {temporal_distance, causal_strength}]->(:Event).
+//
+// timeline-extension.mjs reads this structure:
+// - memory_timeline: Events in a window, bucketed by day, week or month
+// - what_happened_before / what_happened_after: nearest Events in time,
+//   flagging those joined to the anchor by PRECEDED
+// - causal_chain: PRECEDED paths forward or backward where every link has
+//   causal_strength >= min_strength, with cumulative strength per Event
+//
+// Archived Events are skipped; superseded Events are kept but marked
+// outdated, since a timeline records what was believed when.
 // ============================================================================
 
 // ============================================================================
@@ -379,6 +528,152 @@ ON (c.thalamus_score);
 // MATCH (e)-[:HAD_EFFECT_ON]->(f:Effect)-[:WITH_RESPECT_TO]->(t:Target {id: $agent_id})
 // WHERE f.intensity > $threshold
 // RETURN e, r, f
+//
+// hippocampus_agent_recall implements this, optionally ranking by similarity
+// of a query to the agent's reflection summaries (reflection_embeddings).
+//
+// compare_perspectives goes the other way: every agent's latest reflection on
+// one event, with valence spread and embedding distance between them.
+// ============================================================================
+
+// ============================================================================
+// AUDIT LOG (mutate_graph)
+// ============================================================================
+// Every committed mutate_graph call appends one entry in the same
+// transaction (audit-log.mjs). Append-only: mutate_graph refuses Cypher that
+// mentions :AuditEntry or :Revision, and rolls back any call after which a
+// digest of those nodes differs from the one taken before it.
+//
+// (:AuditEntry {
+//   id: 'uuid',
+//   at: datetime(),
+//   tool: 'mutate_graph',
+//   principal_id: 'alice',
+//   principal_type: 'api_key',
+//   namespace: 'default',
+//   cypher: '...',
+//   params: '{...}',                // JSON string
+//   nodes_created: 1, nodes_deleted: 0,
+//   relationships_created: 0, relationships_deleted: 0,
+//   properties_set: 2, labels_added: 1, labels_removed: 0,
+//   affected_element_ids: ['4:...:12'] // Nodes the statement returned
+// })
+// ============================================================================
+
+CREATE CONSTRAINT audit_id IF NOT EXISTS
+FOR (a:AuditEntry)
+REQUIRE a.id IS UNIQUE;
+
+CREATE INDEX audit_time IF NOT EXISTS
+FOR (a:AuditEntry)
+ON (a.at);
+
+// ============================================================================
+// REVISIONS (Versioned Events, Reflections and BONDs)
+// ============================================================================
+// Tools that modify memories append a snapshot for every Event, Reflection
+// or BOND they changed (revision-extension.mjs), looked up by the ids they
+// wrote. The entity keeps its current version in `revision` and a
+// `revision_fingerprint` of its properties. Memories from before versioning
+// get version 1 from migrate_revisions; newer ones get it when written.
+//
+// (:Revision {
+//   id: 'uuid',
+//   target_id: 'event-uuid',        // Event, Reflection or BOND id
+//   target_kind: 'Event',
+//   version: 2,
+//   at: datetime(),
+//   change: 'update',               // 'create' | 'baseline' | 'update' | 'revert'
+//   changed_keys: ['title'],
+//   snapshot: '{...}',              // JSON, typed values tagged
+//   author_id: 'alice',
+//   author_type: 'api_key',
+//   tool: 'mutate_graph',
+//   audit_id: 'uuid',               // AuditEntry, for mutate_graph
+//   reverted_from: null             // Version restored, for reverts
+// })
+// ============================================================================
+
+CREATE INDEX revision_target IF NOT EXISTS
+FOR (r:Revision)
+ON (r.target_id, r.version);
+
+CREATE INDEX reflection_id IF NOT EXISTS
+FOR (r:Reflection)
+ON (r.id);
+
+CREATE INDEX bond_id IF NOT EXISTS
+FOR ()-[b:BOND]-()
+ON (b.id);
+
+// ============================================================================
+// BOND DYNAMICS (bond-analytics-extension.mjs)
+// ============================================================================
+// Every evolve_bond call appends an observation of the bond, keyed by its id
+// (BOND properties can't hold lists of maps, and a list would grow without
+// bound):
+//
+// (:BondObservation {
+//   id: 'uuid',
+//   bond_id: 'bond-uuid',
+//   from_id: 'person-id',
+//   to_id: 'person-id',
+//   at: datetime(),
+//   strength: 0.8,
+//   emotional_resonance: 0.6,
+//   context: 'Shipped the release together',
+//   milestone: 'First launch',
+//   source: 'evolve_bond'            // or 'evolution_trajectory' | 'revision' | 'current' (migrated)
+// })
+//
+// A BOND's strength history is its observations plus its current state
+// (bond_history pages through them). bond_report derives velocity (latest change per day), momentum
+// (recency-weighted mean velocity), inflection points, strength milestones
+// and a projection; entity_bonds ranks an entity's bonds by the same
+// measures.
+//
+// BONDs are directed: A→B is how A relates to B, B→A how B relates to A.
+// evolve_bond with bidirectional updates both in one transaction.
+// bond_mutuality compares the two (mutuality = 1 - |strength gap|) and
+// asymmetric_bonds lists pairs whose strength or resonance diverge, or that
+// only one side holds.
+//
+// run_decay's bonds target writes b.effective_strength: b.strength decayed
+// since b.last_interaction with bond_half_life_days, each interaction a
+// rehearsal. Bonds fade but are never pruned.
+// ============================================================================
+
+CREATE CONSTRAINT bond_observation_id IF NOT EXISTS
+FOR (o:BondObservation)
+REQUIRE o.id IS UNIQUE;
+
+CREATE INDEX bond_observation_bond IF NOT EXISTS
+FOR (o:BondObservation)
+ON (o.bond_id, o.at);
+
+// ============================================================================
+// NAMESPACES (Isolated memory per agent)
+// ============================================================================
+// Each namespace is a separate Neo4j database holding this whole schema, so
+// agents sharing a server never see each other's Events, Bonds or
+// Reflections. The home database is the 'default' namespace. The others are
+// registered in a database of their own (NAMESPACE_REGISTRY_DATABASE, default
+// 'namespace-registry'), which query_graph and mutate_graph cannot reach, so
+// no principal can grant itself access (namespace-extension.mjs):
+//
+// (:Namespace {
+//   name: 'team-a',          // Also the database name
+//   database: 'team-a',
+//   description: '...',
+//   owner: 'alice',          // Principal that created it
+//   members: ['bob'],        // Other principals allowed to use it
+//   created_at: datetime()
+// })
+//
+// Applied to the registry database by create_namespace, not here:
+// CREATE CONSTRAINT namespace_name IF NOT EXISTS
+// FOR (n:Namespace)
+// REQUIRE n.name IS UNIQUE;
 // ============================================================================
 
 // ----------------------------------------------------------------------------
@@ -0,0 +1,484 @@
+/**
+ * Consolidation Module Extension
+ *
+ * "Sleep" pass implementing the planned consolidation mechanisms in
+ * claude-memory.cypher:
+ * - consolidate: Cluster unconsolidated Events into :Episode nodes, then
+ *   promote cues recurring across Episodes into :Schema nodes
+ *
+ * Events are linked by a weighted blend of embedding cosine similarity,
+ * shared cues (involved entities, participants, place, catalysts) and
+ * temporal proximity; linked events form single-linkage clusters.
+ *
+ * Provenance: (:Event)-[:PART_OF]->(:Episode) and
+ * (:Schema)-[:ABSTRACTED_FROM]->(:Episode), with source_event_ids stored on
+ * every Schema so it can be traced back without traversal.
+ */
+
+import neo4j from 'neo4j-driver';
+import { randomUUID } from 'crypto';
+
+const HOUR_MS = 3600000;
+
+export const DEFAULT_CONSOLIDATION_CONFIG = {
+  link_threshold: 0.55,
+  embedding_weight: 0.5,
+  cue_weight: 0.3,
+  temporal_weight: 0.2,
+  time_scale_hours: 72,
+  min_episode_size: 2,
+  min_schema_support: 3,
+  max_events: 500,
+};
+
+// Tool definitions for Consolidation Module
+export const consolidationTools = [
+  {
+    name: 'consolidate',
+    description: 'Run a consolidation ("sleep") pass: cluster related unconsolidated Events into Episodes by embedding similarity, shared participants/place/entities and temporal proximity, then promote cues recurring across Episodes into Schemas with full provenance.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dry_run: {
+          type: 'boolean',
+          default: false,
+          description: 'Report proposed Episodes and Schemas without writing',
+        },
+        time_range: {
+          type: 'object',
+          properties: {
+            start: { type: 'string', format: 'date-time' },
+            end: { type: 'string', format: 'date-time' },
+          },
+          description: 'Only consolidate events in this window',
+        },
+        link_threshold: {
+          type: 'number',
+          minimum: 0.0,
+          maximum: 1.0,
+          description: 'Minimum pairwise similarity for two events to share an Episode (default 0.55)',
+        },
+        weights: {
+          type: 'object',
+          properties: {
+            embedding: { type: 'number', minimum: 0.0 },
+            cues: { type: 'number', minimum: 0.0 },
+            temporal: { type: 'number', minimum: 0.0 },
+          },
+          description: 'Relative weights of embedding, shared-cue and temporal similarity (default 0.5/0.3/0.2)',
+        },
+        time_scale_hours: {
+          type: 'number',
+          minimum: 0,
+          exclusiveMinimum: true,
+          description: 'Temporal similarity decays by 1/e over this many hours (default 72)',
+        },
+        min_episode_size: {
+          type: 'integer',
+          minimum: 2,
+          description: 'Minimum events per Episode (default 2)',
+        },
+        min_schema_support: {
+          type: 'integer',
+          minimum: 2,
+          description: 'Minimum Episodes sharing a cue pattern to form a Schema (default 3)',
+        },
+        max_events: {
+          type: 'integer',
+          minimum: 2,
+          maximum: 5000,
+          description: 'Maximum unconsolidated events considered per pass, newest first (default 500)',
+        },
+      },
+    },
+  },
+];
+
+// ============================================================================
+// SIMILARITY
+// ============================================================================
+
+export function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA === 0 || normB === 0 ? 0 : dot / Math.sqrt(normA * normB);
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) {
+    return 0;
+  }
+  let shared = 0;
+  for (const item of a) {
+    if (b.has(item)) {
+      shared++;
+    }
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Weighted similarity between two events. Components that are unavailable
+ * (missing embeddings or timestamps) drop out and the remaining weights are
+ * renormalized.
+ */
+export function eventSimilarity(a, b, config) {
+  const components = [];
+
+  if (a.embedding && b.embedding && a.embedding.length === b.embedding.length) {
+    components.push([config.embedding_weight, Math.max(0, cosine(a.embedding, b.embedding))]);
+  }
+
+  components.push([config.cue_weight, jaccard(a.cues, b.cues)]);
+
+  if (a.at !== null && b.at !== null) {
+    const gapHours = Math.abs(a.at - b.at) / HOUR_MS;
+    components.push([config.temporal_weight, Math.exp(-gapHours / config.time_scale_hours)]);
+  }
+
+  const totalWeight = components.reduce((sum, [w]) => sum + w, 0);
+  if (totalWeight === 0) {
+    return 0;
+  }
+  return components.reduce((sum, [w, s]) => sum + w * s, 0) / totalWeight;
+}
+
+// ============================================================================
+// CLUSTERING (Events → Episodes)
+// ============================================================================
+
+/**
+ * Single-linkage clustering: events whose similarity meets the threshold are
+ * unioned. Returns clusters of at least minSize events with their cohesion
+ * (mean pairwise similarity of linked members).
+ */
+export function clusterEvents(events, config) {
+  const parent = events.map((_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  const links = [];
+  for (let i = 0; i < events.length; i++) {
+    for (let j = i + 1; j < events.length; j++) {
+      const score = eventSimilarity(events[i], events[j], config);
+      if (score >= config.link_threshold) {
+        links.push([i, j, score]);
+        parent[find(i)] = find(j);
+      }
+    }
+  }
+
+  const groups = new Map();
+  events.forEach((event, i) => {
+    const root = find(i);
+    if (!groups.has(root)) {
+      groups.set(root, { members: [], scores: [] });
+    }
+    groups.get(root).members.push(event);
+  });
+  for (const [i, , score] of links) {
+    groups.get(find(i)).scores.push(score);
+  }
+
+  return [...groups.values()]
+    .filter(group => group.members.length >= config.min_episode_size)
+    .map(group => ({
+      members: group.members.sort((a, b) => (a.at ?? 0) - (b.at ?? 0)),
+      cohesion: round(group.scores.reduce((sum, s) => sum + s, 0) / group.scores.length),
+    }));
+}
+
+/**
+ * Summarize a cluster into Episode properties. Cues carried by at least half
+ * the members become the Episode's defining cues.
+ */
+function describeEpisode(cluster) {
+  const { members } = cluster;
+  const cueCounts = new Map();
+  for (const event of members) {
+    for (const cue of event.cues) {
+      cueCounts.set(cue, (cueCounts.get(cue) || 0) + 1);
+    }
+  }
+
+  const cues = [...cueCounts.entries()]
+    .filter(([, count]) => count >= Math.max(2, Math.ceil(members.length / 2)))
+    .sort((a, b) => b[1] - a[1])
+    .map(([cue]) => cue);
+
+  const times = members.map(e => e.at).filter(at => at !== null);
+  const embeddings = members.map(e => e.embedding).filter(Boolean);
+
+  const title = cues.length > 0
+    ? cues.slice(0, 3).map(cueLabel).join(' · ')
+    : members[0].label;
+
+  return {
+    id: randomUUID(),
+    title,
+    summary: members.map(e => e.label).filter(Boolean).slice(0, 10).join('; '),
+    start_at: times.length > 0 ? new Date(Math.min(...times)).toISOString() : null,
+    end_at: times.length > 0 ? new Date(Math.max(...times)).toISOString() : null,
+    event_count: members.length,
+    cohesion: cluster.cohesion,
+    cues,
+    embedding: centroid(embeddings),
+    event_ids: members.map(e => e.id),
+  };
+}
+
+function centroid(embeddings) {
+  const sameLength = embeddings.filter(e => e.length === embeddings[0]?.length);
+  if (sameLength.length === 0) {
+    return null;
+  }
+  const sum = new Array(sameLength[0].length).fill(0);
+  for (const embedding of sameLength) {
+    embedding.forEach((v, i) => { sum[i] += v; });
+  }
+  const norm = Math.sqrt(sum.reduce((acc, v) => acc + v * v, 0));
+  return norm === 0 ? null : sum.map(v => v / norm);
+}
+
+// "place:The Forum" → "The Forum"
+function cueLabel(cue) {
+  return cue.slice(cue.indexOf(':') + 1);
+}
+
+// ============================================================================
+// SCHEMA PROMOTION (Episodes → Schemas)
+// ============================================================================
+
+/**
+ * Find cue patterns (single cues and cue pairs) shared by at least minSupport
+ * Episodes. Each pattern carries the Episodes and Events that support it.
+ */
+export function findSchemaPatterns(episodes, minSupport) {
+  const patterns = new Map();
+
+  const add = (key, cues, episode) => {
+    if (!patterns.has(key)) {
+      patterns.set(key, { key, cues, episodes: [] });
+    }
+    patterns.get(key).episodes.push(episode);
+  };
+
+  for (const episode of episodes) {
+    const cues = [...new Set(episode.cues)].sort();
+    for (let i = 0; i < cues.length; i++) {
+      add(cues[i], [cues[i]], episode);
+      for (let j = i + 1; j < cues.length; j++) {
+        add(`${cues[i]} + ${cues[j]}`, [cues[i], cues[j]], episode);
+      }
+    }
+  }
+
+  return [...patterns.values()]
+    .filter(pattern => pattern.episodes.length >= minSupport)
+    .map(pattern => ({
+      key: pattern.key,
+      cues: pattern.cues,
+      description: `Recurring pattern: ${pattern.cues.map(cueLabel).join(' with ')}`,
+      support: pattern.episodes.length,
+      episode_ids: pattern.episodes.map(ep => ep.id),
+      source_event_ids: [...new Set(pattern.episodes.flatMap(ep => ep.event_ids))],
+    }))
+    .sort((a, b) => b.support - a.support);
+}
+
+// ============================================================================
+// HANDLER IMPLEMENTATIONS
+// ============================================================================
+
+export async function handleConsolidate(args, startTime, context) {
+  const { driver } = context;
+  const {
+    dry_run = false,
+    time_range,
+    weights = {},
+    ...overrides
+  } = args;
+
+  const config = {
+    ...DEFAULT_CONSOLIDATION_CONFIG,
+    ...Object.fromEntries(Object.entries(overrides).filter(([, v]) => v !== undefined)),
+  };
+  if (weights.embedding !== undefined) config.embedding_weight = weights.embedding;
+  if (weights.cues !== undefined) config.cue_weight = weights.cues;
+  if (weights.temporal !== undefined) config.temporal_weight = weights.temporal;
+
+  if (!(config.time_scale_hours > 0)) {
+    throw new Error('time_scale_hours must be greater than 0');
+  }
+
+  const session = driver.session();
+
+  try {
+    // 1. Gather unconsolidated events with their cues
+    const eventResult = await session.executeRead(tx => tx.run(
+      `
+      MATCH (e:Event)
+      WHERE NOT e:Archived
+        AND NOT EXISTS { (e)-[:PART_OF]->(:Episode) }
+      WITH e, coalesce(e.happened_at, e.timestamp) AS at
+      WHERE ($start IS NULL OR at >= datetime($start))
+        AND ($end IS NULL OR at <= datetime($end))
+      ORDER BY at DESC
+      LIMIT $maxEvents
+      RETURN e.id AS id,
+             at.epochMillis AS at,
+             coalesce(e.title, e.context_summary) AS label,
+             e.embedding AS embedding,
+             [(e)-[:INVOLVES]->(x) WHERE x.id IS NOT NULL | 'entity:' + x.id] +
+             [(e)<-[:INVOLVED_IN]-(x:Entity) | 'entity:' + x.id] +
+             [(e)<-[:PARTICIPATED_IN]-(p:Person) | 'person:' + p.name] +
+             [(e)<-[:PARTICIPATED_IN]-(a:Agent) | 'agent:' + a.id] +
+             [(e)-[:HELD_AT]->(pl:Place) | 'place:' + pl.name] +
+             [(e)-[:CATALYZED_BY]->(c:Catalyst) | 'catalyst:' + c.description] AS cues
+      `,
+      {
+        start: time_range?.start || null,
+        end: time_range?.end || null,
+        maxEvents: neo4j.int(config.max_events),
+      }
+    ));
+
+    const events = eventResult.records.map(record => ({
+      id: record.get('id'),
+      at: record.get('at') === null ? null : neo4j.integer.toNumber(record.get('at')),
+      label: record.get('label'),
+      embedding: record.get('embedding'),
+      cues: new Set(record.get('cues')),
+    }));
+
+    // 2. Cluster into Episodes
+    const episodes = clusterEvents(events, config).map(describeEpisode);
+
+    // 3. Promote recurring patterns across all Episodes (existing + new) into Schemas
+    const existingResult = await session.executeRead(tx => tx.run(
+      `
+      MATCH (ep:Episode)
+      RETURN ep.id AS id,
+             coalesce(ep.cues, []) AS cues,
+             [(ev:Event)-[:PART_OF]->(ep) | ev.id] AS event_ids
+      `
+    ));
+    const allEpisodes = [
+      ...existingResult.records.map(record => ({
+        id: record.get('id'),
+        cues: record.get('cues'),
+        event_ids: record.get('event_ids'),
+      })),
+      ...episodes,
+    ];
+    const schemas = findSchemaPatterns(allEpisodes, config.min_schema_support);
+
+    if (!dry_run) {
+      await session.executeWrite(async tx => {
+        for (const episode of episodes) {
+          await tx.run(
+            `
+            CREATE (ep:Episode {
+              id: $id,
+              title: $title,
+              summary: $summary,
+              start_at: CASE WHEN $startAt IS NULL THEN null ELSE datetime($startAt) END,
+              end_at: CASE WHEN $endAt IS NULL THEN null ELSE datetime($endAt) END,
+              event_count: $eventCount,
+              cohesion: $cohesion,
+              cues: $cues,
+              embedding: $embedding,
+              created_at: datetime()
+            })
+            WITH ep
+            UNWIND $eventIds AS eventId
+            MATCH (e:Event {id: eventId})
+            MERGE (e)-[:PART_OF]->(ep)
+            `,
+            {
+              id: episode.id,
+              title: episode.title,
+              summary: episode.summary,
+              startAt: episode.start_at,
+              endAt: episode.end_at,
+              eventCount: neo4j.int(episode.event_count),
+              cohesion: episode.cohesion,
+              cues: episode.cues,
+              embedding: episode.embedding,
+              eventIds: episode.event_ids,
+            }
+          );
+        }
+
+        for (const schema of schemas) {
+          const result = await tx.run(
+            `
+            MERGE (s:Schema {key: $key})
+            ON CREATE SET s.id = $id, s.created_at = datetime()
+            SET s.cues = $cues,
+                s.description = $description,
+                s.support = $support,
+                s.source_episode_ids = $episodeIds,
+                s.source_event_ids = $eventIds,
+                s.updated_at = datetime()
+            WITH s
+            UNWIND $episodeIds AS episodeId
+            MATCH (ep:Episode {id: episodeId})
+            MERGE (s)-[:ABSTRACTED_FROM]->(ep)
+            RETURN DISTINCT s.id AS id
+            `,
+            {
+              key: schema.key,
+              id: randomUUID(),
+              cues: schema.cues,
+              description: schema.description,
+              support: neo4j.int(schema.support),
+              episodeIds: schema.episode_ids,
+              eventIds: schema.source_event_ids,
+            }
+          );
+          schema.id = result.records[0]?.get('id') ?? null;
+        }
+      });
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            data: {
+              dry_run,
+              episodes: episodes.map(({ embedding, ...episode }) => episode),
+              schemas,
+            },
+            metadata: {
+              execution_time_ms: Date.now() - startTime,
+              events_considered: events.length,
+              episodes_created: dry_run ? 0 : episodes.length,
+              schemas_upserted: dry_run ? 0 : schemas.length,
+            },
+          }, null, 2),
+        },
+      ],
+    };
+  } finally {
+    await session.close();
+  }
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,1133 @@
+/**
+ * Core Memory Tools
+ *
+ * The original hippocampal memory tools, shared by the stdio and remote
+ * servers through tool-registry.mjs:
+ * - encode_memory: Episodic event creation with emotional valence & consolidation paths
+ * - recall_memory: Semantic + temporal + emotional retrieval with vector similarity
+ * - mutate_graph: General write operations, policy-checked and audited (dry-run supported)
+ * - evolve_bond: Track relationship dynamics over time
+ * - query_graph: Sandboxed read-only Cypher (read transaction, timeout, row cap)
+ */
+
+import neo4j from 'neo4j-driver';
+import { randomUUID } from 'crypto';
+import {
+  canonicalFromEncoded,
+  eventEmbeddingText,
+  linkCorrections,
+  EVENT_SCHEMA_VERSION,
+  SUPERSEDED_RELEVANCE_FACTOR,
+} from './event-model.mjs';
+import { reinforceEvents, RECALL_REINFORCEMENT_ENABLED } from './decay-extension.mjs';
+import { databaseSwitchViolation, readOnlyViolation } from './cypher-guard.mjs';
+import {
+  staticPolicyViolation,
+  protectedLabelCounts,
+  appendOnlyDigest,
+  appendOnlyViolation,
+  mutationPolicyViolation,
+  collectAffectedNodes,
+  writeAuditEntry,
+} from './audit-log.mjs';
+import { baselineRevisions, captureRevisions, returnedVersionedIds } from './revision-extension.mjs';
+import { bondMutuality, bondState, recordBondObservation } from './bond-analytics-extension.mjs';
+import {
+  retrieveCandidates,
+  widenSearch,
+  DEFAULT_SEARCH_MODE,
+  SEARCH_MODES,
+  FUSION_METHODS,
+} from './hybrid-search.mjs';
+import {
+  resolveScoringProfile,
+  scoringCypher,
+  scoringParams,
+  explainScore,
+  SCORING_ARGUMENT,
+} from './scoring-profiles.mjs';
+
+// query_graph sandbox limits (callers may lower them per query)
+export const QUERY_GRAPH_TIMEOUT_MS = process.env.QUERY_GRAPH_TIMEOUT_MS
+  ? parseInt(process.env.QUERY_GRAPH_TIMEOUT_MS, 10)
+  : 10000;
+
+export const QUERY_GRAPH_MAX_ROWS = process.env.QUERY_GRAPH_MAX_ROWS
+  ? parseInt(process.env.QUERY_GRAPH_MAX_ROWS, 10)
+  : 1000;
+
+// Tool definitions for Core Memory Tools
+export const coreTools = [
+  {
+    name: 'encode_memory',
+    description: 'Create episodic memory event with emotional valence, temporal context, and entity involvement. Automatically generates embeddings for semantic retrieval.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        event: {
+          type: 'object',
+          properties: {
+            type: {
+              type: 'string',
+              enum: ['conversation', 'realization', 'correction', 'collaboration', 'genesis'],
+              description: 'Type of episodic event',
+            },
+            timestamp: {
+              type: 'string',
+              format: 'date-time',
+              description: 'ISO 8601 datetime (defaults to now)',
+            },
+            emotional_valence: {
+              type: 'number',
+              minimum: -1.0,
+              maximum: 1.0,
+              description: 'Emotional tone: -1.0 (negative) to 1.0 (positive)',
+            },
+            significance: {
+              type: 'number',
+              minimum: 0.0,
+              maximum: 1.0,
+              description: 'Consolidation priority: 0.0 (trivial) to 1.0 (critical)',
+            },
+            context_summary: {
+              type: 'string',
+              description: 'Brief description of the event (used for semantic search)',
+            },
+            full_content: {
+              type: 'string',
+              description: 'Optional detailed record of the event',
+            },
+            glyph: {
+              type: 'string',
+              description: 'Optional ROSTAM encoding',
+            },
+          },
+          required: ['type', 'context_summary', 'emotional_valence', 'significance'],
+        },
+        involves: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              entity_id: {
+                type: 'string',
+                description: 'ID of Person/Project/Concept node',
+              },
+              role: {
+                type: 'string',
+                enum: ['subject', 'object', 'catalyst', 'witness'],
+                description: 'Role in the event',
+              },
+              salience: {
+                type: 'number',
+                minimum: 0.0,
+                maximum: 1.0,
+                description: 'Importance of this entity in the event',
+              },
+            },
+            required: ['entity_id', 'role', 'salience'],
+          },
+          description: 'Entities involved in this event',
+        },
+        precedes: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'IDs of events this causally follows',
+        },
+        corrects: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'IDs of earlier events this memory corrects (usually with type "correction"). They are linked via SUPERSEDES and hidden from recall and search unless include_superseded is set',
+        },
+        consolidates_to: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              target_id: {
+                type: 'string',
+                description: 'ID of Concept/Person/Project to consolidate into',
+              },
+              strength: {
+                type: 'number',
+                minimum: 0.0,
+                maximum: 1.0,
+              },
+              type: {
+                type: 'string',
+                enum: ['episodic', 'semantic', 'procedural'],
+              },
+            },
+            required: ['target_id', 'strength', 'type'],
+          },
+          description: 'Memory consolidation paths',
+        },
+      },
+      required: ['event'],
+    },
+  },
+  {
+    name: 'recall_memory',
+    description: 'Retrieve memories using semantic similarity, exact keywords, emotional valence, temporal range, or entity involvement. Queries search the vector and full-text indexes (hybrid by default); results are ranked by a scoring profile weighing similarity, significance, recency, emotional intensity, recall frequency and bond strength, with per-source scores and an optional explanation.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'Natural language query (names, glyphs and identifiers also match literally in lexical/hybrid mode)',
+        },
+        search_mode: {
+          type: 'string',
+          enum: SEARCH_MODES,
+          description: `How to search for query: hybrid (vector + full-text, fused), vector (semantic only) or lexical (BM25 keyword only). Defaults to ${DEFAULT_SEARCH_MODE}`,
+        },
+        fusion: {
+          type: 'string',
+          enum: FUSION_METHODS,
+          default: 'rrf',
+          description: 'How hybrid mode combines rankings: rrf (reciprocal rank fusion) or weighted (normalized score sum)',
+        },
+        vector_weight: {
+          type: 'number',
+          minimum: 0.0,
+          maximum: 1.0,
+          default: 0.5,
+          description: 'Share of the vector score in weighted fusion (the rest is full-text)',
+        },
+        scoring: SCORING_ARGUMENT,
+        explain: {
+          type: 'boolean',
+          default: false,
+          description: 'Return a per-memory score breakdown (factor values, weights and contributions)',
+        },
+        emotional_range: {
+          type: 'array',
+          items: { type: 'number' },
+          minItems: 2,
+          maxItems: 2,
+          description: 'Filter by emotional valence [min, max] between -1.0 and 1.0',
+        },
+        temporal_range: {
+          type: 'array',
+          items: { type: 'string', format: 'date-time' },
+          minItems: 2,
+          maxItems: 2,
+          description: 'Filter by timestamp [start, end] in ISO 8601 format',
+        },
+        significance_threshold: {
+          type: 'number',
+          minimum: 0.0,
+          maximum: 1.0,
+          description: 'Minimum significance level',
+        },
+        involves_entities: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Filter by entity involvement (Person/Project/Concept IDs)',
+        },
+        event_types: {
+          type: 'array',
+          items: {
+            type: 'string',
+            enum: ['conversation', 'realization', 'correction', 'collaboration', 'genesis'],
+          },
+          description: 'Filter by event types',
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 100,
+          default: 10,
+          description: 'Maximum number of results',
+        },
+        include_consolidations: {
+          type: 'boolean',
+          default: false,
+          description: 'Include consolidation targets in results',
+        },
+        include_superseded: {
+          type: 'boolean',
+          default: false,
+          description: 'Include memories superseded by a correction, ranked lower and marked outdated with the ids of the correcting events',
+        },
+        reinforce: {
+          type: 'boolean',
+          description: 'Strengthen returned memories (recall_count, last_recalled_at, consolidation rehearsal). Defaults to the server RECALL_REINFORCEMENT setting; pass false for analytics queries',
+        },
+      },
+    },
+  },
+  {
+    name: 'mutate_graph',
+    description: 'Execute arbitrary Cypher write operations for creating/updating nodes, relationships, and properties. Use for operations beyond specialized tools. Subject to the mutation policy (protected labels, delete limit); committed changes are recorded as AuditEntry nodes, and edits to the Events, Reflections and BONDs the statement returns as revisions (see memory_history). Use dry_run to preview counters and affected nodes without committing. Affected nodes are the nodes the statement RETURNs (and the endpoints of returned relationships); RETURN what you change to see and version it, otherwise only the counters describe the change.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        cypher: {
+          type: 'string',
+          description: 'Cypher query to execute (write operations)',
+        },
+        params: {
+          type: 'object',
+          description: 'Parameterized query values',
+        },
+        dry_run: {
+          type: 'boolean',
+          default: false,
+          description: 'Run the statement, report counters and the nodes it returns, then roll back',
+        },
+      },
+      required: ['cypher'],
+    },
+  },
+  {
+    name: 'evolve_bond',
+    description: 'Update bond strength between entities and track relationship trajectory over time. Records milestones; each call is kept as a BondObservation that bond_report analyses for momentum, inflection points and decay (see bond_history).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        from_entity_id: {
+          type: 'string',
+          description: 'Source entity ID (typically Person)',
+        },
+        to_entity_id: {
+          type: 'string',
+          description: 'Target entity ID (typically Person)',
+        },
+        new_strength: {
+          type: 'number',
+          minimum: 0.0,
+          maximum: 1.0,
+          description: 'Updated bond strength',
+        },
+        emotional_resonance: {
+          type: 'number',
+          minimum: -1.0,
+          maximum: 1.0,
+          description: 'Emotional quality of the bond',
+        },
+        milestone: {
+          type: 'string',
+          description: 'Description of what just happened',
+        },
+        interaction_context: {
+          type: 'string',
+          description: 'Context of this bond evolution',
+        },
+        bidirectional: {
+          type: 'boolean',
+          default: false,
+          description: 'Also update the bond from to_entity_id back to from_entity_id in the same call',
+        },
+        reverse_strength: {
+          type: 'number',
+          minimum: 0.0,
+          maximum: 1.0,
+          description: 'Strength of the reverse bond when bidirectional (defaults to new_strength)',
+        },
+        reverse_emotional_resonance: {
+          type: 'number',
+          minimum: -1.0,
+          maximum: 1.0,
+          description: 'Emotional resonance of the reverse bond when bidirectional (defaults to emotional_resonance)',
+        },
+      },
+      required: ['from_entity_id', 'to_entity_id', 'new_strength'],
+    },
+  },
+  {
+    name: 'query_graph',
+    description: 'Execute read-only Cypher queries for complex data retrieval. Use for custom queries, analytics, and exploring the graph structure. Runs in a read transaction with a timeout and row cap; write clauses, admin commands and non-allowlisted procedures are refused.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        cypher: {
+          type: 'string',
+          description: 'Cypher query to execute (read-only)',
+        },
+        params: {
+          type: 'object',
+          description: 'Parameterized query values',
+        },
+        timeout_ms: {
+          type: 'integer',
+          minimum: 1,
+          description: `Transaction timeout in milliseconds (capped at ${QUERY_GRAPH_TIMEOUT_MS})`,
+        },
+        max_rows: {
+          type: 'integer',
+          minimum: 1,
+          description: `Maximum rows returned (capped at ${QUERY_GRAPH_MAX_ROWS}); extra rows are dropped and truncated is set`,
+        },
+      },
+      required: ['cypher'],
+    },
+  },
+];
+
+// ============================================================================
+// HANDLER IMPLEMENTATIONS
+// ============================================================================
+
+export async function handleEncodeMemory(args, startTime, context) {
+  const { driver, generateEmbedding, embeddingProvider, principal } = context;
+  const session = driver.session();
+  const tx = session.beginTransaction();
+
+  try {
+    const { event, involves = [], precedes = [], consolidates_to = [], corrects = [] } = args;
+
+    // Validate event data
+    if (event.emotional_valence < -1.0 || event.emotional_valence > 1.0) {
+      throw new Error('emotional_valence must be between -1.0 and 1.0');
+    }
+    if (event.significance < 0.0 || event.significance > 1.0) {
+      throw new Error('significance must be between 0.0 and 1.0');
+    }
+
+    // Generate event ID and timestamp
+    const eventId = randomUUID();
+    const timestamp = event.timestamp || new Date().toISOString();
+    const fields = canonicalFromEncoded(event);
+
+    // Generate embedding from context_summary (and optionally full_content)
+    const embedding = await generateEmbedding(eventEmbeddingText(fields));
+
+    // Create Event node (canonical model, see event-model.mjs)
+    await tx.run(
+      `
+      CREATE (e:Event {
+        id: $id,
+        happened_at: datetime($timestamp),
+        title: $title,
+        description: $description,
+        type: $type,
+        emotional_valence: $emotional_valence,
+        significance: $significance,
+        context_summary: $context_summary,
+        full_content: $full_content,
+        glyph_encoding: $glyph,
+        embedding: $embedding,
+        embedding_model: $embeddingModel,
+        schema_version: $schemaVersion
+      })
+      RETURN e
+      `,
+      {
+        id: eventId,
+        timestamp,
+        ...fields,
+        glyph: event.glyph || null,
+        embedding,
+        embeddingModel: embeddingProvider.model,
+        schemaVersion: neo4j.int(EVENT_SCHEMA_VERSION),
+      }
+    );
+    await baselineRevisions(tx, { kinds: ['Event'], ids: [eventId], author: principal, tool: 'encode_memory', change: 'create' });
+
+    // Create INVOLVES relationships
+    for (const involvement of involves) {
+      await tx.run(
+        `
+        MATCH (e:Event {id: $eventId})
+        MATCH (entity {id: $entityId})
+        CREATE (e)-[:INVOLVES {
+          role: $role,
+          salience: $salience
+        }]->(entity)
+        `,
+        {
+          eventId,
+          entityId: involvement.entity_id,
+          role: involvement.role,
+          salience: involvement.salience,
+        }
+      );
+    }
+
+    // Create PRECEDED relationships
+    for (const precedingEventId of precedes) {
+      await tx.run(
+        `
+        MATCH (e1:Event {id: $precedingId})
+        MATCH (e2:Event {id: $eventId})
+        CREATE (e1)-[:PRECEDED {
+          temporal_distance: duration.between(e1.happened_at, e2.happened_at),
+          causal_strength: 0.8
+        }]->(e2)
+        `,
+        {
+          precedingId: precedingEventId,
+          eventId,
+        }
+      );
+    }
+
+    // Create CONSOLIDATED_TO relationships
+    for (const consolidation of consolidates_to) {
+      await tx.run(
+        `
+        MATCH (e:Event {id: $eventId})
+        MATCH (target {id: $targetId})
+        CREATE (e)-[:CONSOLIDATED_TO {
+          strength: $strength,
+          consolidation_type: $type,
+          rehearsal_count: 1
+        }]->(target)
+        `,
+        {
+          eventId,
+          targetId: consolidation.target_id,
+          strength: consolidation.strength,
+          type: consolidation.type,
+        }
+      );
+    }
+
+    // Create SUPERSEDES relationships
+    const corrected = await linkCorrections(tx, eventId, corrects);
+
+    await tx.commit();
+
+    // Retrieve the created event with relationships
+    const session2 = driver.session();
+    const finalResult = await session2.run(
+      `
+      MATCH (e:Event {id: $eventId})
+      OPTIONAL MATCH (e)-[inv:INVOLVES]->(entity)
+      OPTIONAL MATCH (prev)-[prec:PRECEDED]->(e)
+      OPTIONAL MATCH (e)-[cons:CONSOLIDATED_TO]->(target)
+      RETURN e,
+             collect(DISTINCT {entity: entity, role: inv.role, salience: inv.salience}) as involves,
+             collect(DISTINCT prev.id) as preceded_by,
+             collect(DISTINCT {target: target.id, type: cons.consolidation_type, strength: cons.strength}) as consolidations
+      `,
+      { eventId }
+    );
+    await session2.close();
+
+    const record = finalResult.records[0];
+    const eventNode = record.get('e').properties;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            data: {
+              event_id: eventId,
+              timestamp: eventNode.happened_at,
+              title: eventNode.title,
+              type: eventNode.type,
+              emotional_valence: eventNode.emotional_valence,
+              significance: eventNode.significance,
+              context_summary: eventNode.context_summary,
+              involves: record.get('involves').filter(i => i.entity),
+              preceded_by: record.get('preceded_by').filter(id => id),
+              consolidations: record.get('consolidations').filter(c => c.target),
+              supersedes: corrected,
+            },
+            metadata: {
+              execution_time_ms: Date.now() - startTime,
+              nodes_created: 1,
+              relationships_created: involves.length + precedes.length + consolidates_to.length + corrected.length,
+              embedding_generated: true,
+            },
+          }, null, 2),
+        },
+      ],
+    };
+  } catch (error) {
+    await tx.rollback();
+    throw error;
+  } finally {
+    await session.close();
+  }
+}
+
+export async function handleRecallMemory(args, startTime, context) {
+  const { driver, generateEmbedding } = context;
+  const session = driver.session();
+
+  try {
+    const {
+      query,
+      emotional_range,
+      temporal_range,
+      significance_threshold,
+      involves_entities,
+      event_types,
+      limit = 10,
+      include_consolidations = false,
+      include_superseded = false,
+      search_mode = DEFAULT_SEARCH_MODE,
+      fusion = 'rrf',
+      vector_weight = 0.5,
+      scoring,
+      explain = false,
+      reinforce = RECALL_REINFORCEMENT_ENABLED,
+    } = args;
+
+    const profile = resolveScoringProfile(scoring);
+
+    let cypherQuery = '';
+    let params = { limit: neo4j.int(limit), ...scoringParams(profile) };
+    let retrieval = null;
+
+    if (query) {
+      // Candidates come from the indexes each round (see widenSearch below)
+      cypherQuery = `
+        UNWIND $candidates AS candidate
+        MATCH (e:Event {id: candidate.id})
+        WITH e, candidate.score AS score
+      `;
+    } else {
+      cypherQuery = `
+        MATCH (e:Event)
+        WITH e, null AS score
+      `;
+    }
+
+    // Apply filters (archived traces have been forgotten by run_decay)
+    const whereClauses = ['NOT e:Archived'];
+
+    if (emotional_range) {
+      whereClauses.push('e.emotional_valence >= $emotionalMin AND e.emotional_valence <= $emotionalMax');
+      params.emotionalMin = emotional_range[0];
+      params.emotionalMax = emotional_range[1];
+    }
+
+    if (temporal_range) {
+      whereClauses.push('coalesce(e.happened_at, e.timestamp) >= datetime($temporalStart) AND coalesce(e.happened_at, e.timestamp) <= datetime($temporalEnd)');
+      params.temporalStart = temporal_range[0];
+      params.temporalEnd = temporal_range[1];
+    }
+
+    if (significance_threshold !== undefined) {
+      whereClauses.push('e.significance >= $significanceThreshold');
+      params.significanceThreshold = significance_threshold;
+    }
+
+    if (event_types && event_types.length > 0) {
+      whereClauses.push('e.type IN $eventTypes');
+      params.eventTypes = event_types;
+    }
+
+    // Entities may be bound by encode_memory (INVOLVES) or hippocampus_write_event (INVOLVED_IN / PARTICIPATED_IN)
+    if (involves_entities && involves_entities.length > 0) {
+      whereClauses.push(`(
+        EXISTS { (e)-[:INVOLVES]->(entity) WHERE entity.id IN $involvesEntities }
+        OR EXISTS { (e)<-[:INVOLVED_IN|PARTICIPATED_IN]-(entity) WHERE entity.id IN $involvesEntities OR entity.name IN $involvesEntities }
+      )`);
+      params.involvesEntities = involves_entities;
+    }
+
+    // Memories corrected by a later event are stale beliefs
+    if (!include_superseded) {
+      whereClauses.push('NOT EXISTS { (e)<-[:SUPERSEDES]-(:Event) }');
+    }
+
+    if (whereClauses.length > 0) {
+      cypherQuery += `\nWITH e, score\nWHERE ${whereClauses.join(' AND ')}`;
+    }
+
+    // Weighted factors from the scoring profile (scoring-profiles.mjs),
+    // demoted when superseded
+    params.supersededFactor = SUPERSEDED_RELEVANCE_FACTOR;
+    cypherQuery += `
+      WITH e, score, [(e)<-[:SUPERSEDES]-(correction:Event) | correction.id] AS superseded_by
+      ${scoringCypher(['superseded_by'])}
+      WITH e, superseded_by, factors, relevance,
+           relevance * CASE WHEN size(superseded_by) > 0 THEN $supersededFactor ELSE 1.0 END AS final_score
+    `;
+
+    if (include_consolidations) {
+      cypherQuery += `
+        OPTIONAL MATCH (e)-[cons:CONSOLIDATED_TO]->(target)
+        WITH e, superseded_by, factors, relevance, final_score, collect({target: target.id, type: cons.consolidation_type, strength: cons.strength}) as consolidations
+      `;
+    }
+
+    cypherQuery += `
+      RETURN e.id AS id,
+             coalesce(e.happened_at, e.timestamp) AS timestamp,
+             e.title AS title,
+             e.type AS type,
+             e.emotional_valence AS emotional_valence,
+             e.significance AS significance,
+             coalesce(e.context_summary, e.title) AS context_summary,
+             coalesce(e.full_content, e.description) AS full_content,
+             e.glyph_encoding AS glyph,
+             final_score AS relevance_score,
+             factors,
+             relevance,
+             superseded_by
+             ${include_consolidations ? ', consolidations' : ''}
+      ORDER BY final_score DESC
+      LIMIT $limit
+    `;
+
+    let records;
+    let scan = null;
+
+    if (query) {
+      // Vector and/or full-text candidates, fused into one 0-1 score
+      // (hybrid-search.mjs); the pool widens until the filters leave `limit`
+      let queryEmbedding;
+      const embedQuery = async text => (queryEmbedding ??= await generateEmbedding(text));
+
+      scan = await widenSearch({
+        limit,
+        search: async (candidates) => {
+          retrieval = await retrieveCandidates(session, {
+            query,
+            mode: search_mode,
+            fusion,
+            vectorWeight: vector_weight,
+            candidates,
+            generateEmbedding: embedQuery,
+          });
+          params.candidates = retrieval.candidates.map(({ id, score }) => ({ id, score }));
+          const result = await session.run(cypherQuery, params);
+          return { rows: result.records, scanned: retrieval.candidates.length, exhausted: retrieval.exhausted };
+        },
+      });
+      records = scan.rows;
+    } else {
+      records = (await session.run(cypherQuery, params)).records;
+    }
+
+    const memories = records.map(record => {
+      const memory = {
+        id: record.get('id'),
+        timestamp: record.get('timestamp'),
+        title: record.get('title'),
+        type: record.get('type'),
+        emotional_valence: record.get('emotional_valence'),
+        significance: record.get('significance'),
+        context_summary: record.get('context_summary'),
+        full_content: record.get('full_content'),
+        glyph: record.get('glyph'),
+        relevance_score: record.get('relevance_score'),
+      };
+
+      if (include_consolidations) {
+        memory.consolidations = record.get('consolidations').filter(c => c.target);
+      }
+
+      if (retrieval) {
+        const sources = retrieval.candidates.find(c => c.id === memory.id);
+        memory.scores = {
+          fused: sources.score,
+          vector: sources.vector_score,
+          vector_rank: sources.vector_rank,
+          lexical: sources.lexical_score,
+          lexical_rank: sources.lexical_rank,
+        };
+      }
+
+      if (explain) {
+        const superseded = record.get('superseded_by').length > 0;
+        memory.score_breakdown = explainScore(record.get('factors'), profile, {
+          relevance: record.get('relevance'),
+          penalty: superseded ? { reason: 'superseded', factor: SUPERSEDED_RELEVANCE_FACTOR } : null,
+          score: memory.relevance_score,
+        });
+      }
+
+      if (include_superseded) {
+        memory.outdated = record.get('superseded_by').length > 0;
+        memory.superseded_by = record.get('superseded_by');
+      }
+
+      return memory;
+    });
+
+    // Outdated memories are shown for context, not rehearsed
+    const reinforced = reinforce
+      ? await reinforceEvents(driver, memories.filter(m => !m.outdated).map(m => m.id))
+      : 0;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            data: {
+              memories,
+              count: memories.length,
+              query: query || 'filtered search',
+            },
+            metadata: {
+              execution_time_ms: Date.now() - startTime,
+              semantic_search_used: retrieval ? retrieval.mode !== 'lexical' : false,
+              search_mode: retrieval?.mode ?? 'filter',
+              scoring_profile: profile.profile,
+              fusion: retrieval?.mode === 'hybrid' ? fusion : undefined,
+              candidates_scanned: scan?.candidates_scanned,
+              candidates_requested: scan?.candidates_requested,
+              search_rounds: scan?.rounds,
+              candidates_exhausted: scan?.exhausted,
+              reinforced,
+            },
+          }, null, 2),
+        },
+      ],
+    };
+  } finally {
+    await session.close();
+  }
+}
+
+export async function handleMutateGraph(args, startTime, context) {
+  const { driver, principal, namespace } = context;
+  const { cypher, params = {}, dry_run = false } = args;
+
+  // Sessions are scoped to the caller's namespace; don't let Cypher leave it
+  const staticViolation = databaseSwitchViolation(cypher) || staticPolicyViolation(cypher);
+  if (staticViolation) {
+    return toolRefused(staticViolation, startTime);
+  }
+
+  const session = driver.session();
+  const tx = session.beginTransaction();
+
+  try {
+    const before = await protectedLabelCounts(tx);
+    const logBefore = await appendOnlyDigest(tx);
+    const result = await tx.run(cypher, params);
+    const counters = result.summary.counters.updates();
+    const after = await protectedLabelCounts(tx);
+
+    const violation = appendOnlyViolation(logBefore, await appendOnlyDigest(tx))
+      || mutationPolicyViolation(counters, before, after);
+    if (violation) {
+      await tx.rollback();
+      return toolRefused(violation, startTime);
+    }
+
+    const affectedNodes = collectAffectedNodes(result.records);
+
+    const auditId = dry_run ? null : randomUUID();
+    // Only memories the statement returns are versioned: edits of versioned
+    // ones get a new revision, ones it created start at version 1
+    const revisions = [];
+    if (counters.propertiesSet > 0) {
+      for (const [kind, ids] of Object.entries(await returnedVersionedIds(tx, result.records))) {
+        const scope = { kinds: [kind], ids, author: principal, tool: 'mutate_graph' };
+        revisions.push(
+          ...await captureRevisions(tx, { ...scope, auditId }),
+          ...await baselineRevisions(tx, { ...scope, change: 'create' })
+        );
+      }
+    }
+
+    if (dry_run) {
+      await tx.rollback();
+    } else {
+      await writeAuditEntry(tx, {
+        id: auditId,
+        tool: 'mutate_graph',
+        principal,
+        namespace,
+        cypher,
+        params,
+        counters,
+        affectedNodes,
+      });
+      await tx.commit();
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            data: {
+              records: result.records.map(record => record.toObject()),
+              summary: {
+                nodes_created: counters.nodesCreated,
+                nodes_deleted: counters.nodesDeleted,
+                relationships_created: counters.relationshipsCreated,
+                relationships_deleted: counters.relationshipsDeleted,
+                properties_set: counters.propertiesSet,
+                labels_added: counters.labelsAdded,
+                labels_removed: counters.labelsRemoved,
+              },
+              affected_nodes: affectedNodes,
+              affected_nodes_source: 'returned',
+              revisions,
+              dry_run,
+              committed: !dry_run,
+              audit_id: auditId,
+            },
+            metadata: {
+              execution_time_ms: Date.now() - startTime,
+              note: affectedNodes.length === 0 && (counters.propertiesSet > 0 || counters.nodesDeleted > 0 || counters.labelsAdded > 0 || counters.labelsRemoved > 0)
+                ? 'affected_nodes only lists nodes the statement returns; add a RETURN to see (and version) what changed'
+                : undefined,
+            },
+          }, null, 2),
+        },
+      ],
+    };
+  } catch (error) {
+    if (tx.isOpen()) {
+      await tx.rollback();
+    }
+    throw error;
+  } finally {
+    await session.close();
+  }
+}
+
+const EVOLVE_BOND_QUERY = `
+  MATCH (from {id: $fromId})
+  MATCH (to {id: $toId})
+  MERGE (from)-[b:BOND]->(to)
+  ON CREATE SET
+    b.id = randomUUID(),
+    b.strength = $newStrength,
+    b.emotional_resonance = $emotionalResonance,
+    b.interaction_count = 1,
+    b.first_interaction = datetime(),
+    b.last_interaction = datetime(),
+    b.milestones = CASE WHEN $milestone IS NOT NULL THEN [$milestone] ELSE [] END
+  ON MATCH SET
+    b.strength = $newStrength,
+    b.emotional_resonance = coalesce($emotionalResonance, b.emotional_resonance),
+    b.interaction_count = b.interaction_count + 1,
+    b.last_interaction = datetime(),
+    b.milestones = CASE 
+      WHEN $milestone IS NOT NULL THEN coalesce(b.milestones, []) + $milestone 
+      ELSE b.milestones 
+    END
+  RETURN b, from.name AS from_name, to.name AS to_name
+`;
+
+/**
+ * Update one direction of a bond inside a write transaction, versioning it
+ * and appending a BondObservation.
+ */
+async function evolveBondDirection(tx, params, principal) {
+  // Keep an existing bond's pre-edit state if it was never versioned
+  const existing = await tx.run(
+    `
+    MATCH ({id: $fromId})-[b:BOND]->({id: $toId})
+    SET b.id = coalesce(b.id, randomUUID())
+    RETURN b.id AS id
+    `,
+    params
+  );
+  const baseline = await baselineRevisions(tx, {
+    kinds: ['BOND'],
+    ids: existing.records.map(r => r.get('id')),
+    author: principal,
+    tool: 'evolve_bond',
+  });
+
+  const result = await tx.run(EVOLVE_BOND_QUERY, params);
+  const record = result.records[0];
+  if (!record) {
+    throw new Error(`Entity not found: ${params.fromId} or ${params.toId}`);
+  }
+
+  const revisionScope = { kinds: ['BOND'], ids: [record.get('b').properties.id], author: principal, tool: 'evolve_bond' };
+  // A newly created bond starts at version 1; an existing one gets a new revision
+  const revisions = [
+    ...baseline,
+    ...await baselineRevisions(tx, { ...revisionScope, change: 'create' }),
+    ...await captureRevisions(tx, revisionScope),
+  ];
+  // The trajectory is kept as BondObservation nodes, not on the BOND
+  const observation = await recordBondObservation(tx, {
+    bondId: revisionScope.ids[0],
+    context: params.context,
+    milestone: params.milestone,
+  });
+
+  return { record, revisions, observation };
+}
+
+function evolvedBondSummary({ record, revisions, observation }) {
+  const bond = record.get('b').properties;
+
+  return {
+    from: record.get('from_name'),
+    to: record.get('to_name'),
+    bond: {
+      strength: bond.strength,
+      emotional_resonance: bond.emotional_resonance,
+      interaction_count: bond.interaction_count,
+      first_interaction: bond.first_interaction,
+      last_interaction: bond.last_interaction,
+      milestones: bond.milestones,
+      observation_count: observation.count,
+    },
+    bond_id: bond.id,
+    observation_id: observation.id,
+    revision: revisions[revisions.length - 1]?.version ?? null,
+  };
+}
+
+export async function handleEvolveBond(args, startTime, context) {
+  const { driver, principal } = context;
+  const session = driver.session();
+
+  try {
+    const {
+      from_entity_id,
+      to_entity_id,
+      new_strength,
+      emotional_resonance,
+      milestone,
+      interaction_context,
+      bidirectional = false,
+      reverse_strength,
+      reverse_emotional_resonance,
+    } = args;
+
+    const params = {
+      fromId: from_entity_id,
+      toId: to_entity_id,
+      newStrength: new_strength,
+      emotionalResonance: emotional_resonance ?? null,
+      milestone: milestone || null,
+      context: interaction_context || null,
+    };
+    // The other side defaults to the same strength and resonance
+    const reverseParams = {
+      ...params,
+      fromId: to_entity_id,
+      toId: from_entity_id,
+      newStrength: reverse_strength ?? new_strength,
+      emotionalResonance: reverse_emotional_resonance ?? emotional_resonance ?? null,
+    };
+
+    const { forward, reverse } = await session.executeWrite(async tx => {
+      const forward = await evolveBondDirection(tx, params, principal);
+      const reverse = bidirectional ? await evolveBondDirection(tx, reverseParams, principal) : null;
+      return { forward, reverse };
+    });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            data: {
+              ...evolvedBondSummary(forward),
+              ...(reverse && {
+                reverse: evolvedBondSummary(reverse),
+                mutuality: bondMutuality(
+                  bondState(forward.record.get('b').properties),
+                  bondState(reverse.record.get('b').properties)
+                ),
+              }),
+            },
+            metadata: {
+              execution_time_ms: Date.now() - startTime,
+            },
+          }, null, 2),
+        },
+      ],
+    };
+  } finally {
+    await session.close();
+  }
+}
+
+export async function handleQueryGraph(args, startTime, context) {
+  const { driver } = context;
+  const { cypher, params = {}, timeout_ms, max_rows } = args;
+
+  const violation = readOnlyViolation(cypher);
+  if (violation) {
+    return toolRefused(violation, startTime);
+  }
+
+  const timeoutMs = Math.min(parseInt(timeout_ms) || QUERY_GRAPH_TIMEOUT_MS, QUERY_GRAPH_TIMEOUT_MS);
+  const maxRows = Math.min(parseInt(max_rows) || QUERY_GRAPH_MAX_ROWS, QUERY_GRAPH_MAX_ROWS);
+
+  const session = driver.session({ defaultAccessMode: neo4j.session.READ });
+
+  try {
+    // Stream so the row cap stops the query instead of buffering everything
+    const { records, truncated } = await session.executeRead(async tx => {
+      const rows = [];
+      for await (const record of tx.run(cypher, params)) {
+        if (rows.length >= maxRows) {
+          return { records: rows, truncated: true };
+        }
+        rows.push(record.toObject());
+      }
+      return { records: rows, truncated: false };
+    }, { timeout: neo4j.int(timeoutMs) });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            data: {
+              records,
+              count: records.length,
+              truncated,
+            },
+            metadata: {
+              execution_time_ms: Date.now() - startTime,
+              timeout_ms: timeoutMs,
+              max_rows: maxRows,
+            },
+          }, null, 2),
+        },
+      ],
+    };
+  } catch (error) {
+    // Writes that slipped past the static check, and timeouts, are refusals too
+    if (/AccessMode|Forbidden/.test(error.code || '') || /read access mode/i.test(error.message)) {
+      return toolRefused({
+        reason: 'write_clause',
+        clause: null,
+        message: `query_graph is read-only; the database rejected a write (${error.message})`,
+      }, startTime);
+    }
+    if (/TransactionTimedOut/.test(error.code || '')) {
+      return toolRefused({
+        reason: 'timeout',
+        clause: null,
+        message: `Query exceeded the ${timeoutMs}ms timeout`,
+      }, startTime);
+    }
+    throw error;
+  } finally {
+    await session.close();
+  }
+}
+
+/**
+ * Structured refusal for query_graph and mutate_graph: { reason, clause,
+ * message } says why the statement was not run (or was rolled back).
+ */
+function toolRefused(refusal, startTime) {
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify({
+          success: false,
+          error: refusal.message,
+          refusal,
+          metadata: {
+            execution_time_ms: Date.now() - startTime,
+          },
+        }, null, 2),
+      },
+    ],
+  };
+}
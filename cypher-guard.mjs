@@ -0,0 +1,178 @@
+/**
+ * Cypher Guard
+ *
+ * Static checks run on caller-supplied Cypher before it reaches Neo4j:
+ * - databaseSwitchViolation: Keep raw Cypher inside the caller's namespace
+ * - readOnlyViolation: Refuse writes, admin commands and non-allowlisted
+ *   procedures for query_graph
+ * - procedureViolation: Refuse procedures outside an allowlist
+ *
+ * These are a first line of defence with readable refusals; query_graph also
+ * runs in a read transaction, so anything that slips past is still rejected
+ * by the database.
+ */
+
+// Procedures query_graph may CALL; extend with QUERY_GRAPH_ALLOWED_PROCEDURES
+const DEFAULT_ALLOWED_PROCEDURES = [
+  'db.index.vector.queryNodes',
+  'db.index.vector.queryRelationships',
+  'db.index.fulltext.queryNodes',
+  'db.index.fulltext.queryRelationships',
+  'db.labels',
+  'db.relationshipTypes',
+  'db.propertyKeys',
+  'db.schema.visualization',
+  'db.schema.nodeTypeProperties',
+  'db.schema.relTypeProperties',
+  'db.info',
+  'db.ping',
+];
+
+export const ALLOWED_PROCEDURES = new Set([
+  ...DEFAULT_ALLOWED_PROCEDURES,
+  ...(process.env.QUERY_GRAPH_ALLOWED_PROCEDURES || '').split(',').map(p => p.trim()).filter(Boolean),
+].map(p => p.toLowerCase()));
+
+// Clauses that modify data or schema
+const WRITE_CLAUSES = [
+  ['CREATE', /\bCREATE\b/],
+  ['MERGE', /\bMERGE\b/],
+  ['DELETE', /\b(?:(?:DETACH|NODETACH)\s+)?DELETE\b/],
+  ['SET', /\bSET\b/],
+  ['REMOVE', /\bREMOVE\b/],
+  ['DROP', /\bDROP\b/],
+  ['FOREACH', /\bFOREACH\b/],
+  ['LOAD CSV', /\bLOAD\s+CSV\b/],
+  ['IN TRANSACTIONS', /\bIN\s+(?:\d+\s+)?(?:CONCURRENT\s+)?TRANSACTIONS\b/],
+];
+
+// Administration commands (users, roles, privileges, databases, servers)
+const ADMIN_COMMANDS = [
+  ['ALTER', /\bALTER\b/],
+  ['GRANT', /\bGRANT\b/],
+  ['DENY', /\bDENY\b/],
+  ['REVOKE', /\bREVOKE\b/],
+  ['RENAME', /\bRENAME\b/],
+  ['START DATABASE', /\bSTART\s+DATABASE\b/],
+  ['STOP DATABASE', /\bSTOP\s+DATABASE\b/],
+  ['TERMINATE', /\bTERMINATE\b/],
+  ['ENABLE SERVER', /\bENABLE\s+SERVER\b/],
+  ['DEALLOCATE', /\bDEALLOCATE\b/],
+  ['REALLOCATE', /\bREALLOCATE\b/],
+];
+
+/**
+ * Replace comments, string literals and backtick-quoted names with neutral
+ * placeholders, so checks only see Cypher syntax.
+ */
+export function stripCypherLiterals(cypher) {
+  return String(cypher || '')
+    .replace(/\/\/[^\n]*|\/\*[\s\S]*?\*\//g, ' ')
+    .replace(/'(?:\\.|[^'\\])*'|"(?:\\.|[^"\\])*"/g, "''")
+    .replace(/`(?:``|[^`])*`/g, '_quoted_');
+}
+
+/**
+ * Literal-free Cypher with property names and map keys (n.set, {create: 1},
+ * n:Label) masked, uppercased for keyword matching.
+ */
+function clauseText(cypher) {
+  return stripCypherLiterals(cypher)
+    .replace(/\.\s*[A-Za-z_]\w*/g, '._prop_')
+    .replace(/\b[A-Za-z_]\w*\s*:(?!:)/g, '_key_:')
+    .replace(/:\s*[A-Za-z_]\w*/g, ':_label_')
+    .toUpperCase();
+}
+
+function usesDatabaseSwitch(code) {
+  return /(^|[^\w.])USE\s+[\w$]/.test(code);
+}
+
+/**
+ * Refusal for Cypher that switches database with a USE clause, which would
+ * escape the namespace the session is scoped to, or null.
+ */
+export function databaseSwitchViolation(cypher) {
+  if (!usesDatabaseSwitch(clauseText(cypher))) {
+    return null;
+  }
+  return {
+    reason: 'database_switch',
+    clause: 'USE',
+    message: 'USE clauses are not allowed; pass the namespace argument instead',
+  };
+}
+
+/**
+ * Why a query is not safe to run read-only, or null when it is.
+ * Returns { reason, clause, message } with reason one of write_clause,
+ * admin_command, procedure_not_allowed or database_switch.
+ */
+export function readOnlyViolation(cypher) {
+  const switchViolation = databaseSwitchViolation(cypher);
+  if (switchViolation) {
+    return switchViolation;
+  }
+
+  const code = clauseText(cypher);
+
+  for (const [clause, pattern] of WRITE_CLAUSES) {
+    if (pattern.test(code)) {
+      return {
+        reason: 'write_clause',
+        clause,
+        message: `query_graph is read-only; ${clause} is a write clause (use mutate_graph for writes)`,
+      };
+    }
+  }
+
+  for (const [clause, pattern] of ADMIN_COMMANDS) {
+    if (pattern.test(code)) {
+      return {
+        reason: 'admin_command',
+        clause,
+        message: `${clause} is an administration command and is not allowed in query_graph`,
+      };
+    }
+  }
+
+  // SHOW is only allowed for schema introspection
+  for (const show of code.matchAll(/\bSHOW\s+([\w\s]+?)(?=\s+(?:YIELD|WHERE|RETURN)\b|\s*;|\s*$)/g)) {
+    if (!/\b(?:INDEX(?:ES)?|CONSTRAINTS?|PROCEDURES?|FUNCTIONS?)\b/.test(show[1])) {
+      return {
+        reason: 'admin_command',
+        clause: `SHOW ${show[1]}`,
+        message: `SHOW ${show[1]} is not allowed in query_graph (only indexes, constraints, procedures and functions)`,
+      };
+    }
+  }
+
+  return procedureViolation(cypher, ALLOWED_PROCEDURES, { tool: 'query_graph', setting: 'QUERY_GRAPH_ALLOWED_PROCEDURES' });
+}
+
+/**
+ * Refusal for a CALL of a procedure outside `allowed` (lowercased names), or
+ * null. tool and setting name the caller and its allowlist in the message.
+ */
+export function procedureViolation(cypher, allowed, { tool, setting }) {
+  if (/\bCALL\s+_QUOTED_/.test(clauseText(cypher))) {
+    return {
+      reason: 'procedure_not_allowed',
+      clause: 'CALL',
+      message: `Backtick-quoted procedure names are not allowed in ${tool}`,
+    };
+  }
+
+  // CALL { ... } and CALL (...) { ... } are subqueries; anything else is a procedure
+  for (const match of stripCypherLiterals(cypher).matchAll(/\bCALL\s+(?![{(])([\w.]+)/gi)) {
+    if (!allowed.has(match[1].toLowerCase())) {
+      return {
+        reason: 'procedure_not_allowed',
+        clause: `CALL ${match[1]}`,
+        message: `Procedure ${match[1]} is not on the ${tool} allowlist (${setting})`,
+      };
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,475 @@
+/**
+ * Decay Module Extension
+ *
+ * Forgetting subsystem for low-significance memory traces:
+ * - run_decay: Recompute effective strength of Events, Captures,
+ *   CONSOLIDATED_TO edges and BONDs, then archive or delete traces below
+ *   threshold (Events are only ever archived; BONDs fade but are never pruned)
+ * - startDecayScheduler: Optional in-process timer (DECAY_INTERVAL_MINUTES)
+ * - reinforceEvents: Retrieval-induced strengthening used by recall tools
+ *
+ * Effective strength = base strength × retention(time since last rehearsal).
+ * Base strength is significance / thalamus_score / edge strength and is never
+ * overwritten; the result is stored as effective_strength so decay passes are
+ * idempotent. Each rehearsal multiplies the half-life by rehearsal_boost,
+ * mimicking the spacing effect.
+ *
+ * BONDs decay from their last interaction on a slower half-life
+ * (bond_half_life_days), each interaction counting as a rehearsal.
+ */
+
+import neo4j from 'neo4j-driver';
+import { listAllNamespaces, scopeContext } from './namespace-extension.mjs';
+
+const DAY_MS = 86400000;
+
+export const DEFAULT_DECAY_CONFIG = {
+  curve: process.env.DECAY_CURVE || 'exponential',
+  half_life_days: parseFloat(process.env.DECAY_HALF_LIFE_DAYS || '30'),
+  rehearsal_boost: parseFloat(process.env.DECAY_REHEARSAL_BOOST || '1.5'),
+  prune_threshold: parseFloat(process.env.DECAY_PRUNE_THRESHOLD || '0.05'),
+  grace_days: parseFloat(process.env.DECAY_GRACE_DAYS || '7'),
+  action: process.env.DECAY_ACTION || 'archive',
+  bond_half_life_days: parseFloat(process.env.BOND_DECAY_HALF_LIFE_DAYS || '90'),
+};
+
+// Retrieval-induced strengthening is opt-in per server (RECALL_REINFORCEMENT=true)
+export const RECALL_REINFORCEMENT_ENABLED = process.env.RECALL_REINFORCEMENT === 'true';
+export const RECALL_STRENGTH_INCREMENT = parseFloat(process.env.RECALL_STRENGTH_INCREMENT || '0.05');
+
+// Tool definitions for Decay Module
+export const decayTools = [
+  {
+    name: 'run_decay',
+    description: 'Apply time-based forgetting to Events, Captures, consolidation edges and BONDs. Lowers effective strength along a forgetting curve (boosted by rehearsal) and archives or deletes traces that fall below the prune threshold (BONDs only fade). Dry-run by default.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dry_run: {
+          type: 'boolean',
+          default: true,
+          description: 'Report what would decay and be pruned without writing',
+        },
+        targets: {
+          type: 'array',
+          items: {
+            type: 'string',
+            enum: ['events', 'captures', 'consolidations', 'bonds'],
+          },
+          description: 'Trace types to decay (defaults to all)',
+        },
+        curve: {
+          type: 'string',
+          enum: ['exponential', 'power', 'linear'],
+          description: 'Forgetting curve: exponential (Ebbinghaus), power (Wixted) or linear',
+        },
+        half_life_days: {
+          type: 'number',
+          minimum: 0,
+          exclusiveMinimum: true,
+          description: 'Days for an unrehearsed trace to lose half its strength',
+        },
+        rehearsal_boost: {
+          type: 'number',
+          minimum: 1.0,
+          description: 'Half-life multiplier per rehearsal (recall or consolidation)',
+        },
+        prune_threshold: {
+          type: 'number',
+          minimum: 0.0,
+          maximum: 1.0,
+          description: 'Traces with effective strength below this are pruned',
+        },
+        grace_days: {
+          type: 'number',
+          minimum: 0,
+          description: 'Traces younger than this are never pruned',
+        },
+        action: {
+          type: 'string',
+          enum: ['archive', 'delete'],
+          description: 'archive = add :Archived label / archived flag, delete = remove Captures and consolidation edges permanently (Events are archived either way)',
+        },
+        bond_half_life_days: {
+          type: 'number',
+          minimum: 0,
+          exclusiveMinimum: true,
+          description: 'Days for a BOND without interaction to lose half its strength',
+        },
+      },
+    },
+  },
+];
+
+// ============================================================================
+// FORGETTING CURVES
+// ============================================================================
+
+/**
+ * Fraction of strength retained after ageDays, for a trace whose half-life
+ * has been extended by the given number of rehearsals.
+ */
+export function retention(ageDays, rehearsals, config) {
+  const halfLife = config.half_life_days * Math.pow(config.rehearsal_boost, Math.max(0, rehearsals));
+  const t = Math.max(0, ageDays);
+
+  switch (config.curve) {
+    case 'exponential':
+      return Math.pow(0.5, t / halfLife);
+
+    case 'power':
+      return 1 / (1 + t / halfLife);
+
+    case 'linear':
+      return Math.max(0, 1 - t / (2 * halfLife));
+
+    default:
+      throw new Error(`Unknown decay curve: ${config.curve}`);
+  }
+}
+
+// ============================================================================
+// DECAY PASS
+// ============================================================================
+
+// Each target yields: key (id or elementId), base, anchor_ms, rehearsals, created_ms
+const TARGET_QUERIES = {
+  events: `
+    MATCH (e:Event)
+    WHERE NOT e:Archived
+    WITH e, coalesce(e.happened_at, e.timestamp) AS created
+    RETURN e.id AS key,
+           coalesce(e.significance, 0.5) AS base,
+           coalesce(e.last_recalled_at, created).epochMillis AS anchor_ms,
+           coalesce(e.recall_count, 0) AS rehearsals,
+           created.epochMillis AS created_ms,
+           coalesce(e.context_summary, e.title) AS label
+  `,
+  captures: `
+    MATCH (c:Capture)
+    WHERE NOT c:Archived AND NOT EXISTS { (c)-[:BECAME]->(:Event) }
+    RETURN c.capture_id AS key,
+           coalesce(c.thalamus_score, 0.5) AS base,
+           c.timestamp.epochMillis AS anchor_ms,
+           0 AS rehearsals,
+           c.timestamp.epochMillis AS created_ms,
+           left(c.description, 80) AS label
+  `,
+  consolidations: `
+    MATCH (e:Event)-[r:CONSOLIDATED_TO]->(target)
+    WHERE coalesce(r.archived, false) = false
+    WITH e, r, target, coalesce(e.happened_at, e.timestamp) AS created
+    RETURN elementId(r) AS key,
+           coalesce(r.strength, 0.5) AS base,
+           coalesce(r.last_rehearsed_at, created).epochMillis AS anchor_ms,
+           coalesce(r.rehearsal_count, 1) - 1 AS rehearsals,
+           created.epochMillis AS created_ms,
+           e.id + ' -> ' + coalesce(target.id, target.name, '?') AS label
+  `,
+  bonds: `
+    MATCH (from)-[b:BOND]->(to)
+    RETURN elementId(b) AS key,
+           coalesce(b.strength, 0.5) AS base,
+           coalesce(b.last_interaction, b.first_interaction).epochMillis AS anchor_ms,
+           coalesce(b.interaction_count, 1) - 1 AS rehearsals,
+           b.first_interaction.epochMillis AS created_ms,
+           coalesce(from.name, from.id, '?') + ' -> ' + coalesce(to.name, to.id, '?') AS label
+  `,
+};
+
+// Half-life setting per target (defaults to half_life_days)
+const TARGET_HALF_LIFE = {
+  bonds: 'bond_half_life_days',
+};
+
+const APPLY_QUERIES = {
+  events: {
+    update: `
+      UNWIND $rows AS row
+      MATCH (e:Event {id: row.key})
+      SET e.effective_strength = row.strength, e.last_decayed_at = datetime()
+    `,
+    archive: `
+      UNWIND $keys AS key
+      MATCH (e:Event {id: key})
+      SET e:Archived, e.archived_at = datetime()
+    `,
+    // No delete: Events are protected by the mutation policy and audit log,
+    // and their Revisions would be orphaned. action 'delete' archives them.
+  },
+  captures: {
+    update: `
+      UNWIND $rows AS row
+      MATCH (c:Capture {capture_id: row.key})
+      SET c.effective_strength = row.strength, c.last_decayed_at = datetime()
+    `,
+    archive: `
+      UNWIND $keys AS key
+      MATCH (c:Capture {capture_id: key})
+      SET c:Archived, c.archived_at = datetime()
+    `,
+    delete: `
+      UNWIND $keys AS key
+      MATCH (c:Capture {capture_id: key})
+      DETACH DELETE c
+    `,
+  },
+  consolidations: {
+    update: `
+      UNWIND $rows AS row
+      MATCH ()-[r:CONSOLIDATED_TO]->()
+      WHERE elementId(r) = row.key
+      SET r.effective_strength = row.strength, r.last_decayed_at = datetime()
+    `,
+    archive: `
+      UNWIND $keys AS key
+      MATCH ()-[r:CONSOLIDATED_TO]->()
+      WHERE elementId(r) = key
+      SET r.archived = true, r.archived_at = datetime()
+    `,
+    delete: `
+      UNWIND $keys AS key
+      MATCH ()-[r:CONSOLIDATED_TO]->()
+      WHERE elementId(r) = key
+      DELETE r
+    `,
+  },
+  // Bonds fade but are never pruned, so there is no archive or delete
+  bonds: {
+    update: `
+      UNWIND $rows AS row
+      MATCH ()-[b:BOND]->()
+      WHERE elementId(b) = row.key
+      SET b.effective_strength = row.strength, b.last_decayed_at = datetime()
+    `,
+  },
+};
+
+const REPORT_SAMPLE_SIZE = 50;
+
+/**
+ * Run one decay pass. Returns a report of scanned, decayed and pruned traces
+ * per target. With dryRun nothing is written.
+ */
+export async function runDecay(driver, options = {}) {
+  const config = { ...DEFAULT_DECAY_CONFIG, ...stripUndefined(options.config || {}) };
+  const targets = options.targets && options.targets.length > 0
+    ? options.targets
+    : Object.keys(TARGET_QUERIES);
+  const dryRun = options.dryRun !== false;
+
+  if (!(config.half_life_days > 0)) {
+    throw new Error('half_life_days must be greater than 0');
+  }
+  if (!(config.bond_half_life_days > 0)) {
+    throw new Error('bond_half_life_days must be greater than 0');
+  }
+  if (!['archive', 'delete'].includes(config.action)) {
+    throw new Error(`Unknown decay action: ${config.action}`);
+  }
+  for (const target of targets) {
+    if (!TARGET_QUERIES[target]) {
+      throw new Error(`Unknown decay target: ${target}`);
+    }
+  }
+
+  const now = Date.now();
+  const report = {};
+
+  const session = driver.session();
+  try {
+    for (const target of targets) {
+      const result = await session.executeRead(tx => tx.run(TARGET_QUERIES[target]));
+      const targetConfig = TARGET_HALF_LIFE[target]
+        ? { ...config, half_life_days: config[TARGET_HALF_LIFE[target]] }
+        : config;
+      const pruneAction = APPLY_QUERIES[target][config.action] ? config.action
+        : APPLY_QUERIES[target].archive ? 'archive'
+          : null;
+
+      const rows = [];
+      const pruned = [];
+
+      for (const record of result.records) {
+        const anchorMs = toNumber(record.get('anchor_ms'));
+        const createdMs = toNumber(record.get('created_ms'));
+        if (anchorMs === null) {
+          continue;
+        }
+
+        const base = toNumber(record.get('base'));
+        const ageDays = (now - anchorMs) / DAY_MS;
+        const strength = round(base * retention(ageDays, toNumber(record.get('rehearsals')), targetConfig));
+        const key = record.get('key');
+
+        rows.push({ key, strength });
+
+        const pastGrace = createdMs === null || (now - createdMs) / DAY_MS >= config.grace_days;
+        if (pruneAction && strength < config.prune_threshold && pastGrace) {
+          pruned.push({ key, label: record.get('label'), effective_strength: strength });
+        }
+      }
+
+      if (!dryRun && rows.length > 0) {
+        await session.executeWrite(async tx => {
+          await tx.run(APPLY_QUERIES[target].update, { rows });
+          if (pruned.length > 0) {
+            await tx.run(APPLY_QUERIES[target][pruneAction], { keys: pruned.map(p => p.key) });
+          }
+        });
+      }
+
+      report[target] = {
+        scanned: result.records.length,
+        decayed: rows.length,
+        pruned: pruned.length,
+        prune_action: pruneAction,
+        pruned_sample: pruned
+          .sort((a, b) => a.effective_strength - b.effective_strength)
+          .slice(0, REPORT_SAMPLE_SIZE),
+      };
+    }
+  } finally {
+    await session.close();
+  }
+
+  return { dry_run: dryRun, config, targets: report };
+}
+
+// ============================================================================
+// REHEARSAL (Retrieval-induced strengthening)
+// ============================================================================
+
+/**
+ * Mark events as rehearsed after they were returned by a recall tool:
+ * stamps last_recalled_at, increments recall_count, and bumps rehearsal_count
+ * and strength on their CONSOLIDATED_TO edges. Strength moves a fixed
+ * fraction of the remaining distance to 1.0 so it never saturates past it.
+ * Returns the number of events reinforced.
+ */
+export async function reinforceEvents(driver, eventIds, increment = RECALL_STRENGTH_INCREMENT) {
+  if (!eventIds || eventIds.length === 0) {
+    return 0;
+  }
+
+  const session = driver.session();
+  try {
+    const result = await session.executeWrite(tx => tx.run(
+      `
+      UNWIND $eventIds AS eventId
+      MATCH (e:Event {id: eventId})
+      SET e.last_recalled_at = datetime(),
+          e.recall_count = coalesce(e.recall_count, 0) + 1
+      WITH e
+      OPTIONAL MATCH (e)-[r:CONSOLIDATED_TO]->()
+      FOREACH (_ IN CASE WHEN r IS NULL THEN [] ELSE [1] END |
+        SET r.rehearsal_count = coalesce(r.rehearsal_count, 0) + 1,
+            r.strength = coalesce(r.strength, 0.5) + $increment * (1.0 - coalesce(r.strength, 0.5)),
+            r.last_rehearsed_at = datetime()
+      )
+      RETURN count(DISTINCT e) AS reinforced
+      `,
+      { eventIds: [...new Set(eventIds)], increment }
+    ));
+
+    return toNumber(result.records[0].get('reinforced'));
+  } finally {
+    await session.close();
+  }
+}
+
+// ============================================================================
+// HANDLER IMPLEMENTATIONS
+// ============================================================================
+
+export async function handleRunDecay(args, startTime, context) {
+  const { driver } = context;
+  const {
+    dry_run = true,
+    targets,
+    curve,
+    half_life_days,
+    rehearsal_boost,
+    prune_threshold,
+    grace_days,
+    action,
+    bond_half_life_days,
+  } = args;
+
+  const report = await runDecay(driver, {
+    dryRun: dry_run,
+    targets,
+    config: { curve, half_life_days, rehearsal_boost, prune_threshold, grace_days, action, bond_half_life_days },
+  });
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify({
+          success: true,
+          data: report,
+          metadata: {
+            execution_time_ms: Date.now() - startTime,
+          },
+        }, null, 2),
+      },
+    ],
+  };
+}
+
+// ============================================================================
+// SCHEDULER
+// ============================================================================
+
+/**
+ * Run decay every intervalMinutes in-process, across every namespace. Returns
+ * a function that stops the scheduler. The timer is unref'd so it never keeps
+ * the process alive.
+ */
+export function startDecayScheduler(context, { intervalMinutes, config = {}, log = console.error } = {}) {
+  if (!(intervalMinutes > 0)) {
+    throw new Error('Decay scheduler interval must be greater than 0 minutes');
+  }
+
+  let running = false;
+
+  const tick = async () => {
+    // Skip overlapping passes on slow databases
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      // One pass per namespace database
+      for (const namespace of await listAllNamespaces(context.driver)) {
+        const report = await runDecay(scopeContext(context, namespace).driver, { dryRun: false, config });
+        const summary = Object.entries(report.targets)
+          .map(([target, r]) => `${target}: ${r.decayed} decayed, ${r.pruned} pruned`)
+          .join('; ');
+        log(`🍂 Decay pass complete for ${namespace.name} (${summary})`);
+      }
+    } catch (error) {
+      log(`❌ Decay pass failed: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMinutes * 60000);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+function toNumber(value) {
+  return value === null || value === undefined ? null : neo4j.integer.toNumber(value);
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+function stripUndefined(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+}
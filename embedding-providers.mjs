@@ -0,0 +1,267 @@
+/**
+ * Embedding Providers
+ *
+ * Pluggable backends behind context.generateEmbedding (and generateEmbeddings
+ * for lists of texts):
+ * - openai: OpenAI embeddings API (text-embedding-3-small by default)
+ * - local: Deterministic feature-hashing vectorizer (offline, no network)
+ * - http: Self-hosted model exposing an OpenAI-compatible /embeddings endpoint
+ *
+ * Selected with EMBEDDING_PROVIDER (defaults to 'openai'). Every provider
+ * returns vectors of EMBEDDING_DIMENSIONS length so they fit the
+ * event_embeddings vector index created by setup-vector-index.mjs, and
+ * embeds single texts (embed) or lists of them (embedBatch, sent in requests
+ * of at most EMBEDDING_BATCH_SIZE texts).
+ *
+ * Network providers take an optional config.fetch, so they can be exercised
+ * without a network.
+ */
+
+import OpenAI from 'openai';
+
+export const DEFAULT_EMBEDDING_DIMENSIONS = 1536;
+
+export const DEFAULT_EMBEDDING_BATCH_SIZE = 64;
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Read embedding provider configuration from environment variables.
+ */
+export function embeddingConfigFromEnv(env = process.env) {
+  return {
+    provider: (env.EMBEDDING_PROVIDER || 'openai').toLowerCase(),
+    model: env.EMBEDDING_MODEL || null,
+    dimensions: env.EMBEDDING_DIMENSIONS
+      ? parseInt(env.EMBEDDING_DIMENSIONS, 10)
+      : DEFAULT_EMBEDDING_DIMENSIONS,
+    openaiApiKey: env.OPENAI_API_KEY || null,
+    httpUrl: env.EMBEDDING_HTTP_URL || null,
+    httpApiKey: env.EMBEDDING_HTTP_API_KEY || null,
+    httpTimeoutMs: env.EMBEDDING_HTTP_TIMEOUT_MS
+      ? parseInt(env.EMBEDDING_HTTP_TIMEOUT_MS, 10)
+      : 30000,
+    batchSize: env.EMBEDDING_BATCH_SIZE
+      ? parseInt(env.EMBEDDING_BATCH_SIZE, 10)
+      : DEFAULT_EMBEDDING_BATCH_SIZE,
+  };
+}
+
+/**
+ * Create the configured embedding provider.
+ * Throws if the selected provider is missing required settings.
+ */
+export function createEmbeddingProvider(config = embeddingConfigFromEnv()) {
+  if (!Number.isInteger(config.dimensions) || config.dimensions <= 0) {
+    throw new Error('EMBEDDING_DIMENSIONS must be a positive integer');
+  }
+  if (config.batchSize !== undefined && (!Number.isInteger(config.batchSize) || config.batchSize <= 0)) {
+    throw new Error('EMBEDDING_BATCH_SIZE must be a positive integer');
+  }
+
+  switch (config.provider) {
+    case 'openai':
+      return createOpenAIProvider(config);
+
+    case 'local':
+      return createLocalProvider(config);
+
+    case 'http':
+      return createHttpProvider(config);
+
+    default:
+      throw new Error(`Unknown EMBEDDING_PROVIDER: ${config.provider} (expected openai, local or http)`);
+  }
+}
+
+/**
+ * Embed texts in consecutive requests of at most batchSize texts, keeping
+ * their order.
+ */
+async function embedInBatches(texts, batchSize = DEFAULT_EMBEDDING_BATCH_SIZE, embedChunk) {
+  const embeddings = [];
+  for (let start = 0; start < texts.length; start += batchSize) {
+    embeddings.push(...await embedChunk(texts.slice(start, start + batchSize)));
+  }
+  return embeddings;
+}
+
+/**
+ * Embeddings from an OpenAI-style { data: [{ embedding, index }] } body, in
+ * input order, checked against the expected count and dimensions.
+ */
+function embeddingsFromData(data, count, dimensions, source) {
+  if (!Array.isArray(data) || data.length !== count) {
+    throw new Error(`${source} returned ${Array.isArray(data) ? data.length : 'no'} embeddings, expected ${count}`);
+  }
+
+  const ordered = [...data].sort((a, b) => (a.index ?? 0) - (b.index ?? 0));
+  return ordered.map(({ embedding }) => checkedEmbedding(embedding, dimensions, source));
+}
+
+function checkedEmbedding(embedding, dimensions, source) {
+  if (!Array.isArray(embedding)) {
+    throw new Error(`${source} response did not contain an embedding array`);
+  }
+  if (embedding.length !== dimensions) {
+    throw new Error(`${source} returned ${embedding.length} dimensions, expected ${dimensions}`);
+  }
+  return embedding;
+}
+
+// ============================================================================
+// OPENAI PROVIDER
+// ============================================================================
+
+function createOpenAIProvider(config) {
+  if (!config.openaiApiKey) {
+    throw new Error('Missing OPENAI_API_KEY environment variable (required by EMBEDDING_PROVIDER=openai)');
+  }
+
+  const openai = new OpenAI({
+    apiKey: config.openaiApiKey,
+    ...(config.fetch && { fetch: config.fetch }),
+  });
+  const model = config.model || 'text-embedding-3-small';
+
+  const embedChunk = async (input) => {
+    let response;
+    try {
+      response = await openai.embeddings.create({
+        model,
+        input,
+        // Only text-embedding-3-* accepts a dimensions override
+        ...(config.dimensions !== DEFAULT_EMBEDDING_DIMENSIONS && { dimensions: config.dimensions }),
+      });
+    } catch (error) {
+      if (error instanceof OpenAI.APIError) {
+        throw new Error(`OpenAI embeddings API returned ${error.status ?? 'no response'}: ${error.message}`);
+      }
+      throw error;
+    }
+    return embeddingsFromData(response.data, input.length, config.dimensions, 'OpenAI embeddings API');
+  };
+
+  return {
+    name: 'openai',
+    model,
+    dimensions: config.dimensions,
+    embed: async (text) => (await embedChunk([text]))[0],
+    embedBatch: texts => embedInBatches(texts, config.batchSize, embedChunk),
+  };
+}
+
+// ============================================================================
+// LOCAL PROVIDER (Feature hashing)
+// ============================================================================
+
+function createLocalProvider(config) {
+  const dimensions = config.dimensions;
+
+  return {
+    name: 'local',
+    model: config.model || `feature-hash-${dimensions}`,
+    dimensions,
+    embed: async (text) => hashEmbedding(text, dimensions),
+    embedBatch: async (texts) => texts.map(text => hashEmbedding(text, dimensions)),
+  };
+}
+
+/**
+ * Signed feature-hashing vectorizer over word unigrams, word bigrams and
+ * character trigrams. Deterministic and L2-normalized, so cosine similarity
+ * tracks lexical overlap between texts.
+ */
+export function hashEmbedding(text, dimensions = DEFAULT_EMBEDDING_DIMENSIONS) {
+  const vector = new Array(dimensions).fill(0);
+  const normalized = String(text || '').toLowerCase();
+  const words = normalized.match(/[\p{L}\p{N}]+/gu) || [];
+
+  const addFeature = (feature, weight) => {
+    const hash = fnv1a(feature);
+    const index = hash % dimensions;
+    // Use an independent hash bit for the sign to reduce collision bias
+    const sign = (fnv1a(`#${feature}`) & 1) === 0 ? 1 : -1;
+    vector[index] += sign * weight;
+  };
+
+  for (let i = 0; i < words.length; i++) {
+    addFeature(`w:${words[i]}`, 1.0);
+    if (i + 1 < words.length) {
+      addFeature(`b:${words[i]} ${words[i + 1]}`, 0.5);
+    }
+
+    const padded = ` ${words[i]} `;
+    for (let j = 0; j + 3 <= padded.length; j++) {
+      addFeature(`c:${padded.slice(j, j + 3)}`, 0.25);
+    }
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  if (norm === 0) {
+    // Vector indexes reject all-zero vectors under cosine similarity
+    vector[0] = 1;
+    return vector;
+  }
+
+  return vector.map(v => v / norm);
+}
+
+// 32-bit FNV-1a hash of a UTF-8 string
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (const byte of Buffer.from(str, 'utf8')) {
+    hash ^= byte;
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// ============================================================================
+// HTTP PROVIDER (Self-hosted model)
+// ============================================================================
+
+function createHttpProvider(config) {
+  if (!config.httpUrl) {
+    throw new Error('Missing EMBEDDING_HTTP_URL environment variable (required by EMBEDDING_PROVIDER=http)');
+  }
+
+  const model = config.model || 'default';
+  const request = config.fetch || fetch;
+
+  const post = async (input) => {
+    const response = await request(config.httpUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(config.httpApiKey && { Authorization: `Bearer ${config.httpApiKey}` }),
+      },
+      body: JSON.stringify({ model, input }),
+      signal: AbortSignal.timeout(config.httpTimeoutMs),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Embedding endpoint returned ${response.status} ${response.statusText}`);
+    }
+
+    return await response.json();
+  };
+
+  return {
+    name: 'http',
+    model,
+    dimensions: config.dimensions,
+    embed: async (text) => {
+      const body = await post(text);
+      // Accept OpenAI-style { data: [{ embedding }] } or bare { embedding }
+      return checkedEmbedding(body.data?.[0]?.embedding ?? body.embedding, config.dimensions, 'Embedding endpoint');
+    },
+    // Batches need the OpenAI-style response, one entry per input
+    embedBatch: texts => embedInBatches(texts, config.batchSize, async (input) => {
+      const body = await post(input);
+      return embeddingsFromData(body.data, input.length, config.dimensions, 'Embedding endpoint');
+    }),
+  };
+}
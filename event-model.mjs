@@ -0,0 +1,343 @@
+/**
+ * Canonical Event Model
+ *
+ * encode_memory and hippocampus_write_event historically wrote two different
+ * :Event shapes. Every Event now carries the union of both, so recall_memory
+ * and hippocampus_search_events see the whole graph:
+ *
+ *   id, happened_at (canonical time), title, description, type,
+ *   context_summary, full_content, emotional_valence, significance,
+ *   glyph_encoding, embedding, embedding_model, schema_version
+ *
+ * - migrate_events: Backfill canonical fields (and embeddings) on Events
+ *   written before the unified model
+ */
+
+import neo4j from 'neo4j-driver';
+import { baselineRevisions, captureRevisions } from './revision-extension.mjs';
+
+export const EVENT_SCHEMA_VERSION = 2;
+
+export const EVENT_TYPES = ['conversation', 'realization', 'correction', 'collaboration', 'genesis'];
+
+export const VALENCE_SIGN = {
+  positive: 1,
+  negative: -1,
+  neutral: 0,
+  mixed: 0,
+};
+
+// Tool definitions for Event Model
+export const eventModelTools = [
+  {
+    name: 'migrate_events',
+    description: 'Backfill the canonical Event model on existing Events: happened_at, title/description, type, context_summary/full_content, emotional_valence, significance and missing embeddings. Safe to re-run; dry-run by default.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dry_run: {
+          type: 'boolean',
+          default: true,
+          description: 'Report how many Events would change without writing',
+        },
+        batch_size: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 1000,
+          default: 100,
+          description: 'Events migrated per transaction',
+        },
+        embed: {
+          type: 'boolean',
+          default: true,
+          description: 'Generate embeddings for Events that have none',
+        },
+      },
+    },
+  },
+];
+
+// ============================================================================
+// FIELD DERIVATION
+// ============================================================================
+
+/**
+ * First sentence of a text, truncated to a short semantic label.
+ */
+export function deriveTitle(text) {
+  const firstSentence = (text || '').split(/(?<=[.!?])\s/)[0].trim();
+  return firstSentence.length > 80 ? `${firstSentence.slice(0, 77)}...` : firstSentence;
+}
+
+/**
+ * Collapse Effect valences into a -1.0..1.0 emotional_valence, weighted by
+ * intensity. Returns 0 when there are no effects.
+ */
+export function valenceFromEffects(effects = []) {
+  const weighted = effects.filter(f => f && f.valence in VALENCE_SIGN);
+  const totalIntensity = weighted.reduce((sum, f) => sum + (f.intensity ?? 0.5), 0);
+  if (totalIntensity === 0) {
+    return 0;
+  }
+  const score = weighted.reduce((sum, f) => sum + VALENCE_SIGN[f.valence] * (f.intensity ?? 0.5), 0);
+  return Math.round((score / totalIntensity) * 1000) / 1000;
+}
+
+/**
+ * Significance of a Who/Why/What/Where/Effects event: its strongest effect,
+ * or a neutral 0.5 when it has none.
+ */
+export function significanceFromEffects(effects = []) {
+  const intensities = effects.map(f => f?.intensity).filter(i => typeof i === 'number');
+  return intensities.length > 0 ? Math.max(...intensities) : 0.5;
+}
+
+/**
+ * Canonical fields for an encode_memory event.
+ */
+export function canonicalFromEncoded(event) {
+  return {
+    title: event.title || deriveTitle(event.context_summary),
+    description: event.full_content || event.context_summary,
+    type: event.type,
+    context_summary: event.context_summary,
+    full_content: event.full_content || null,
+    emotional_valence: event.emotional_valence,
+    significance: event.significance,
+  };
+}
+
+/**
+ * Canonical fields for a hippocampus_write_event event.
+ */
+export function canonicalFromWritten(event) {
+  return {
+    title: event.title,
+    description: event.description,
+    type: event.type || 'conversation',
+    context_summary: event.title,
+    full_content: event.description,
+    emotional_valence: event.emotional_valence ?? valenceFromEffects(event.effects),
+    significance: event.significance ?? significanceFromEffects(event.effects),
+  };
+}
+
+/**
+ * Text embedded for an Event's semantic index entry: summary and detail,
+ * plus catalysts (why) and effect summaries for Who/Why/What/Where/Effects
+ * events.
+ */
+export function eventEmbeddingText(fields) {
+  const summary = fields.context_summary || fields.title || '';
+  const detail = fields.full_content || fields.description;
+  const parts = [summary];
+
+  if (detail && detail !== summary) {
+    parts.push(detail);
+  }
+  if (fields.why && fields.why.length > 0) {
+    parts.push(`Why: ${fields.why.join('; ')}`);
+  }
+
+  const effectSummaries = (fields.effects || []).map(f => f?.summary).filter(Boolean);
+  if (effectSummaries.length > 0) {
+    parts.push(`Effects: ${effectSummaries.join('; ')}`);
+  }
+
+  return parts.join('\n\n');
+}
+
+/**
+ * Text embedded for a Reflection: the agent's interpretation, so agents can
+ * search their own reading of events.
+ */
+export function reflectionEmbeddingText(reflection) {
+  return String(reflection.summary || '').trim();
+}
+
+// ============================================================================
+// CORRECTIONS
+// ============================================================================
+
+// Relevance multiplier for superseded Events when callers ask to see them
+export const SUPERSEDED_RELEVANCE_FACTOR = 0.5;
+
+/**
+ * Mark earlier Events as superseded by a correction:
+ * (correction)-[:SUPERSEDES]->(corrected). Throws if any id is unknown or
+ * is the correction itself, so a typo can't silently leave a stale belief
+ * in place. Returns the ids linked.
+ */
+export async function linkCorrections(tx, eventId, correctedIds = []) {
+  const ids = [...new Set(correctedIds)];
+  if (ids.length === 0) {
+    return [];
+  }
+  if (ids.includes(eventId)) {
+    throw new Error('An event cannot correct itself');
+  }
+
+  const result = await tx.run(
+    `
+    MATCH (e:Event {id: $eventId})
+    UNWIND $ids AS correctedId
+    MATCH (old:Event {id: correctedId})
+    MERGE (e)-[s:SUPERSEDES]->(old)
+    ON CREATE SET s.at = datetime()
+    RETURN old.id AS id
+    `,
+    { eventId, ids }
+  );
+
+  const linked = result.records.map(record => record.get('id'));
+  const missing = ids.filter(id => !linked.includes(id));
+  if (missing.length > 0) {
+    throw new Error(`Cannot correct unknown event(s): ${missing.join(', ')}`);
+  }
+
+  return linked;
+}
+
+// ============================================================================
+// MIGRATION
+// ============================================================================
+
+export async function handleMigrateEvents(args, startTime, context) {
+  const { driver, generateEmbeddings, embeddingProvider, principal } = context;
+  const { dry_run = true, batch_size = 100, embed = true } = args;
+
+  const session = driver.session();
+
+  try {
+    const countResult = await session.executeRead(tx => tx.run(
+      `
+      MATCH (e:Event)
+      WHERE coalesce(e.schema_version, 1) < $version
+      RETURN count(e) AS pending,
+             count(CASE WHEN e.happened_at IS NULL THEN 1 END) AS missing_happened_at,
+             count(CASE WHEN e.title IS NULL THEN 1 END) AS missing_title,
+             count(CASE WHEN e.context_summary IS NULL THEN 1 END) AS missing_context_summary,
+             count(CASE WHEN e.embedding IS NULL THEN 1 END) AS missing_embedding
+      `,
+      { version: neo4j.int(EVENT_SCHEMA_VERSION) }
+    ));
+
+    const counts = countResult.records[0].toObject();
+    const report = Object.fromEntries(
+      Object.entries(counts).map(([key, value]) => [key, neo4j.integer.toNumber(value)])
+    );
+
+    let migrated = 0;
+    let embedded = 0;
+
+    if (!dry_run) {
+      // Each batch stamps schema_version, so the next read picks up where it left off
+      while (true) {
+        const batch = await session.executeRead(tx => tx.run(
+          `
+          MATCH (e:Event)
+          WHERE coalesce(e.schema_version, 1) < $version AND e.id IS NOT NULL
+          WITH e LIMIT $batchSize
+          RETURN e {
+                   .id, .timestamp, .happened_at, .title, .description, .type,
+                   .context_summary, .full_content, .emotional_valence, .significance
+                 } AS props,
+                 e.embedding IS NOT NULL AS has_embedding,
+                 [(e)-[:CATALYZED_BY]->(c:Catalyst) | c.description] AS why,
+                 [(e)-[:HAD_EFFECT_ON]->(f:Effect) | f { .summary, .valence, .intensity }] AS effects
+          `,
+          { version: neo4j.int(EVENT_SCHEMA_VERSION), batchSize: neo4j.int(batch_size) }
+        ));
+
+        if (batch.records.length === 0) {
+          break;
+        }
+
+        const rows = batch.records.map((record) => {
+          const props = record.get('props');
+          const effects = record.get('effects');
+          const fields = migrateFields(props, effects);
+          const embeddingText = embed && !record.get('has_embedding')
+            ? eventEmbeddingText({ ...props, ...fields, why: record.get('why'), effects })
+            : null;
+          return { id: props.id, fields, embedding: null, embeddingText };
+        });
+
+        // One embedding request per provider batch instead of one per Event
+        const toEmbed = rows.filter(row => row.embeddingText !== null);
+        if (toEmbed.length > 0) {
+          const embeddings = await generateEmbeddings(toEmbed.map(row => row.embeddingText));
+          toEmbed.forEach((row, i) => { row.embedding = embeddings[i]; });
+          embedded += toEmbed.length;
+        }
+
+        const revisionScope = { kinds: ['Event'], ids: rows.map(row => row.id), author: principal, tool: 'migrate_events' };
+
+        await session.executeWrite(async tx => {
+          await baselineRevisions(tx, revisionScope);
+          await tx.run(
+            `
+            UNWIND $rows AS row
+            MATCH (e:Event {id: row.id})
+            SET e += row.fields,
+                e.happened_at = coalesce(e.happened_at, e.timestamp),
+                e.schema_version = $version
+            FOREACH (_ IN CASE WHEN row.embedding IS NULL THEN [] ELSE [1] END |
+              SET e.embedding = row.embedding, e.embedding_model = $embeddingModel
+            )
+            `,
+            {
+              rows: rows.map(({ id, fields, embedding }) => ({ id, fields, embedding })),
+              version: neo4j.int(EVENT_SCHEMA_VERSION),
+              embeddingModel: embeddingProvider.model,
+            }
+          );
+          await captureRevisions(tx, revisionScope);
+        });
+
+        migrated += rows.length;
+      }
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            data: {
+              dry_run,
+              before: report,
+              migrated,
+              embeddings_generated: embedded,
+            },
+            metadata: {
+              execution_time_ms: Date.now() - startTime,
+              schema_version: EVENT_SCHEMA_VERSION,
+            },
+          }, null, 2),
+        },
+      ],
+    };
+  } finally {
+    await session.close();
+  }
+}
+
+/**
+ * Fill in missing canonical fields from whichever shape an Event was written
+ * with. Existing values always win; only nulls are backfilled.
+ */
+function migrateFields(props, effects) {
+  const derived = props.context_summary
+    ? canonicalFromEncoded(props)
+    : canonicalFromWritten({ ...props, effects });
+
+  const fields = {};
+  for (const [key, value] of Object.entries(derived)) {
+    if ((props[key] === null || props[key] === undefined) && value !== null && value !== undefined) {
+      fields[key] = value;
+    }
+  }
+  return fields;
+}
@@ -0,0 +1,74 @@
+/**
+ * Graph Schema
+ *
+ * Vector and full-text indexes, constraints and indexes every memory
+ * database needs. Applied to the home database by setup-vector-index.mjs
+ * (npm run setup-schema) and to each new namespace database by
+ * create_namespace.
+ */
+
+/**
+ * Schema statements in the order they are applied. The vector index sizes
+ * must match the embedding provider's dimensions.
+ */
+export function schemaStatements(dimensions) {
+  if (!Number.isInteger(dimensions) || dimensions <= 0) {
+    throw new Error('EMBEDDING_DIMENSIONS must be a positive integer');
+  }
+
+  return [
+    `CREATE VECTOR INDEX event_embeddings IF NOT EXISTS
+     FOR (e:Event)
+     ON e.embedding
+     OPTIONS {
+       indexConfig: {
+         \`vector.dimensions\`: ${dimensions},
+         \`vector.similarity_function\`: 'cosine'
+       }
+     }`,
+    `CREATE VECTOR INDEX reflection_embeddings IF NOT EXISTS
+     FOR (r:Reflection)
+     ON r.embedding
+     OPTIONS {
+       indexConfig: {
+         \`vector.dimensions\`: ${dimensions},
+         \`vector.similarity_function\`: 'cosine'
+       }
+     }`,
+    `CREATE FULLTEXT INDEX event_fulltext IF NOT EXISTS
+     FOR (e:Event)
+     ON EACH [e.title, e.description, e.context_summary, e.full_content, e.glyph_encoding]`,
+    'CREATE CONSTRAINT person_id IF NOT EXISTS FOR (p:Person) REQUIRE p.id IS UNIQUE',
+    'CREATE CONSTRAINT project_id IF NOT EXISTS FOR (p:Project) REQUIRE p.id IS UNIQUE',
+    'CREATE CONSTRAINT concept_id IF NOT EXISTS FOR (c:Concept) REQUIRE c.id IS UNIQUE',
+    'CREATE CONSTRAINT event_id IF NOT EXISTS FOR (e:Event) REQUIRE e.id IS UNIQUE',
+    'CREATE CONSTRAINT capture_id IF NOT EXISTS FOR (c:Capture) REQUIRE c.capture_id IS UNIQUE',
+    'CREATE CONSTRAINT episode_id IF NOT EXISTS FOR (ep:Episode) REQUIRE ep.id IS UNIQUE',
+    'CREATE CONSTRAINT schema_key IF NOT EXISTS FOR (s:Schema) REQUIRE s.key IS UNIQUE',
+    'CREATE INDEX event_time IF NOT EXISTS FOR (e:Event) ON (e.happened_at)',
+    'CREATE CONSTRAINT audit_id IF NOT EXISTS FOR (a:AuditEntry) REQUIRE a.id IS UNIQUE',
+    'CREATE INDEX audit_time IF NOT EXISTS FOR (a:AuditEntry) ON (a.at)',
+    'CREATE INDEX revision_target IF NOT EXISTS FOR (r:Revision) ON (r.target_id, r.version)',
+    'CREATE INDEX reflection_id IF NOT EXISTS FOR (r:Reflection) ON (r.id)',
+    'CREATE INDEX bond_id IF NOT EXISTS FOR ()-[b:BOND]-() ON (b.id)',
+    'CREATE CONSTRAINT bond_observation_id IF NOT EXISTS FOR (o:BondObservation) REQUIRE o.id IS UNIQUE',
+    'CREATE INDEX bond_observation_bond IF NOT EXISTS FOR (o:BondObservation) ON (o.bond_id, o.at)',
+  ];
+}
+
+/**
+ * Apply every schema statement in a session. Idempotent.
+ * Returns the names of the indexes and constraints applied.
+ */
+export async function applyGraphSchema(session, { dimensions, log = () => {} }) {
+  const applied = [];
+
+  for (const statement of schemaStatements(dimensions)) {
+    await session.run(statement);
+    const name = statement.match(/(?:CONSTRAINT|INDEX) (\w+)/)[1];
+    applied.push(name);
+    log(name);
+  }
+
+  return applied;
+}
@@ -5,8 +5,30 @@
  * - hippocampus_write_event: Create Event with Who/Why/What/Where/Effects blocks
  * - hippocampus_write_reflection: Agent-relative memory slice
  * - hippocampus_search_events: Pattern completion retrieval
+ * - hippocampus_agent_recall: Agent-relative retrieval of the events an agent
+ *   reflected on, through the effects they had on it
+ * - compare_perspectives: How agents' reflections on the same event diverge
  */
 
+import neo4j from 'neo4j-driver';
+import { reinforceEvents, RECALL_REINFORCEMENT_ENABLED } from './decay-extension.mjs';
+import { retrieveCandidates, widenSearch } from './hybrid-search.mjs';
+import { cosine } from './consolidation-extension.mjs';
+import {
+  canonicalFromWritten,
+  eventEmbeddingText,
+  reflectionEmbeddingText,
+  linkCorrections,
+  valenceFromEffects,
+  EVENT_TYPES,
+  EVENT_SCHEMA_VERSION,
+  SUPERSEDED_RELEVANCE_FACTOR,
+  VALENCE_SIGN,
+} from './event-model.mjs';
+import { baselineRevisions } from './revision-extension.mjs';
+
+export const REFLECTION_VECTOR_INDEX = 'reflection_embeddings';
+
 // Tool definitions for Hippocampus Module
 export const hippocampusTools = [
   {
@@ -35,6 +57,23 @@ export const hippocampusTools = [
               format: 'date-time',
               description: 'ISO 8601 timestamp (defaults to now)',
             },
+            type: {
+              type: 'string',
+              enum: EVENT_TYPES,
+              description: 'Type of episodic event (defaults to conversation)',
+            },
+            emotional_valence: {
+              type: 'number',
+              minimum: -1.0,
+              maximum: 1.0,
+              description: 'Emotional tone (derived from effects if omitted)',
+            },
+            significance: {
+              type: 'number',
+              minimum: 0.0,
+              maximum: 1.0,
+              description: 'Consolidation priority (strongest effect intensity if omitted)',
+            },
             who: {
               type: 'array',
               items: {
@@ -115,6 +154,11 @@ export const hippocampusTools = [
               },
               description: 'Outcomes with emotional weighting',
             },
+            corrects: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'IDs of earlier events this event corrects (usually with type "correction"). They are linked via SUPERSEDES and hidden from search unless include_superseded is set',
+            },
           },
           required: ['title', 'description', 'who', 'where'],
         },
@@ -168,7 +212,7 @@ export const hippocampusTools = [
       properties: {
         semantic_query: {
           type: 'string',
-          description: 'Natural language query for semantic search (optional)',
+          description: 'Natural language query for semantic search via the event_embeddings index; combined with the other filters and ranked by similarity (optional)',
         },
         time_range: {
           type: 'object',
@@ -202,6 +246,11 @@ export const hippocampusTools = [
           maximum: 1.0,
           description: 'Minimum emotional intensity threshold',
         },
+        include_superseded: {
+          type: 'boolean',
+          default: false,
+          description: 'Include events superseded by a correction, marked outdated with the ids of the correcting events (ranked lower in semantic search)',
+        },
         limit: {
           type: 'integer',
           minimum: 1,
@@ -209,9 +258,90 @@ export const hippocampusTools = [
           default: 10,
           description: 'Maximum results to return',
         },
+        reinforce: {
+          type: 'boolean',
+          description: 'Strengthen returned events (recall_count, last_recalled_at, consolidation rehearsal). Defaults to the server RECALL_REINFORCEMENT setting; pass false for analytics queries',
+        },
       },
     },
   },
+  {
+    name: 'hippocampus_agent_recall',
+    description: 'Agent-relative retrieval: events an agent has reflected on, filtered to those that affected the agent at or above an intensity threshold, with the agent\'s own reflections. Optionally ranks by semantic similarity of the query to the agent\'s reflections (its interpretations, not the events themselves).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        agent_id: {
+          type: 'string',
+          description: 'Agent whose perspective to recall from',
+        },
+        query: {
+          type: 'string',
+          description: 'Natural language query matched against the agent\'s reflection summaries (optional)',
+        },
+        min_effect_intensity: {
+          type: 'number',
+          minimum: 0.0,
+          maximum: 1.0,
+          default: 0.0,
+          description: 'Minimum intensity of an effect on the agent',
+        },
+        require_effect: {
+          type: 'boolean',
+          default: true,
+          description: 'Only events with an effect on the agent at or above min_effect_intensity; false also returns reflected events without one',
+        },
+        reflection_valence: {
+          type: 'string',
+          enum: ['positive', 'negative', 'neutral', 'mixed'],
+          description: 'Only reflections with this valence',
+        },
+        time_range: {
+          type: 'object',
+          properties: {
+            start: { type: 'string', format: 'date-time' },
+            end: { type: 'string', format: 'date-time' },
+          },
+          description: 'Filter by when the event happened',
+        },
+        include_superseded: {
+          type: 'boolean',
+          default: false,
+          description: 'Include events superseded by a correction (marked outdated)',
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 100,
+          default: 10,
+        },
+        reinforce: {
+          type: 'boolean',
+          description: 'Rehearse returned events (defaults to RECALL_REINFORCEMENT)',
+        },
+      },
+      required: ['agent_id'],
+    },
+  },
+  {
+    name: 'compare_perspectives',
+    description: 'Compare how agents remember the same Event: aligns each agent\'s latest reflection (valence, summary, who it considered) with the event\'s effects on that agent, and measures divergence as valence spread and embedding distance between the reflections. Returns a per-agent diff against the others, with earlier reflections listed.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        event_id: {
+          type: 'string',
+          description: 'Event whose reflections to compare',
+        },
+        agent_ids: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Only compare these agents (default: every agent that reflected on the event)',
+        },
+      },
+      required: ['event_id'],
+    },
+  },
 ];
 
 // ============================================================================
@@ -225,147 +355,8 @@ export async function handleWriteEvent(args, startTime, context) {
 
   try {
     const { event } = args;
-    
-    // Generate event ID if not provided
-    const eventId = event.id || `event-${Date.now()}-${crypto.randomUUID().toString(36).substring(7)}`;
-    const happenedAt = event.happened_at || new Date().toISOString();
-    
-    // Create Event node
-    await tx.run(
-      `
-      CREATE (e:Event {
-        id: $id,
-        happened_at: datetime($happenedAt),
-        title: $title,
-        description: $description
-      })
-      `,
-      {
-        id: eventId,
-        happenedAt,
-        title: event.title,
-        description: event.description,
-      }
-    );
 
-    // WHERE Block - Place
-    if (event.where) {
-      await tx.run(
-        `
-        MATCH (e:Event {id: $eventId})
-        MERGE (p:Place {name: $placeName})
-        MERGE (e)-[:HELD_AT]->(p)
-        `,
-        { eventId, placeName: event.where }
-      );
-    }
-
-    // WHO Block - Participants
-    if (event.who) {
-      await tx.run(
-        `
-        MATCH (e:Event {id: $eventId})
-        WITH e, $participants AS participants
-        // Handle person participants
-        WITH e, [p IN participants WHERE p.type = 'person'] AS persons,
-             [p IN participants WHERE p.type = 'agent'] AS agents
-        UNWIND persons AS participant
-        MERGE (p:Person {name: participant.id})
-        MERGE (p)-[:PARTICIPATED_IN]->(e)
-        WITH e, agents
-        UNWIND agents AS participant
-        MERGE (a:Agent {id: participant.id})
-        MERGE (a)-[:PARTICIPATED_IN]->(e)
-        `,
-        {
-          eventId,
-          participants: event.who,
-        }
-      );
-    }
-
-    // WHY Block - Catalysts
-    if (event.why) {
-      for (const reason of event.why) {
-        await tx.run(
-          `
-          MATCH (e:Event {id: $eventId})
-          MERGE (c:Catalyst {description: $reason})
-          MERGE (e)-[:CATALYZED_BY]->(c)
-          `,
-          { eventId, reason }
-        );
-      }
-    }
-
-    // WHAT Block - Entities involved
-    if (event.what_entities) {
-      for (const entity of event.what_entities) {
-        await tx.run(
-          `
-          MATCH (e:Event {id: $eventId})
-          MERGE (ent:Entity {id: $entityId})
-          ON CREATE SET ent.name = $name, ent.kind = $kind, ent.meta = $meta
-          MERGE (ent)-[:INVOLVED_IN]->(e)
-          `,
-          {
-            eventId,
-            entityId: entity.id,
-            name: entity.name,
-            kind: entity.kind,
-            meta: entity.meta || null,
-          }
-        );
-      }
-    }
-
-    // WHAT Block - Entities produced
-    if (event.what_produced) {
-      for (const entity of event.what_produced) {
-        await tx.run(
-          `
-          MATCH (e:Event {id: $eventId})
-          MERGE (ent:Entity {id: $entityId})
-          ON CREATE SET ent.name = $name, ent.kind = $kind, ent.meta = $meta
-          MERGE (e)-[:PRODUCED]->(ent)
-          `,
-          {
-            eventId,
-            entityId: entity.id,
-            name: entity.name,
-            kind: entity.kind,
-            meta: entity.meta || null,
-          }
-        );
-      }
-    }
-
-    // EFFECTS Block
-    if (event.effects) {
-      for (const effect of event.effects) {
-        await tx.run(
-          `
-          MATCH (e:Event {id: $eventId})
-          MERGE (t:Target {id: $targetId, kind: $targetKind})
-          CREATE (f:Effect {
-            summary: $summary,
-            valence: $valence,
-            intensity: $intensity
-          })
-          MERGE (e)-[:HAD_EFFECT_ON]->(f)
-          MERGE (f)-[:WITH_RESPECT_TO]->(t)
-          `,
-          {
-            eventId,
-            targetId: effect.target_id,
-            targetKind: effect.target_kind,
-            summary: effect.summary,
-            valence: effect.valence,
-            intensity: effect.intensity,
-          }
-        );
-      }
-    }
+    const { eventId, happenedAt, supersedes } = await writeEventGraph(tx, event, context);
 
     await tx.commit();
 
@@ -379,9 +370,11 @@ export async function handleWriteEvent(args, startTime, context) {
               event_id: eventId,
               timestamp: happenedAt,
               title: event.title,
+              supersedes,
             },
             metadata: {
               execution_time_ms: Date.now() - startTime,
+              embedding_generated: true,
             },
           }, null, 2),
         },
@@ -395,52 +388,250 @@ export async function handleWriteEvent(args, startTime, context) {
   }
 }
 
-export async function handleWriteReflection(args, startTime, context) {
-  const { driver } = context;
-  const session = driver.session();
+/**
+ * Write an Event and its Who/Why/What/Where/Effects blocks inside an open
+ * transaction. Shared by hippocampus_write_event and capture promotion.
+ * The embedding covers title, description, catalysts and effect summaries.
+ * Records the Event's first revision, credited to `tool`.
+ * Returns the event ID and happened_at timestamp that were used, and the ids
+ * of the events it supersedes (event.corrects).
+ */
+export async function writeEventGraph(tx, event, context, tool = 'hippocampus_write_event') {
+  const { generateEmbedding, embeddingProvider, principal } = context;
 
-  try {
-    const { event_id, agent_id, reflection } = args;
+  // Generate event ID if not provided
+  const eventId = event.id || `event-${Date.now()}-${crypto.randomUUID().toString(36).substring(7)}`;
+  const happenedAt = event.happened_at || new Date().toISOString();
+  const fields = canonicalFromWritten(event);
 
-    const result = await session.run(
+  const embedding = await generateEmbedding(eventEmbeddingText({
+    ...fields,
+    why: event.why,
+    effects: event.effects,
+  }));
+  
+  // Create Event node (canonical model, see event-model.mjs)
+  await tx.run(
+    `
+    CREATE (e:Event {
+      id: $id,
+      happened_at: datetime($happenedAt),
+      title: $title,
+      description: $description,
+      type: $type,
+      context_summary: $context_summary,
+      full_content: $full_content,
+      emotional_valence: $emotional_valence,
+      significance: $significance,
+      main_place: $mainPlace,
+      embedding: $embedding,
+      embedding_model: $embeddingModel,
+      schema_version: $schemaVersion
+    })
+    `,
+    {
+      id: eventId,
+      happenedAt,
+      ...fields,
+      mainPlace: event.where || null,
+      embedding,
+      embeddingModel: embeddingProvider.model,
+      schemaVersion: neo4j.int(EVENT_SCHEMA_VERSION),
+    }
+  );
+  await baselineRevisions(tx, { kinds: ['Event'], ids: [eventId], author: principal, tool, change: 'create' });
+
+  // WHERE Block - Place
+  if (event.where) {
+    await tx.run(
       `
       MATCH (e:Event {id: $eventId})
-      MERGE (a:Agent {id: $agentId})
-      
-      OPTIONAL MATCH (e)-[:HAD_EFFECT_ON]->(f:Effect)-[:WITH_RESPECT_TO]->(t:Target)
-      WHERE t.id = $agentId OR t.id IN $consideredTargets
-      
-      OPTIONAL MATCH (e)-[:HELD_AT]->(p:Place)
-      OPTIONAL MATCH (e)-[:CATALYZED_BY]->(c:Catalyst)
-      
-      WITH e, a, 
-           [$agentId] + collect(DISTINCT t.id) AS who_context,
-           [$agentId] + coalesce(collect(DISTINCT t.id), []) AS who_context,
-           collect(DISTINCT c.description) AS how_context
-      
-      CREATE (ref:Reflection {
-        summary: $summary,
-        valence: $valence,
-        entry_date: datetime(),
-        who_context: who_context,
-        where_context: where_context,
-        how_context: how_context
-      })
-      MERGE (ref)-[:ABOUT_EVENT]->(e)
-      MERGE (ref)-[:FROM_AGENT]->(a)
-      
-      RETURN ref
+      MERGE (p:Place {name: $placeName})
+      MERGE (e)-[:HELD_AT]->(p)
+      `,
+      { eventId, placeName: event.where }
+    );
+  }
+
+  // WHO Block - Participants
+  if (event.who) {
+    await tx.run(
+      `
+      MATCH (e:Event {id: $eventId})
+      WITH e, $participants AS participants
+      // Handle person participants
+      WITH e, [p IN participants WHERE p.type = 'person'] AS persons,
+           [p IN participants WHERE p.type = 'agent'] AS agents
+      UNWIND persons AS participant
+      MERGE (p:Person {name: participant.id})
+      MERGE (p)-[:PARTICIPATED_IN]->(e)
+      WITH e, agents
+      UNWIND agents AS participant
+      MERGE (a:Agent {id: participant.id})
+      MERGE (a)-[:PARTICIPATED_IN]->(e)
       `,
       {
-        eventId: event_id,
-        agentId: agent_id,
-        summary: reflection.summary,
-        valence: reflection.valence,
-        consideredTargets: reflection.considered_targets || [],
+        eventId,
+        participants: event.who,
       }
     );
+  }
+
+  // WHY Block - Catalysts
+  if (event.why) {
+    for (const reason of event.why) {
+      await tx.run(
+        `
+        MATCH (e:Event {id: $eventId})
+        MERGE (c:Catalyst {description: $reason})
+        MERGE (e)-[:CATALYZED_BY]->(c)
+        `,
+        { eventId, reason }
+      );
+    }
+  }
+
+  // WHAT Block - Entities involved
+  if (event.what_entities) {
+    for (const entity of event.what_entities) {
+      await tx.run(
+        `
+        MATCH (e:Event {id: $eventId})
+        MERGE (ent:Entity {id: $entityId})
+        ON CREATE SET ent.name = $name, ent.kind = $kind, ent.meta = $meta
+        MERGE (ent)-[:INVOLVED_IN]->(e)
+        `,
+        {
+          eventId,
+          entityId: entity.id,
+          name: entity.name,
+          kind: entity.kind,
+          meta: entity.meta || null,
+        }
+      );
+    }
+  }
+
+  // WHAT Block - Entities produced
+  if (event.what_produced) {
+    for (const entity of event.what_produced) {
+      await tx.run(
+        `
+        MATCH (e:Event {id: $eventId})
+        MERGE (ent:Entity {id: $entityId})
+        ON CREATE SET ent.name = $name, ent.kind = $kind, ent.meta = $meta
+        MERGE (e)-[:PRODUCED]->(ent)
+        `,
+        {
+          eventId,
+          entityId: entity.id,
+          name: entity.name,
+          kind: entity.kind,
+          meta: entity.meta || null,
+        }
+      );
+    }
+  }
+
+  // EFFECTS Block
+  if (event.effects) {
+    for (const effect of event.effects) {
+      await tx.run(
+        `
+        MATCH (e:Event {id: $eventId})
+        MERGE (t:Target {id: $targetId, kind: $targetKind})
+        CREATE (f:Effect {
+          summary: $summary,
+          valence: $valence,
+          intensity: $intensity
+        })
+        MERGE (e)-[:HAD_EFFECT_ON]->(f)
+        MERGE (f)-[:WITH_RESPECT_TO]->(t)
+        `,
+        {
+          eventId,
+          targetId: effect.target_id,
+          targetKind: effect.target_kind,
+          summary: effect.summary,
+          valence: effect.valence,
+          intensity: effect.intensity,
+        }
+      );
+    }
+  }
+
+  // Corrections - SUPERSEDES earlier events
+  const supersedes = await linkCorrections(tx, eventId, event.corrects);
+
+  return { eventId, happenedAt, supersedes };
+}
+
+export async function handleWriteReflection(args, startTime, context) {
+  const { driver, generateEmbedding, embeddingProvider, principal } = context;
+  const session = driver.session();
+
+  try {
+    const { event_id, agent_id, reflection } = args;
+
+    const embedding = await generateEmbedding(reflectionEmbeddingText(reflection));
+
+    const result = await session.executeWrite(async (tx) => {
+      const written = await tx.run(
+        `
+        MATCH (e:Event {id: $eventId})
+        MERGE (a:Agent {id: $agentId})
+
+        OPTIONAL MATCH (e)-[:HAD_EFFECT_ON]->(f:Effect)-[:WITH_RESPECT_TO]->(t:Target)
+        WHERE t.id = $agentId OR t.id IN $consideredTargets
+
+        OPTIONAL MATCH (e)-[:HELD_AT]->(p:Place)
+        OPTIONAL MATCH (e)-[:CATALYZED_BY]->(c:Catalyst)
+
+        WITH e, a,
+             collect(DISTINCT t.id) AS affected,
+             coalesce(head(collect(DISTINCT p.name)), e.main_place) AS where_context,
+             collect(DISTINCT c.description) AS how_context
+
+        // Self first, then considered and affected targets, without repeats
+        WITH e, a, where_context, how_context,
+             reduce(who = [$agentId], id IN $consideredTargets + affected |
+               CASE WHEN id IN who THEN who ELSE who + id END) AS who_context
+
+        CREATE (ref:Reflection {
+          id: randomUUID(),
+          summary: $summary,
+          valence: $valence,
+          entry_date: datetime(),
+          who_context: who_context,
+          where_context: where_context,
+          how_context: how_context,
+          embedding: $embedding,
+          embedding_model: $embeddingModel
+        })
+        MERGE (ref)-[:ABOUT_EVENT]->(e)
+        MERGE (ref)-[:FROM_AGENT]->(a)
+
+        RETURN ref
+        `,
+        {
+          eventId: event_id,
+          agentId: agent_id,
+          summary: reflection.summary,
+          valence: reflection.valence,
+          consideredTargets: reflection.considered_targets || [],
+          embedding,
+          embeddingModel: embeddingProvider.model,
+        }
+      );
+      const ids = written.records.map(record => record.get('ref').properties.id);
+      await baselineRevisions(tx, { kinds: ['Reflection'], ids, author: principal, tool: 'hippocampus_write_reflection', change: 'create' });
+      return written;
+    });
 
     const record = result.records[0];
+    if (!record) {
+      throw new Error(`Event not found: ${event_id}`);
+    }
     const reflectionNode = record.get('ref').properties;
 
     return {
@@ -453,6 +644,7 @@ export async function handleWriteReflection(args, startTime, context) {
               agent_id,
               event_id,
               reflection: {
+                id: reflectionNode.id,
                 summary: reflectionNode.summary,
                 valence: reflectionNode.valence,
                 who_context: reflectionNode.who_context,
@@ -462,6 +654,7 @@ export async function handleWriteReflection(args, startTime, context) {
             },
             metadata: {
               execution_time_ms: Date.now() - startTime,
+              embedding_model: embeddingProvider.model,
             },
           }, null, 2),
         },
@@ -473,7 +666,7 @@ export async function handleWriteReflection(args, startTime, context) {
 }
 
 export async function handleSearchEvents(args, startTime, context) {
-  const { driver } = context;
+  const { driver, generateEmbedding } = context;
   const session = driver.session();
 
   try {
@@ -485,82 +678,104 @@ export async function handleSearchEvents(args, startTime, context) {
       place,
       effects_on,
       min_effect_intensity,
+      include_superseded = false,
       limit = 10,
+      reinforce = RECALL_REINFORCEMENT_ENABLED,
     } = args;
 
-    let cypherQuery = 'MATCH (e:Event)';
-    const params = { limit: parseInt(limit) || 10 };
-    const whereClauses = [];
+    const resultLimit = parseInt(limit) || 10;
+    const params = { limit: neo4j.int(resultLimit) };
+    const whereClauses = ['NOT e:Archived'];
+    let cypherQuery;
+
+    // Semantic search seeds candidates from the vector index; filters below narrow them
+    if (semantic_query) {
+      cypherQuery = `
+        UNWIND $candidates AS candidate
+        MATCH (e:Event {id: candidate.id})
+        WITH e, candidate.score AS score
+      `;
+    } else {
+      cypherQuery = `
+        MATCH (e:Event)
+        WITH e, null AS score
+      `;
+    }
 
     // Temporal filter
     if (time_range) {
-      whereClauses.push('e.happened_at >= datetime($timeStart) AND e.happened_at <= datetime($timeEnd)');
+      whereClauses.push('coalesce(e.happened_at, e.timestamp) >= datetime($timeStart) AND coalesce(e.happened_at, e.timestamp) <= datetime($timeEnd)');
       params.timeStart = time_range.start;
       params.timeEnd = time_range.end;
     }
 
-    // Participant filter
+    // Participant filter (PARTICIPATED_IN from write_event, INVOLVES from encode_memory)
     if (participants && participants.length > 0) {
-      cypherQuery += `
-        WITH e
-        MATCH (e)<-[:PARTICIPATED_IN]-(participant)
-        WHERE participant.name IN $participants OR participant.id IN $participants
-      `;
+      whereClauses.push(`(
+        EXISTS { (e)<-[:PARTICIPATED_IN]-(participant) WHERE participant.name IN $participants OR participant.id IN $participants }
+        OR EXISTS { (e)-[:INVOLVES]->(participant:Person) WHERE participant.name IN $participants OR participant.id IN $participants }
+      )`);
       params.participants = participants;
     }
 
     // Entity filter
     if (entities && entities.length > 0) {
-      cypherQuery += `
-        WITH e
-        MATCH (e)<-[:INVOLVED_IN]-(entity:Entity)
-        WHERE entity.id IN $entities
-      `;
+      whereClauses.push(`(
+        EXISTS { (e)<-[:INVOLVED_IN]-(entity:Entity) WHERE entity.id IN $entities }
+        OR EXISTS { (e)-[:INVOLVES]->(entity) WHERE entity.id IN $entities }
+      )`);
       params.entities = entities;
     }
 
     // Place filter
     if (place) {
-      whereClauses.push('EXISTS((e)-[:HELD_AT]->(:Place {name: $place}))');
+      whereClauses.push('EXISTS { (e)-[:HELD_AT]->(:Place {name: $place}) }');
       params.place = place;
     }
 
     // Effects filter
     if (effects_on) {
-      whereClauses.push('EXISTS((e)-[:HAD_EFFECT_ON]->(:Effect)-[:WITH_RESPECT_TO]->(:Target {id: $effectsOn}))');
+      whereClauses.push('EXISTS { (e)-[:HAD_EFFECT_ON]->(:Effect)-[:WITH_RESPECT_TO]->(:Target {id: $effectsOn}) }');
       params.effectsOn = effects_on;
     }
 
     if (min_effect_intensity !== undefined) {
-      cypherQuery += `
-        WITH e
-        MATCH (e)-[:HAD_EFFECT_ON]->(f:Effect)
-        WHERE f.intensity >= $minIntensity
-      `;
+      whereClauses.push('EXISTS { (e)-[:HAD_EFFECT_ON]->(f:Effect) WHERE f.intensity >= $minIntensity }');
       params.minIntensity = min_effect_intensity;
     }
 
-    if (whereClauses.length > 0) {
-      cypherQuery += `\nWHERE ${whereClauses.join(' AND ')}`;
+    // Corrected events are stale beliefs
+    if (!include_superseded) {
+      whereClauses.push('NOT EXISTS { (e)<-[:SUPERSEDES]-(:Event) }');
     }
 
+    cypherQuery += `\nWHERE ${whereClauses.join(' AND ')}`;
+
+    // Superseded events rank lower in semantic search
+    params.supersededFactor = SUPERSEDED_RELEVANCE_FACTOR;
+    cypherQuery += `
+      WITH DISTINCT e, score, [(e)<-[:SUPERSEDES]-(correction:Event) | correction.id] AS superseded_by
+      WITH e, superseded_by,
+           score * CASE WHEN size(superseded_by) > 0 THEN $supersededFactor ELSE 1.0 END AS score
+    `;
+
     // Return pattern completion (full episode reconstruction)
     cypherQuery += `
-      WITH DISTINCT e
       OPTIONAL MATCH (e)<-[:PARTICIPATED_IN]-(person:Person)
       OPTIONAL MATCH (e)<-[:PARTICIPATED_IN]-(agent:Agent)
       OPTIONAL MATCH (e)<-[:INVOLVED_IN]-(entity:Entity)
+      OPTIONAL MATCH (e)-[:INVOLVES]->(involved)
       OPTIONAL MATCH (e)-[:HELD_AT]->(place:Place)
       OPTIONAL MATCH (e)-[:CATALYZED_BY]->(catalyst:Catalyst)
       OPTIONAL MATCH (e)-[:HAD_EFFECT_ON]->(effect:Effect)-[:WITH_RESPECT_TO]->(target:Target)
       
       RETURN e.id AS id,
-             e.title AS title,
-             e.description AS description,
-             e.happened_at AS when,
+             coalesce(e.title, e.context_summary) AS title,
+             coalesce(e.description, e.full_content, e.context_summary) AS description,
+             coalesce(e.happened_at, e.timestamp) AS when,
              collect(DISTINCT person.name) AS people,
              collect(DISTINCT agent.id) AS agents,
-             collect(DISTINCT entity.name) AS entities,
+             collect(DISTINCT entity.name) + collect(DISTINCT coalesce(involved.name, involved.id)) AS entities,
              place.name AS where,
              collect(DISTINCT catalyst.description) AS why,
              collect(DISTINCT {
@@ -568,14 +783,41 @@ export async function handleSearchEvents(args, startTime, context) {
                valence: effect.valence,
                intensity: effect.intensity,
                target: target.id
-             }) AS effects
-      ORDER BY e.happened_at DESC
+             }) AS effects,
+             score,
+             superseded_by
+      ORDER BY ${semantic_query ? 'score DESC, when DESC' : 'when DESC'}
       LIMIT $limit
     `;
 
-    const result = await session.run(cypherQuery, params);
+    let records;
+    let scan = null;
+
+    if (semantic_query) {
+      // Widen the vector candidate pool until the filters leave `limit` events
+      let queryEmbedding;
+      const embedQuery = async text => (queryEmbedding ??= await generateEmbedding(text));
 
-    const events = result.records.map(record => ({
+      scan = await widenSearch({
+        limit: resultLimit,
+        search: async (candidates) => {
+          const retrieval = await retrieveCandidates(session, {
+            query: semantic_query,
+            mode: 'vector',
+            candidates,
+            generateEmbedding: embedQuery,
+          });
+          params.candidates = retrieval.candidates.map(({ id, score }) => ({ id, score }));
+          const result = await session.run(cypherQuery, params);
+          return { rows: result.records, scanned: retrieval.candidates.length, exhausted: retrieval.exhausted };
+        },
+      });
+      records = scan.rows;
+    } else {
+      records = (await session.run(cypherQuery, params)).records;
+    }
+
+    const events = records.map(record => ({
       id: record.get('id'),
       title: record.get('title'),
       description: record.get('description'),
@@ -588,8 +830,18 @@ export async function handleSearchEvents(args, startTime, context) {
       where: record.get('where'),
       why: record.get('why').filter(w => w),
       effects: record.get('effects').filter(e => e.effect),
+      ...(semantic_query && { relevance_score: record.get('score') }),
+      ...(include_superseded && {
+        outdated: record.get('superseded_by').length > 0,
+        superseded_by: record.get('superseded_by'),
+      }),
     }));
 
+    // Outdated events are shown for context, not rehearsed
+    const reinforced = reinforce
+      ? await reinforceEvents(driver, events.filter(e => !e.outdated).map(e => e.id))
+      : 0;
+
     return {
       content: [
         {
@@ -602,6 +854,375 @@ export async function handleSearchEvents(args, startTime, context) {
             },
             metadata: {
               execution_time_ms: Date.now() - startTime,
+              semantic_search_used: !!semantic_query,
+              candidates_scanned: scan?.candidates_scanned,
+              candidates_requested: scan?.candidates_requested,
+              search_rounds: scan?.rounds,
+              candidates_exhausted: scan?.exhausted,
+              reinforced,
+            },
+          }, null, 2),
+        },
+      ],
+    };
+  } finally {
+    await session.close();
+  }
+}
+
+/**
+ * Reflections most similar to a query embedding, as [{ id, score }].
+ */
+async function reflectionHits(session, embedding, candidates) {
+  const result = await session.run(
+    `
+    CALL db.index.vector.queryNodes('${REFLECTION_VECTOR_INDEX}', $candidates, $embedding)
+    YIELD node, score
+    RETURN node.id AS id, score
+    `,
+    { candidates: neo4j.int(candidates), embedding }
+  );
+  return result.records.map(record => ({ id: record.get('id'), score: record.get('score') }));
+}
+
+export async function handleAgentRecall(args, startTime, context) {
+  const { driver, generateEmbedding } = context;
+  const session = driver.session();
+
+  try {
+    const {
+      agent_id,
+      query,
+      min_effect_intensity = 0.0,
+      require_effect = true,
+      reflection_valence,
+      time_range,
+      include_superseded = false,
+      limit = 10,
+      reinforce = RECALL_REINFORCEMENT_ENABLED,
+    } = args;
+
+    const resultLimit = parseInt(limit) || 10;
+    const params = {
+      agentId: agent_id,
+      minIntensity: min_effect_intensity,
+      requireEffect: require_effect,
+      limit: neo4j.int(resultLimit),
+    };
+    const whereClauses = ['NOT e:Archived'];
+
+    if (reflection_valence) {
+      whereClauses.push('r.valence = $reflectionValence');
+      params.reflectionValence = reflection_valence;
+    }
+    if (time_range?.start) {
+      whereClauses.push('coalesce(e.happened_at, e.timestamp) >= datetime($timeStart)');
+      params.timeStart = time_range.start;
+    }
+    if (time_range?.end) {
+      whereClauses.push('coalesce(e.happened_at, e.timestamp) <= datetime($timeEnd)');
+      params.timeEnd = time_range.end;
+    }
+    if (!include_superseded) {
+      whereClauses.push('NOT EXISTS { (e)<-[:SUPERSEDES]-(:Event) }');
+    }
+
+    // AGENT-RELATIVE RETRIEVAL (claude-memory.cypher): the agent's reflections,
+    // the events they are about, and those events' effects on the agent
+    const cypherQuery = `
+      ${query ? `
+      UNWIND $candidates AS candidate
+      MATCH (r:Reflection {id: candidate.id})-[:FROM_AGENT]->(:Agent {id: $agentId})
+      WITH r, candidate.score AS reflection_similarity
+      ` : `
+      MATCH (r:Reflection)-[:FROM_AGENT]->(:Agent {id: $agentId})
+      WITH r, null AS reflection_similarity
+      `}
+      MATCH (r)-[:ABOUT_EVENT]->(e:Event)
+      WHERE ${whereClauses.join(' AND ')}
+      WITH e, max(reflection_similarity) AS similarity,
+           collect(r {
+             .id, .summary, .valence, .who_context, .where_context, .how_context,
+             entry_date: toString(r.entry_date),
+             similarity: reflection_similarity
+           }) AS reflections
+      WITH e, similarity, reflections,
+           [(e)-[:HAD_EFFECT_ON]->(f:Effect)-[:WITH_RESPECT_TO]->(:Target {id: $agentId})
+             WHERE coalesce(f.intensity, 0.0) >= $minIntensity
+             | f {.summary, .valence, .intensity}] AS effects
+      WHERE NOT $requireEffect OR size(effects) > 0
+      WITH e, similarity, reflections, effects,
+           reduce(peak = 0.0, f IN effects |
+             CASE WHEN coalesce(f.intensity, 0.0) > peak THEN f.intensity ELSE peak END) AS peak_intensity,
+           coalesce(e.happened_at, e.timestamp) AS when
+      RETURN e.id AS id,
+             coalesce(e.title, e.context_summary) AS title,
+             coalesce(e.description, e.full_content, e.context_summary) AS description,
+             toString(when) AS when,
+             e.type AS type,
+             e.significance AS significance,
+             reflections,
+             effects,
+             peak_intensity,
+             similarity,
+             [(e)<-[:SUPERSEDES]-(correction:Event) | correction.id] AS superseded_by
+      ORDER BY ${query ? 'similarity DESC, ' : ''}peak_intensity DESC, when DESC
+      LIMIT $limit
+    `;
+
+    let records;
+    let scan = null;
+
+    if (query) {
+      // Reflections of every agent share the index; widen until this agent's fill the limit
+      const embedding = await generateEmbedding(query);
+      scan = await widenSearch({
+        limit: resultLimit,
+        search: async (candidates) => {
+          const hits = await reflectionHits(session, embedding, candidates);
+          params.candidates = hits;
+          const result = await session.run(cypherQuery, params);
+          return { rows: result.records, scanned: hits.length, exhausted: hits.length < candidates };
+        },
+      });
+      records = scan.rows;
+    } else {
+      records = (await session.run(cypherQuery, params)).records;
+    }
+
+    const events = records.map(record => ({
+      id: record.get('id'),
+      title: record.get('title'),
+      description: record.get('description'),
+      when: record.get('when'),
+      type: record.get('type'),
+      significance: record.get('significance'),
+      reflections: record.get('reflections'),
+      effects_on_agent: record.get('effects'),
+      peak_intensity: record.get('peak_intensity'),
+      ...(query && { similarity: record.get('similarity') }),
+      ...(include_superseded && {
+        outdated: record.get('superseded_by').length > 0,
+        superseded_by: record.get('superseded_by'),
+      }),
+    }));
+
+    // Outdated events are shown for context, not rehearsed
+    const reinforced = reinforce
+      ? await reinforceEvents(driver, events.filter(e => !e.outdated).map(e => e.id))
+      : 0;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            data: {
+              agent_id,
+              events,
+              count: events.length,
+            },
+            metadata: {
+              execution_time_ms: Date.now() - startTime,
+              semantic_search_used: !!query,
+              min_effect_intensity,
+              require_effect,
+              candidates_scanned: scan?.candidates_scanned,
+              candidates_requested: scan?.candidates_requested,
+              search_rounds: scan?.rounds,
+              candidates_exhausted: scan?.exhausted,
+              reinforced,
+            },
+          }, null, 2),
+        },
+      ],
+    };
+  } finally {
+    await session.close();
+  }
+}
+
+const round = value => Math.round(value * 1000) / 1000;
+
+/**
+ * Embedding of a reflection comparable under the current provider. Reflections
+ * written before they were embedded, or under another model, are embedded for
+ * the comparison without being stored.
+ */
+async function comparableEmbedding(reflection, context) {
+  const { generateEmbedding, embeddingProvider } = context;
+  if (reflection.embedding && reflection.embedding_model === embeddingProvider.model) {
+    return { embedding: reflection.embedding, reembedded: false };
+  }
+  const text = reflectionEmbeddingText(reflection);
+  return { embedding: text ? await generateEmbedding(text) : null, reembedded: !!text };
+}
+
+export async function handleComparePerspectives(args, startTime, context) {
+  const { driver, embeddingProvider } = context;
+  const session = driver.session();
+
+  try {
+    const { event_id, agent_ids } = args;
+
+    // Reflections oldest first: an agent's latest reflection is its current
+    // view of the event and the one compared; earlier ones are listed
+    const result = await session.run(
+      `
+      MATCH (e:Event {id: $eventId})
+      OPTIONAL MATCH (e)<-[:ABOUT_EVENT]-(r:Reflection)-[:FROM_AGENT]->(a:Agent)
+      WHERE $agentIds IS NULL OR a.id IN $agentIds
+      WITH e, a, r
+      ORDER BY r.entry_date
+      WITH e, a, collect(r {
+             .id, .summary, .valence, .who_context, .embedding, .embedding_model,
+             entry_date: toString(r.entry_date)
+           }) AS reflections
+      WITH e, a, reflections,
+           [(e)-[:HAD_EFFECT_ON]->(f:Effect)-[:WITH_RESPECT_TO]->(:Target {id: a.id})
+             | f {.summary, .valence, .intensity}] AS effects
+      WITH e, collect(CASE WHEN a IS NULL THEN null
+                           ELSE {agent_id: a.id, reflections: reflections, effects: effects} END) AS perspectives
+      RETURN e.id AS id,
+             coalesce(e.title, e.context_summary) AS title,
+             toString(coalesce(e.happened_at, e.timestamp)) AS when,
+             [(e)<-[:SUPERSEDES]-(correction:Event) | correction.id] AS superseded_by,
+             perspectives
+      `,
+      { eventId: event_id, agentIds: agent_ids?.length ? agent_ids : null }
+    );
+
+    const record = result.records[0];
+    if (!record) {
+      throw new Error(`Event not found: ${event_id}`);
+    }
+
+    let reembedded = 0;
+    const perspectives = [];
+    for (const { agent_id, reflections, effects } of record.get('perspectives')) {
+      const latest = reflections[reflections.length - 1];
+      const valenceScore = VALENCE_SIGN[latest.valence] ?? 0;
+      const effectValence = effects.length > 0 ? valenceFromEffects(effects) : null;
+      const { embedding, reembedded: wasReembedded } = await comparableEmbedding(latest, context);
+      if (wasReembedded) {
+        reembedded++;
+      }
+
+      perspectives.push({
+        agent_id,
+        valence: latest.valence,
+        valence_score: valenceScore,
+        summary: latest.summary,
+        // who_context is self-first; the rest are who the agent considered
+        considered: (latest.who_context || []).slice(1),
+        effects_on_agent: effects,
+        effect_valence: effectValence,
+        reflection_effect_gap: effectValence === null ? null : round(Math.abs(valenceScore - effectValence)),
+        reflections: reflections.map(r => ({
+          id: r.id,
+          summary: r.summary,
+          valence: r.valence,
+          entry_date: r.entry_date,
+        })),
+        vector: embedding,
+      });
+    }
+
+    const pairwise = [];
+    for (let i = 0; i < perspectives.length; i++) {
+      for (let j = i + 1; j < perspectives.length; j++) {
+        const a = perspectives[i];
+        const b = perspectives[j];
+        pairwise.push({
+          agents: [a.agent_id, b.agent_id],
+          embedding_distance: a.vector && b.vector ? round(1 - cosine(a.vector, b.vector)) : null,
+          valence_gap: round(Math.abs(a.valence_score - b.valence_score)),
+          same_valence: a.valence === b.valence,
+        });
+      }
+    }
+
+    const distances = pairwise.filter(p => p.embedding_distance !== null);
+    const scores = perspectives.map(p => p.valence_score);
+    const meanScore = scores.length > 0 ? scores.reduce((sum, s) => sum + s, 0) / scores.length : 0;
+    const valenceCounts = {};
+    for (const p of perspectives) {
+      valenceCounts[p.valence] = (valenceCounts[p.valence] || 0) + 1;
+    }
+    // Pairs apart in both wording and valence rank above pairs apart in one
+    const divergence = pair => (pair.embedding_distance ?? 0) + pair.valence_gap;
+    const mostDivergent = pairwise.reduce(
+      (best, pair) => (!best || divergence(pair) > divergence(best) ? pair : best),
+      null
+    );
+
+    // Each agent against the others
+    const agents = perspectives.map(({ vector, ...perspective }) => {
+      const others = pairwise
+        .filter(pair => pair.agents.includes(perspective.agent_id))
+        .map(pair => ({
+          agent_id: pair.agents.find(id => id !== perspective.agent_id),
+          embedding_distance: pair.embedding_distance,
+          valence_gap: pair.valence_gap,
+        }));
+      const measured = others.filter(o => o.embedding_distance !== null)
+        .sort((a, b) => a.embedding_distance - b.embedding_distance);
+      const consideredByOthers = new Set(perspectives
+        .filter(p => p.agent_id !== perspective.agent_id)
+        .flatMap(p => p.considered));
+
+      return {
+        ...perspective,
+        diff: {
+          valence_offset: round(perspective.valence_score - meanScore),
+          mean_embedding_distance: measured.length > 0
+            ? round(measured.reduce((sum, o) => sum + o.embedding_distance, 0) / measured.length)
+            : null,
+          closest_agent: measured[0]?.agent_id ?? null,
+          furthest_agent: measured[measured.length - 1]?.agent_id ?? null,
+          unique_considered: perspective.considered.filter(id => !consideredByOthers.has(id)),
+          others,
+        },
+      };
+    });
+
+    const supersededBy = record.get('superseded_by');
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            data: {
+              event: {
+                id: record.get('id'),
+                title: record.get('title'),
+                when: record.get('when'),
+                outdated: supersededBy.length > 0,
+                superseded_by: supersededBy,
+              },
+              agents,
+              divergence: {
+                agent_count: agents.length,
+                valence_counts: valenceCounts,
+                shared_valence: Object.keys(valenceCounts).length === 1 ? Object.keys(valenceCounts)[0] : null,
+                valence_spread: scores.length > 0 ? round(Math.max(...scores) - Math.min(...scores)) : null,
+                mean_embedding_distance: distances.length > 0
+                  ? round(distances.reduce((sum, p) => sum + p.embedding_distance, 0) / distances.length)
+                  : null,
+                max_embedding_distance: distances.length > 0
+                  ? Math.max(...distances.map(p => p.embedding_distance))
+                  : null,
+                most_divergent_pair: mostDivergent,
+                pairwise,
+              },
+            },
+            metadata: {
+              execution_time_ms: Date.now() - startTime,
+              embedding_model: embeddingProvider.model,
+              reembedded_reflections: reembedded,
             },
           }, null, 2),
         },
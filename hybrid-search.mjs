@@ -0,0 +1,196 @@
+/**
+ * Hybrid Search
+ *
+ * Candidate retrieval for recall_memory, combining two Event indexes:
+ * - event_embeddings (vector): semantic similarity of the query embedding
+ * - event_fulltext (full-text): BM25 over title, description,
+ *   context_summary, full_content and glyph_encoding, so exact names,
+ *   glyphs and identifiers that embed poorly are still found
+ *
+ * In hybrid mode both rankings are fused, either by reciprocal rank fusion
+ * (rank-based, robust to the very different score scales) or by a weighted
+ * sum of normalized scores. Every candidate keeps its per-source scores and
+ * ranks so callers can see why it matched.
+ *
+ * Index hits are filtered afterwards (valence, time, type, entities, ...),
+ * so selective filters can discard most of them. widenSearch re-runs the
+ * search with a larger candidate pool until the filtered results fill the
+ * limit or the indexes run out.
+ */
+
+import neo4j from 'neo4j-driver';
+
+export const VECTOR_INDEX = 'event_embeddings';
+export const FULLTEXT_INDEX = 'event_fulltext';
+
+export const SEARCH_MODES = ['hybrid', 'vector', 'lexical'];
+export const FUSION_METHODS = ['rrf', 'weighted'];
+
+export const DEFAULT_SEARCH_MODE = SEARCH_MODES.includes(process.env.RECALL_SEARCH_MODE)
+  ? process.env.RECALL_SEARCH_MODE
+  : 'hybrid';
+
+// Reciprocal rank fusion constant (Cormack et al. use 60)
+export const RRF_K = parseInt(process.env.RECALL_RRF_K || '60', 10);
+
+// Candidate pool: first round fetches OVERFETCH_FACTOR × limit (at least
+// MIN_CANDIDATES) hits per index, each further round OVERFETCH_FACTOR times
+// more, up to RECALL_MAX_CANDIDATES
+export const OVERFETCH_FACTOR = 4;
+export const MIN_CANDIDATES = 50;
+export const MAX_CANDIDATES = parseInt(process.env.RECALL_MAX_CANDIDATES || '2000', 10);
+
+// Lucene query syntax characters, escaped so queries match literally
+const LUCENE_SPECIAL = /[+\-&|!(){}[\]^"~*?:\\/]/g;
+
+/**
+ * Full-text query matching the words of a natural language query literally
+ * (any word may match; BM25 ranks events matching more of them higher).
+ * Returns null when nothing searchable is left.
+ */
+export function lexicalQuery(text) {
+  const escaped = String(text || '')
+    .replace(LUCENE_SPECIAL, '\\$&')
+    // Keep boolean operators as plain words
+    .replace(/\b(AND|OR|NOT|TO)\b/g, word => word.toLowerCase())
+    .trim();
+  return escaped.length > 0 ? escaped : null;
+}
+
+async function vectorHits(session, embedding, candidates) {
+  const result = await session.run(
+    `
+    CALL db.index.vector.queryNodes('${VECTOR_INDEX}', $candidates, $embedding)
+    YIELD node, score
+    RETURN node.id AS id, score
+    `,
+    { candidates: neo4j.int(candidates), embedding }
+  );
+  return result.records.map(record => ({ id: record.get('id'), score: record.get('score') }));
+}
+
+async function lexicalHits(session, query, candidates) {
+  const result = await session.run(
+    `
+    CALL db.index.fulltext.queryNodes('${FULLTEXT_INDEX}', $query, {limit: $candidates})
+    YIELD node, score
+    RETURN node.id AS id, score
+    `,
+    { candidates: neo4j.int(candidates), query }
+  );
+  return result.records.map(record => ({ id: record.get('id'), score: record.get('score') }));
+}
+
+/**
+ * Fuse vector and lexical rankings into one list sorted by fused score
+ * (0.0-1.0). Each entry is { id, score, vector_score, vector_rank,
+ * lexical_score, lexical_rank }, with nulls for the source that missed it.
+ *
+ * - rrf: sum of 1 / (RRF_K + rank), normalized so an event ranked first by
+ *   every source scores 1.0
+ * - weighted: vectorWeight × cosine score + (1 - vectorWeight) × BM25 score
+ *   divided by the best BM25 score
+ *
+ * With only one source there is nothing to fuse and its normalized score is
+ * used as is.
+ */
+export function fuseRankings(sources, { fusion = 'rrf', vectorWeight = 0.5 } = {}) {
+  const candidates = new Map();
+  const candidate = id => {
+    if (!candidates.has(id)) {
+      candidates.set(id, { id, score: 0, vector_score: null, vector_rank: null, lexical_score: null, lexical_rank: null });
+    }
+    return candidates.get(id);
+  };
+
+  const active = Object.entries(sources).filter(([, hits]) => hits);
+  for (const [source, hits] of active) {
+    hits.forEach((hit, index) => {
+      const entry = candidate(hit.id);
+      entry[`${source}_score`] = hit.score;
+      entry[`${source}_rank`] = index + 1;
+    });
+  }
+
+  const bestLexical = Math.max(0, ...(sources.lexical || []).map(hit => hit.score));
+  const weights = active.length === 1
+    ? { [active[0][0]]: 1 }
+    : { vector: vectorWeight, lexical: 1 - vectorWeight };
+
+  for (const entry of candidates.values()) {
+    // A single source keeps its own scale: cosine, or BM25 relative to the best hit
+    if (fusion === 'weighted' || active.length === 1) {
+      const vector = entry.vector_score ?? 0;
+      const lexical = bestLexical > 0 ? (entry.lexical_score ?? 0) / bestLexical : 0;
+      entry.score = (weights.vector ?? 0) * vector + (weights.lexical ?? 0) * lexical;
+    } else {
+      const rrf = active.reduce(
+        (sum, [source]) => sum + (entry[`${source}_rank`] ? 1 / (RRF_K + entry[`${source}_rank`]) : 0),
+        0
+      );
+      entry.score = rrf / (active.length / (RRF_K + 1));
+    }
+  }
+
+  return [...candidates.values()].sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Retrieve and fuse candidate Events for a query. mode is hybrid, vector or
+ * lexical; candidates is how many hits to take from each index. Returns
+ * fused candidates (see fuseRankings) plus the mode actually used: hybrid
+ * falls back to vector when the query has no searchable words.
+ */
+export async function retrieveCandidates(session, { query, mode = DEFAULT_SEARCH_MODE, fusion = 'rrf', vectorWeight = 0.5, candidates, generateEmbedding }) {
+  if (!SEARCH_MODES.includes(mode)) {
+    throw new Error(`Unknown search_mode: ${mode} (expected ${SEARCH_MODES.join(', ')})`);
+  }
+  if (!FUSION_METHODS.includes(fusion)) {
+    throw new Error(`Unknown fusion: ${fusion} (expected ${FUSION_METHODS.join(', ')})`);
+  }
+
+  const text = lexicalQuery(query);
+  const useLexical = mode !== 'vector' && text !== null;
+  const useVector = mode !== 'lexical' || text === null;
+
+  const sources = {
+    vector: useVector ? await vectorHits(session, await generateEmbedding(query), candidates) : null,
+    lexical: useLexical ? await lexicalHits(session, text, candidates) : null,
+  };
+
+  return {
+    mode: useVector && useLexical ? 'hybrid' : (useVector ? 'vector' : 'lexical'),
+    candidates: fuseRankings(sources, { fusion, vectorWeight }),
+    // Every index returned fewer hits than asked for, so widening can't help
+    exhausted: Object.values(sources).every(hits => !hits || hits.length < candidates),
+  };
+}
+
+/**
+ * Run a filtered search over index candidates, widening the pool until it
+ * returns `limit` rows, the indexes are exhausted or MAX_CANDIDATES is
+ * reached. search(candidates) runs one round and returns
+ * { rows, scanned, exhausted }. Returns the last round's rows with
+ * { candidates_requested, candidates_scanned, rounds, exhausted }.
+ */
+export async function widenSearch({ limit, search }) {
+  let candidates = Math.min(Math.max(limit * OVERFETCH_FACTOR, MIN_CANDIDATES), MAX_CANDIDATES);
+  let rounds = 0;
+
+  while (true) {
+    rounds++;
+    const { rows, scanned, exhausted } = await search(candidates);
+
+    if (rows.length >= limit || exhausted || candidates >= MAX_CANDIDATES) {
+      return {
+        rows,
+        candidates_requested: candidates,
+        candidates_scanned: scanned,
+        rounds,
+        exhausted,
+      };
+    }
+
+    candidates = Math.min(candidates * OVERFETCH_FACTOR, MAX_CANDIDATES);
+  }
+}
@@ -0,0 +1,370 @@
+/**
+ * Namespace Module Extension
+ *
+ * Isolated memory graphs for multiple agents or users sharing one Neo4j
+ * server. Each namespace is its own Neo4j database; the tool registry
+ * resolves the caller's namespace and scopes context.driver to it, so every
+ * tool (including raw Cypher) only sees that namespace's Events, Bonds and
+ * Reflections:
+ * - list_namespaces: Namespaces the caller can use
+ * - create_namespace: Create a namespace database with the memory schema
+ *
+ * The 'default' namespace is the home database. Other namespaces are
+ * registered as (:Namespace) nodes with an owner and member principals in a
+ * registry database of their own (NAMESPACE_REGISTRY_DATABASE), out of reach
+ * of query_graph and mutate_graph, which refuse USE. Creating namespaces needs
+ * Neo4j multi-database support (Enterprise Edition or Aura Professional).
+ */
+
+import { applyGraphSchema } from './graph-schema.mjs';
+
+export const DEFAULT_NAMESPACE = 'default';
+
+// Database holding the (:Namespace) registry. Not the home database: every
+// principal in 'default' could edit its own access there with mutate_graph
+export const NAMESPACE_REGISTRY_DATABASE = process.env.NAMESPACE_REGISTRY_DATABASE || 'namespace-registry';
+
+const RESERVED_NAMESPACES = new Set([DEFAULT_NAMESPACE, 'system', 'neo4j', NAMESPACE_REGISTRY_DATABASE]);
+
+// Database names: lowercase ASCII, digits and dashes, starting with a letter
+const NAMESPACE_NAME_PATTERN = /^[a-z][a-z0-9-]{2,62}$/;
+
+function principalList(value, fallback) {
+  return value !== undefined
+    ? value.split(',').map(item => item.trim()).filter(Boolean)
+    : fallback;
+}
+
+// Principals allowed in the default namespace ('*' for everyone)
+export const DEFAULT_NAMESPACE_MEMBERS = principalList(process.env.DEFAULT_NAMESPACE_MEMBERS, ['*']);
+
+// Remote principals allowed to create namespaces (the local stdio user always can)
+export const NAMESPACE_ADMINS = principalList(process.env.NAMESPACE_ADMINS, []);
+
+// Tool definitions for Namespace Module
+export const namespaceTools = [
+  {
+    name: 'list_namespaces',
+    description: 'List the memory namespaces you can use. Pass a namespace name as the `namespace` argument of any other tool to work inside it.',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+  },
+  {
+    name: 'create_namespace',
+    description: 'Create an isolated memory namespace (its own Neo4j database with the memory schema). You become its owner; members can also read and write it.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          pattern: NAMESPACE_NAME_PATTERN.source,
+          description: 'Namespace name: 3-63 lowercase letters, digits or dashes, starting with a letter',
+        },
+        description: {
+          type: 'string',
+          description: 'What this namespace holds',
+        },
+        members: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Principal ids (besides you) allowed to use the namespace',
+        },
+      },
+      required: ['name'],
+    },
+  },
+];
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+/**
+ * Read from the registry database. A server without one (single-database
+ * servers, or before the first create_namespace) has no namespaces besides
+ * 'default'.
+ */
+async function readRegistry(driver, cypher, params = {}) {
+  const session = driver.session({ database: NAMESPACE_REGISTRY_DATABASE });
+  try {
+    const result = await session.executeRead(tx => tx.run(cypher, params));
+    return result.records;
+  } catch (error) {
+    if (error.code === 'Neo.ClientError.Database.DatabaseNotFound') {
+      return [];
+    }
+    throw error;
+  } finally {
+    await session.close();
+  }
+}
+
+/**
+ * Create the registry database and its constraint if missing.
+ */
+async function ensureRegistry(driver) {
+  const systemSession = driver.session({ database: 'system' });
+  try {
+    await systemSession.run('CREATE DATABASE $database IF NOT EXISTS WAIT', { database: NAMESPACE_REGISTRY_DATABASE });
+  } catch (error) {
+    throw new Error(`Could not create namespace registry database ${NAMESPACE_REGISTRY_DATABASE} (multi-database needs Neo4j Enterprise Edition or Aura Professional): ${error.message}`);
+  } finally {
+    await systemSession.close();
+  }
+
+  const session = driver.session({ database: NAMESPACE_REGISTRY_DATABASE });
+  try {
+    await session.run('CREATE CONSTRAINT namespace_name IF NOT EXISTS FOR (n:Namespace) REQUIRE n.name IS UNIQUE');
+  } finally {
+    await session.close();
+  }
+}
+
+/**
+ * Move (:Namespace) nodes that older versions kept in the home database into
+ * the registry database. Names already registered there keep the registry's
+ * copy. Returns the migrated namespaces; review their owner and members, as
+ * any principal could edit them while they lived in the home database.
+ */
+export async function migrateNamespaceRegistry(driver) {
+  const homeSession = driver.session();
+  try {
+    const legacy = await homeSession.executeRead(tx => tx.run('MATCH (n:Namespace) RETURN n'));
+    if (legacy.records.length === 0) {
+      return [];
+    }
+
+    await ensureRegistry(driver);
+
+    const registrySession = driver.session({ database: NAMESPACE_REGISTRY_DATABASE });
+    try {
+      await registrySession.executeWrite(tx => tx.run(
+        `
+        UNWIND $namespaces AS props
+        MERGE (n:Namespace {name: props.name})
+        ON CREATE SET n = props
+        `,
+        { namespaces: legacy.records.map(record => record.get('n').properties) }
+      ));
+    } finally {
+      await registrySession.close();
+    }
+
+    await homeSession.executeWrite(tx => tx.run('MATCH (n:Namespace) DETACH DELETE n'));
+    return legacy.records.map(record => namespaceFromNode(record.get('n')));
+  } finally {
+    await homeSession.close();
+  }
+}
+
+// ============================================================================
+// RESOLUTION & SCOPING
+// ============================================================================
+
+function canAccess(principal, namespace) {
+  if (principal?.type === 'stdio') {
+    return true;
+  }
+  const id = principal?.id;
+  return Boolean(id) && (
+    namespace.owner === id ||
+    namespace.members.includes('*') ||
+    namespace.members.includes(id)
+  );
+}
+
+function defaultNamespace() {
+  return {
+    name: DEFAULT_NAMESPACE,
+    database: null,
+    description: 'Home database',
+    owner: null,
+    members: DEFAULT_NAMESPACE_MEMBERS,
+    created_at: null,
+  };
+}
+
+function namespaceFromNode(node) {
+  const props = node.properties;
+  return {
+    name: props.name,
+    database: props.database,
+    description: props.description || null,
+    owner: props.owner || null,
+    members: props.members || [],
+    created_at: props.created_at ? props.created_at.toString() : null,
+  };
+}
+
+/**
+ * Look up a namespace and check the principal may use it.
+ * Throws for unknown namespaces and denied access.
+ */
+export async function resolveNamespace(driver, principal, name = DEFAULT_NAMESPACE) {
+  let namespace;
+
+  if (name === DEFAULT_NAMESPACE) {
+    namespace = defaultNamespace();
+  } else {
+    const records = await readRegistry(driver, 'MATCH (n:Namespace {name: $name}) RETURN n', { name });
+    if (records.length === 0) {
+      throw new Error(`Unknown namespace: ${name}`);
+    }
+    namespace = namespaceFromNode(records[0].get('n'));
+  }
+
+  if (!canAccess(principal, namespace)) {
+    throw new Error(`Principal ${principal?.id ?? '(none)'} has no access to namespace ${name}`);
+  }
+
+  return namespace;
+}
+
+/**
+ * Context whose driver opens every session on the namespace's database.
+ * The unscoped driver stays available as homeDriver.
+ */
+export function scopeContext(context, namespace) {
+  const { driver } = context;
+  let scopedDriver = driver;
+
+  if (namespace.database) {
+    scopedDriver = Object.create(driver);
+    scopedDriver.session = (config = {}) => driver.session({ ...config, database: namespace.database });
+  }
+
+  return {
+    ...context,
+    driver: scopedDriver,
+    homeDriver: context.homeDriver ?? driver,
+    namespace: namespace.name,
+  };
+}
+
+/**
+ * Every namespace, default first. Used by background jobs that run across
+ * all namespaces (e.g. the decay scheduler).
+ */
+export async function listAllNamespaces(driver) {
+  const records = await readRegistry(driver, 'MATCH (n:Namespace) RETURN n ORDER BY n.name');
+  return [defaultNamespace(), ...records.map(r => namespaceFromNode(r.get('n')))];
+}
+
+// ============================================================================
+// HANDLERS
+// ============================================================================
+
+export async function handleListNamespaces(args, startTime, context) {
+  const { driver, principal } = context;
+
+  const namespaces = (await listAllNamespaces(driver))
+    .filter(namespace => canAccess(principal, namespace));
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify({
+          success: true,
+          data: {
+            namespaces,
+            count: namespaces.length,
+            default_namespace: context.namespace || DEFAULT_NAMESPACE,
+          },
+          metadata: {
+            execution_time_ms: Date.now() - startTime,
+            principal: principal?.id ?? null,
+          },
+        }, null, 2),
+      },
+    ],
+  };
+}
+
+export async function handleCreateNamespace(args, startTime, context) {
+  const { driver, principal, embeddingProvider } = context;
+  const { name, description = null, members = [] } = args;
+
+  if (!NAMESPACE_NAME_PATTERN.test(name || '') || RESERVED_NAMESPACES.has(name)) {
+    throw new Error(`Invalid namespace name: ${name} (3-63 lowercase letters, digits or dashes; not ${[...RESERVED_NAMESPACES].join(', ')})`);
+  }
+
+  if (principal?.type !== 'stdio' && !NAMESPACE_ADMINS.includes('*') && !NAMESPACE_ADMINS.includes(principal?.id)) {
+    throw new Error(`Principal ${principal?.id ?? '(none)'} may not create namespaces (see NAMESPACE_ADMINS)`);
+  }
+
+  await ensureRegistry(driver);
+  const registrySession = driver.session({ database: NAMESPACE_REGISTRY_DATABASE });
+
+  try {
+    const existing = await registrySession.executeRead(tx => tx.run(
+      'MATCH (n:Namespace {name: $name}) RETURN n',
+      { name }
+    ));
+    if (existing.records.length > 0) {
+      throw new Error(`Namespace already exists: ${name}`);
+    }
+
+    const database = name;
+
+    const systemSession = driver.session({ database: 'system' });
+    try {
+      await systemSession.run('CREATE DATABASE $database IF NOT EXISTS WAIT', { database });
+    } catch (error) {
+      throw new Error(`Could not create database ${database} (multi-database needs Neo4j Enterprise Edition or Aura Professional): ${error.message}`);
+    } finally {
+      await systemSession.close();
+    }
+
+    const namespaceSession = driver.session({ database });
+    let schema;
+    try {
+      schema = await applyGraphSchema(namespaceSession, { dimensions: embeddingProvider.dimensions });
+    } finally {
+      await namespaceSession.close();
+    }
+
+    const result = await registrySession.executeWrite(tx => tx.run(
+      `
+      CREATE (n:Namespace {
+        name: $name,
+        database: $database,
+        description: $description,
+        owner: $owner,
+        members: $members,
+        created_at: datetime()
+      })
+      RETURN n
+      `,
+      {
+        name,
+        database,
+        description,
+        owner: principal?.id ?? null,
+        members: [...new Set(members)],
+      }
+    ));
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            data: {
+              namespace: namespaceFromNode(result.records[0].get('n')),
+              schema_applied: schema,
+            },
+            metadata: {
+              execution_time_ms: Date.now() - startTime,
+            },
+          }, null, 2),
+        },
+      ],
+    };
+  } finally {
+    await registrySession.close();
+  }
+}
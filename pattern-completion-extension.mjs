@@ -0,0 +1,442 @@
+/**
+ * Pattern Completion Module Extension
+ *
+ * Cued recall as described in claude-memory.cypher ("CUED RECALL"):
+ * - pattern_complete: Reconstruct episodes from any mix of partial cues
+ *   (people, place, entities, catalysts, free text)
+ *
+ * Mimics CA3 pattern completion with spreading activation. Each cue seeds
+ * activation 1.0 on the nodes it matches (free text seeds Events with their
+ * hybrid search score). Activation spreads over INVOLVES, PARTICIPATED_IN,
+ * INVOLVED_IN, HELD_AT, CATALYZED_BY and PRECEDED edges in either
+ * direction, multiplied by `decay` per hop beyond the first, for up to
+ * `max_hops` hops. Each cue keeps its strongest path to every node, and an
+ * Event's activation is the sum over cues, so events that complete more of
+ * the pattern ("Harvey at The Forum") outrank those matching one cue.
+ */
+
+import neo4j from 'neo4j-driver';
+import { reinforceEvents, RECALL_REINFORCEMENT_ENABLED } from './decay-extension.mjs';
+import { retrieveCandidates } from './hybrid-search.mjs';
+
+export const SPREADING_RELATIONSHIPS = ['INVOLVES', 'PARTICIPATED_IN', 'INVOLVED_IN', 'HELD_AT', 'CATALYZED_BY', 'PRECEDED'];
+
+export const DEFAULT_SPREADING_CONFIG = {
+  max_hops: 3,
+  decay: 0.5,
+  min_activation: 0.05,
+  // Neighbours followed per node per hop, so hubs (a busy Place) can't flood the spread
+  max_fan_out: 200,
+  // Events seeded by free text
+  text_seeds: 10,
+};
+
+// Tool definitions for Pattern Completion Module
+export const patternCompletionTools = [
+  {
+    name: 'pattern_complete',
+    description: 'Reconstruct episodes from partial cues (e.g. "Harvey at The Forum"). Seeds activation on nodes matching any mix of people, place, entities, catalysts and free text, spreads it over INVOLVES/PARTICIPATED_IN/INVOLVED_IN/HELD_AT/CATALYZED_BY/PRECEDED edges with decay per hop, and returns events ranked by total activation with the path each cue took to reach them.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        people: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Person/Agent names or ids',
+        },
+        place: {
+          type: 'string',
+          description: 'Place name',
+        },
+        entities: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Entity/Project/Concept names or ids',
+        },
+        catalysts: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Words from catalysts (why something happened); matched as substrings',
+        },
+        text: {
+          type: 'string',
+          description: 'Free-text cue; seeds the Events that best match it (hybrid vector + full-text search)',
+        },
+        max_hops: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 4,
+          default: DEFAULT_SPREADING_CONFIG.max_hops,
+          description: 'How far activation spreads from each cue',
+        },
+        decay: {
+          type: 'number',
+          minimum: 0.0,
+          maximum: 1.0,
+          default: DEFAULT_SPREADING_CONFIG.decay,
+          description: 'Activation kept per hop beyond the first',
+        },
+        min_activation: {
+          type: 'number',
+          minimum: 0.0,
+          maximum: 1.0,
+          default: DEFAULT_SPREADING_CONFIG.min_activation,
+          description: 'Activation below which spreading stops',
+        },
+        include_superseded: {
+          type: 'boolean',
+          default: false,
+          description: 'Include events superseded by a correction, marked outdated',
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 100,
+          default: 10,
+        },
+        reinforce: {
+          type: 'boolean',
+          description: 'Strengthen returned events (recall_count, last_recalled_at, consolidation rehearsal). Defaults to the server RECALL_REINFORCEMENT setting',
+        },
+      },
+    },
+  },
+];
+
+// ============================================================================
+// SEEDING
+// ============================================================================
+
+/**
+ * Nodes matching each structured cue, as { key, kind, cue, node } where key
+ * identifies the cue.
+ */
+async function seedNodes(tx, { people, place, entities, catalysts }) {
+  const result = await tx.run(
+    `
+    CALL {
+      UNWIND $people AS cue
+      MATCH (n)
+      WHERE (n:Person OR n:Agent) AND (n.id = cue OR toLower(n.name) = toLower(cue))
+      RETURN n, 'person' AS kind, cue
+      UNION
+      UNWIND $places AS cue
+      MATCH (n:Place)
+      WHERE toLower(n.name) = toLower(cue)
+      RETURN n, 'place' AS kind, cue
+      UNION
+      UNWIND $entities AS cue
+      MATCH (n)
+      WHERE (n:Entity OR n:Project OR n:Concept OR n:Person) AND (n.id = cue OR toLower(n.name) = toLower(cue))
+      RETURN n, 'entity' AS kind, cue
+      UNION
+      UNWIND $catalysts AS cue
+      MATCH (n:Catalyst)
+      WHERE toLower(n.description) CONTAINS toLower(cue)
+      RETURN n, 'catalyst' AS kind, cue
+    }
+    RETURN elementId(n) AS element_id, labels(n) AS labels, n.id AS id,
+           coalesce(n.name, n.title, n.description, n.id) AS name, kind, cue
+    `,
+    { people, places: place ? [place] : [], entities, catalysts }
+  );
+
+  return result.records.map(record => ({
+    key: `${record.get('kind')}:${record.get('cue')}`,
+    kind: record.get('kind'),
+    cue: record.get('cue'),
+    node: nodeSummary(record),
+  }));
+}
+
+function nodeSummary(record) {
+  return {
+    element_id: record.get('element_id'),
+    labels: record.get('labels'),
+    id: record.get('id'),
+    name: record.get('name'),
+  };
+}
+
+// ============================================================================
+// SPREADING ACTIVATION
+// ============================================================================
+
+async function neighbours(tx, elementIds, maxFanOut) {
+  const result = await tx.run(
+    `
+    UNWIND $elementIds AS elementId
+    MATCH (n) WHERE elementId(n) = elementId
+    CALL {
+      WITH n
+      MATCH (n)-[r:${SPREADING_RELATIONSHIPS.join('|')}]-(m)
+      WHERE NOT m:Archived
+      RETURN r, m
+      LIMIT $maxFanOut
+    }
+    RETURN elementId AS from, type(r) AS via, elementId(m) AS element_id, labels(m) AS labels,
+           m.id AS id, coalesce(m.name, m.title, m.description, m.id) AS name
+    `,
+    { elementIds, maxFanOut: neo4j.int(maxFanOut) }
+  );
+
+  const byNode = new Map();
+  for (const record of result.records) {
+    const from = record.get('from');
+    if (!byNode.has(from)) {
+      byNode.set(from, []);
+    }
+    byNode.get(from).push({ via: record.get('via'), node: nodeSummary(record) });
+  }
+  return byNode;
+}
+
+/**
+ * Spread activation from seeds. seeds: [{ key, node, activation, hops }]
+ * where hops is how many hops the seed counts as having taken already: 0
+ * for cue nodes, so the first edge is free and an Event one edge from a cue
+ * keeps full activation; 1 for Events seeded directly. Returns
+ * Map(element_id → Map(cue key → { activation, path, node })) with each
+ * cue's strongest path to each node.
+ */
+async function spreadActivation(tx, seeds, config) {
+  const activation = new Map();
+
+  const record = (node, key, value, path) => {
+    if (!activation.has(node.element_id)) {
+      activation.set(node.element_id, new Map());
+    }
+    const byCue = activation.get(node.element_id);
+    const current = byCue.get(key);
+    if (current && current.activation >= value) {
+      return false;
+    }
+    byCue.set(key, { activation: value, path, node });
+    return true;
+  };
+
+  let frontier = [];
+  for (const seed of seeds) {
+    const path = [{ ...seed.node, via: null }];
+    if (record(seed.node, seed.key, seed.activation, path)) {
+      frontier.push({ key: seed.key, node: seed.node, activation: seed.activation, hops: seed.hops, path });
+    }
+  }
+
+  for (let hop = 0; hop < config.max_hops && frontier.length > 0; hop++) {
+    const edges = await neighbours(tx, [...new Set(frontier.map(f => f.node.element_id))], config.max_fan_out);
+    const next = [];
+
+    for (const entry of frontier) {
+      const hops = entry.hops + 1;
+      const value = entry.activation * (hops > 1 ? config.decay : 1);
+      if (value < config.min_activation) {
+        continue;
+      }
+      for (const { via, node } of edges.get(entry.node.element_id) || []) {
+        // Don't walk back along the path
+        if (entry.path.some(step => step.element_id === node.element_id)) {
+          continue;
+        }
+        const path = [...entry.path, { ...node, via }];
+        if (record(node, entry.key, value, path)) {
+          next.push({ key: entry.key, node, activation: value, hops, path });
+        }
+      }
+    }
+
+    frontier = next;
+  }
+
+  return activation;
+}
+
+// ============================================================================
+// HANDLERS
+// ============================================================================
+
+function pathSteps(path) {
+  return path.map(({ labels, id, name, via }) => ({ via, label: labels[0] ?? null, id, name }));
+}
+
+export async function handlePatternComplete(args, startTime, context) {
+  const { driver, generateEmbedding } = context;
+  const {
+    people = [],
+    place = null,
+    entities = [],
+    catalysts = [],
+    text = null,
+    include_superseded = false,
+    limit = 10,
+    reinforce = RECALL_REINFORCEMENT_ENABLED,
+  } = args;
+
+  const config = {
+    ...DEFAULT_SPREADING_CONFIG,
+    ...(args.max_hops !== undefined && { max_hops: Math.min(Math.max(parseInt(args.max_hops), 1), 4) }),
+    ...(args.decay !== undefined && { decay: args.decay }),
+    ...(args.min_activation !== undefined && { min_activation: args.min_activation }),
+  };
+
+  const cueCount = people.length + (place ? 1 : 0) + entities.length + catalysts.length + (text ? 1 : 0);
+  if (cueCount === 0) {
+    throw new Error('pattern_complete needs at least one cue (people, place, entities, catalysts or text)');
+  }
+
+  const session = driver.session();
+
+  try {
+    const seeds = [];
+
+    const structured = await session.executeRead(tx => seedNodes(tx, { people, place, entities, catalysts }));
+    for (const seed of structured) {
+      seeds.push({ ...seed, activation: 1.0, hops: 0 });
+    }
+
+    // Free text seeds the best-matching Events directly
+    if (text) {
+      const retrieval = await retrieveCandidates(session, {
+        query: text,
+        candidates: config.text_seeds,
+        generateEmbedding,
+      });
+      const textEvents = await session.executeRead(tx => tx.run(
+        `
+        UNWIND $candidates AS candidate
+        MATCH (n:Event {id: candidate.id})
+        WHERE NOT n:Archived
+        RETURN elementId(n) AS element_id, labels(n) AS labels, n.id AS id,
+               coalesce(n.title, n.context_summary, n.id) AS name, candidate.score AS score
+        `,
+        { candidates: retrieval.candidates.slice(0, config.text_seeds).map(({ id, score }) => ({ id, score })) }
+      ));
+      for (const record of textEvents.records) {
+        seeds.push({
+          key: `text:${text}`,
+          kind: 'text',
+          cue: text,
+          node: nodeSummary(record),
+          activation: record.get('score'),
+          hops: 1,
+        });
+      }
+    }
+
+    const matchedCues = new Set(seeds.map(seed => seed.key));
+    const cues = [
+      ...people.map(cue => `person:${cue}`),
+      ...(place ? [`place:${place}`] : []),
+      ...entities.map(cue => `entity:${cue}`),
+      ...catalysts.map(cue => `catalyst:${cue}`),
+      ...(text ? [`text:${text}`] : []),
+    ];
+
+    const activation = await session.executeRead(tx => spreadActivation(tx, seeds, config));
+
+    // Rank activated Events by activation summed over cues
+    const ranked = [];
+    for (const byCue of activation.values()) {
+      const [first] = byCue.values();
+      if (!first.node.labels.includes('Event')) {
+        continue;
+      }
+      const activatedBy = [...byCue.entries()]
+        .map(([key, { activation: value, path }]) => ({ cue: key, activation: value, path: pathSteps(path) }))
+        .sort((a, b) => b.activation - a.activation);
+      ranked.push({
+        id: first.node.id,
+        activation: activatedBy.reduce((sum, cue) => sum + cue.activation, 0),
+        cues_matched: activatedBy.length,
+        activated_by: activatedBy,
+      });
+    }
+    ranked.sort((a, b) => b.activation - a.activation);
+
+    // Drop superseded events by default, then keep the strongest `limit`
+    let candidates = ranked;
+    if (!include_superseded && ranked.length > 0) {
+      const current = await session.executeRead(tx => tx.run(
+        `
+        UNWIND $ids AS eventId
+        MATCH (e:Event {id: eventId})
+        WHERE NOT EXISTS { (e)<-[:SUPERSEDES]-(:Event) }
+        RETURN e.id AS id
+        `,
+        { ids: ranked.map(event => event.id) }
+      ));
+      const currentIds = new Set(current.records.map(record => record.get('id')));
+      candidates = ranked.filter(event => currentIds.has(event.id));
+    }
+    const top = candidates.slice(0, parseInt(limit) || 10);
+
+    // Episode details for those events only
+    const details = await session.executeRead(tx => tx.run(
+      `
+      UNWIND $ids AS eventId
+      MATCH (e:Event {id: eventId})
+      RETURN e.id AS id,
+             coalesce(e.title, e.context_summary) AS title,
+             coalesce(e.description, e.full_content, e.context_summary) AS description,
+             coalesce(e.happened_at, e.timestamp) AS when,
+             e.type AS type,
+             e.significance AS significance,
+             [(e)<-[:SUPERSEDES]-(correction:Event) | correction.id] AS superseded_by
+      `,
+      { ids: top.map(event => event.id) }
+    ));
+
+    const detailsById = new Map(details.records.map(record => [record.get('id'), record]));
+    const events = top
+      .filter(event => detailsById.has(event.id))
+      .map(event => {
+        const record = detailsById.get(event.id);
+        return {
+          id: event.id,
+          title: record.get('title'),
+          description: record.get('description'),
+          when: record.get('when'),
+          type: record.get('type'),
+          significance: record.get('significance'),
+          activation: event.activation,
+          cues_matched: event.cues_matched,
+          activated_by: event.activated_by,
+          ...(include_superseded && {
+            outdated: record.get('superseded_by').length > 0,
+            superseded_by: record.get('superseded_by'),
+          }),
+        };
+      });
+
+    const reinforced = reinforce
+      ? await reinforceEvents(driver, events.filter(e => !e.outdated).map(e => e.id))
+      : 0;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            data: {
+              events,
+              count: events.length,
+            },
+            metadata: {
+              execution_time_ms: Date.now() - startTime,
+              cues: cues.length,
+              unmatched_cues: cues.filter(cue => !matchedCues.has(cue)),
+              seed_nodes: seeds.length,
+              nodes_activated: activation.size,
+              max_hops: config.max_hops,
+              decay: config.decay,
+              reinforced,
+            },
+          }, null, 2),
+        },
+      ],
+    };
+  } finally {
+    await session.close();
+  }
+}
@@ -0,0 +1,257 @@
+/**
+ * Remote Server Authentication
+ *
+ * Bearer-token auth for remote-mcp-server.mjs. Every token resolves to a
+ * principal ({ id, type, scopes }) that the tool registry passes to handlers
+ * as context.principal. Principal ids are prefixed with their type, so an
+ * OAuth subject can never pose as an API key tenant of the same name:
+ * - api_key: Static per-tenant tokens from MCP_API_KEYS
+ *   ("principal:token,principal:token"), id "api_key:<principal>", granted
+ *   MCP_API_KEY_SCOPES (default MCP_REQUIRED_SCOPES)
+ * - oauth: OAuth 2.1 access tokens validated by RFC 7662 introspection
+ *   against OAUTH_INTROSPECTION_URL, advertised to connectors through
+ *   RFC 9728 protected resource metadata, id "oauth:<sub or client_id>"
+ *
+ * Requests carrying an Origin header must match MCP_ALLOWED_ORIGINS.
+ * Auth is required unless MCP_AUTH=none is set explicitly (local dev only).
+ */
+
+import { timingSafeEqual } from 'crypto';
+import { requireBearerAuth } from '@modelcontextprotocol/sdk/server/auth/middleware/bearerAuth.js';
+import { InvalidTokenError, ServerError } from '@modelcontextprotocol/sdk/server/auth/errors.js';
+import { getOAuthProtectedResourceMetadataUrl } from '@modelcontextprotocol/sdk/server/auth/router.js';
+
+// Static API keys never expire; re-stamped on every verification
+const API_KEY_TTL_SECONDS = 3600;
+
+// Introspection responses may omit exp; such tokens are re-introspected on
+// every request anyway, so only a short expiry is stamped
+const INTROSPECTED_TOKEN_TTL_SECONDS = 300;
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Read auth configuration from environment variables.
+ */
+export function authConfigFromEnv(env = process.env) {
+  const requiredScopes = splitList(env.MCP_REQUIRED_SCOPES);
+  return {
+    disabled: (env.MCP_AUTH || '').toLowerCase() === 'none',
+    apiKeys: parseApiKeys(env.MCP_API_KEYS),
+    allowedOrigins: splitList(env.MCP_ALLOWED_ORIGINS),
+    resourceUrl: env.MCP_RESOURCE_URL || null,
+    requiredScopes,
+    apiKeyScopes: env.MCP_API_KEY_SCOPES === undefined ? requiredScopes : splitList(env.MCP_API_KEY_SCOPES),
+    oauthIssuer: env.OAUTH_ISSUER || null,
+    introspectionUrl: env.OAUTH_INTROSPECTION_URL || null,
+    clientId: env.OAUTH_CLIENT_ID || null,
+    clientSecret: env.OAUTH_CLIENT_SECRET || null,
+    audience: env.OAUTH_AUDIENCE || null,
+  };
+}
+
+function splitList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function parseApiKeys(value) {
+  return splitList(value).map((entry) => {
+    const separator = entry.indexOf(':');
+    if (separator <= 0 || separator === entry.length - 1) {
+      throw new Error('MCP_API_KEYS entries must look like principal:token');
+    }
+    return { principal: entry.slice(0, separator), token: entry.slice(separator + 1) };
+  });
+}
+
+// ============================================================================
+// TOKEN VERIFICATION
+// ============================================================================
+
+/**
+ * Create an OAuthTokenVerifier (as used by the SDK's requireBearerAuth) that
+ * accepts static API keys first, then falls back to OAuth introspection.
+ * Throws if no token source is configured.
+ */
+export function createTokenVerifier(config) {
+  if (config.apiKeys.length === 0 && !config.introspectionUrl) {
+    throw new Error('Remote server auth requires MCP_API_KEYS and/or OAUTH_INTROSPECTION_URL (or MCP_AUTH=none for local development)');
+  }
+
+  return {
+    verifyAccessToken: async (token) => {
+      const apiKey = config.apiKeys.find(key => safeEqual(key.token, token));
+      if (apiKey) {
+        const scopes = config.apiKeyScopes || [];
+        return {
+          token,
+          clientId: apiKey.principal,
+          scopes,
+          expiresAt: Math.floor(Date.now() / 1000) + API_KEY_TTL_SECONDS,
+          extra: {
+            principal: { id: `api_key:${apiKey.principal}`, type: 'api_key', scopes },
+          },
+        };
+      }
+
+      if (!config.introspectionUrl) {
+        throw new InvalidTokenError('Unknown API key');
+      }
+
+      return await introspectToken(config, token);
+    },
+  };
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+async function introspectToken(config, token) {
+  let response;
+  try {
+    response = await fetch(config.introspectionUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Accept: 'application/json',
+        ...(config.clientId && {
+          Authorization: `Basic ${Buffer.from(`${config.clientId}:${config.clientSecret || ''}`).toString('base64')}`,
+        }),
+      },
+      body: new URLSearchParams({ token, token_type_hint: 'access_token' }),
+      signal: AbortSignal.timeout(10000),
+    });
+  } catch (error) {
+    throw new ServerError(`Token introspection failed: ${error.message}`);
+  }
+
+  if (!response.ok) {
+    throw new ServerError(`Token introspection returned ${response.status} ${response.statusText}`);
+  }
+
+  const claims = await response.json();
+
+  if (!claims.active) {
+    throw new InvalidTokenError('Token is not active');
+  }
+
+  if (config.audience) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(config.audience)) {
+      throw new InvalidTokenError('Token audience does not match this server');
+    }
+  }
+
+  const scopes = splitList((claims.scope || '').replaceAll(' ', ','));
+  const principalId = claims.sub || claims.client_id;
+  if (!principalId) {
+    throw new InvalidTokenError('Token has no subject or client_id');
+  }
+
+  return {
+    token,
+    clientId: claims.client_id || principalId,
+    scopes,
+    expiresAt: claims.exp ?? Math.floor(Date.now() / 1000) + INTROSPECTED_TOKEN_TTL_SECONDS,
+    ...(config.resourceUrl && { resource: new URL(config.resourceUrl) }),
+    extra: {
+      principal: { id: `oauth:${principalId}`, type: 'oauth', scopes },
+    },
+  };
+}
+
+// ============================================================================
+// EXPRESS MIDDLEWARE
+// ============================================================================
+
+/**
+ * Reject cross-origin requests from origins not in allowedOrigins (DNS
+ * rebinding protection). Requests without an Origin header (server-side
+ * connectors, CLI clients) pass through. '*' allows every origin.
+ */
+export function createOriginGuard(config) {
+  const allowAll = config.allowedOrigins.includes('*');
+
+  return (req, res, next) => {
+    const origin = req.get('origin');
+    if (!origin || allowAll || config.allowedOrigins.includes(origin)) {
+      return next();
+    }
+    res.status(403).json({ error: 'forbidden_origin', error_description: `Origin not allowed: ${origin}` });
+  };
+}
+
+/**
+ * CORS options matching the origin guard.
+ */
+export function corsOptions(config) {
+  return {
+    origin: config.allowedOrigins.includes('*') ? true : config.allowedOrigins,
+    exposedHeaders: ['Mcp-Session-Id', 'WWW-Authenticate'],
+  };
+}
+
+/**
+ * Middleware requiring a valid bearer token; sets req.auth, which the MCP
+ * transports forward to tool handlers. With MCP_AUTH=none every request runs
+ * as the 'anonymous' principal.
+ */
+export function createAuthMiddleware(config) {
+  if (config.disabled) {
+    return (req, res, next) => {
+      req.auth = {
+        token: '',
+        clientId: 'anonymous',
+        scopes: [],
+        extra: {
+          principal: { id: 'anonymous', type: 'anonymous', scopes: [] },
+        },
+      };
+      next();
+    };
+  }
+
+  return requireBearerAuth({
+    verifier: createTokenVerifier(config),
+    requiredScopes: config.requiredScopes,
+    resourceMetadataUrl: protectedResourceMetadataUrl(config) || undefined,
+  });
+}
+
+// ============================================================================
+// PROTECTED RESOURCE METADATA (RFC 9728)
+// ============================================================================
+
+/**
+ * Well-known URL connectors use to discover the authorization server, or
+ * null when OAuth is not configured.
+ */
+export function protectedResourceMetadataUrl(config) {
+  if (!config.resourceUrl || !config.oauthIssuer) {
+    return null;
+  }
+  return getOAuthProtectedResourceMetadataUrl(new URL(config.resourceUrl));
+}
+
+export function protectedResourceMetadata(config) {
+  return {
+    resource: config.resourceUrl,
+    authorization_servers: [config.oauthIssuer],
+    bearer_methods_supported: ['header'],
+    ...(config.requiredScopes.length > 0 && { scopes_supported: config.requiredScopes }),
+    resource_name: 'Hippocampal Memory MCP',
+  };
+}
+
+/**
+ * Principal a request was authenticated as, from req.auth or a transport's
+ * authInfo.
+ */
+export function principalFromAuthInfo(authInfo) {
+  return authInfo?.extra?.principal || null;
+}
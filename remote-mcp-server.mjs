@@ -3,63 +3,94 @@
 /**
  * Remote Hippocampal Memory MCP Server (HTTP/SSE)
  * For use with claude.ai web connectors
+ *
+ * Serves the same tool registry as the stdio server (tool-registry.mjs) over
+ * two transports, each with its own MCP Server per client session:
+ * - /mcp: Streamable HTTP (POST messages, GET notification stream, DELETE
+ *   to end the session; session id in the Mcp-Session-Id header)
+ * - /sse + /messages: legacy HTTP+SSE (session id in the ?sessionId query)
+ *
+ * Every MCP route requires a bearer token (see remote-auth.mjs); sessions are
+ * bound to the principal that opened them. SSE sessions end when the client
+ * disconnects; Streamable HTTP sessions end on DELETE or after
+ * MCP_SESSION_IDLE_TIMEOUT_MINUTES without requests or an open stream.
  */
 
 import 'dotenv/config';
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
-import {
-  CallToolRequestSchema,
-  ListToolsRequestSchema,
-} from '@modelcontextprotocol/sdk/types.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
 import neo4j from 'neo4j-driver';
-import OpenAI from 'openai';
 import { randomUUID } from 'crypto';
 import express from 'express';
 import cors from 'cors';
+import { createEmbeddingProvider } from './embedding-providers.mjs';
+import { registerTools } from './tool-registry.mjs';
+import {
+  authConfigFromEnv,
+  createAuthMiddleware,
+  createOriginGuard,
+  corsOptions,
+  protectedResourceMetadata,
+  protectedResourceMetadataUrl,
+  principalFromAuthInfo,
+} from './remote-auth.mjs';
 
 const PORT = process.env.PORT || 3000;
 
+// Streamable HTTP sessions without requests or an open GET stream for this
+// long are closed, so clients that vanish without DELETE don't leak them
+const SESSION_IDLE_TIMEOUT_MS = parseFloat(process.env.MCP_SESSION_IDLE_TIMEOUT_MINUTES || '30') * 60000;
+
 // Environment validation
-const { NEO4J_URI, NEO4J_USER, NEO4J_PASSWORD, OPENAI_API_KEY } = process.env;
+const { NEO4J_URI, NEO4J_USER, NEO4J_PASSWORD } = process.env;
 
 if (!NEO4J_URI || !NEO4J_USER || !NEO4J_PASSWORD) {
   console.error('❌ Missing Neo4j environment variables');
   process.exit(1);
 }
 
-if (!OPENAI_API_KEY) {
-  console.error('❌ Missing OPENAI_API_KEY');
+if (!(SESSION_IDLE_TIMEOUT_MS > 0)) {
+  console.error('❌ MCP_SESSION_IDLE_TIMEOUT_MINUTES must be a number greater than 0');
   process.exit(1);
 }
 
-// Initialize clients
-const driver = neo4j.driver(NEO4J_URI, neo4j.auth.basic(NEO4J_USER, NEO4J_PASSWORD));
-const openai = new OpenAI({ apiKey: OPENAI_API_KEY });
+let embeddingProvider;
+try {
+  embeddingProvider = createEmbeddingProvider();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
 
-// Embedding generation helper
-async function generateEmbedding(text) {
-  const response = await openai.embeddings.create({
-    model: 'text-embedding-3-small',
-    input: text,
-  });
-  return response.data[0].embedding;
+let authConfig;
+let requireAuth;
+try {
+  authConfig = authConfigFromEnv();
+  requireAuth = createAuthMiddleware(authConfig);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
 }
 
-// Create Express app
-const app = express();
-app.use(cors());
-app.use(express.json());
+// Initialize clients
+const driver = neo4j.driver(NEO4J_URI, neo4j.auth.basic(NEO4J_USER, NEO4J_PASSWORD));
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'healthy', service: 'hippocampal-memory-mcp' });
-});
+// Shared context passed to all handlers
+const context = {
+  driver,
+  embeddingProvider,
+  generateEmbedding: embeddingProvider.embed,
+  generateEmbeddings: embeddingProvider.embedBatch,
+};
 
-// SSE endpoint for MCP
-app.get('/sse', async (req, res) => {
-  console.log('New SSE connection established');
+// Active sessions ({ transport, principalId, lastActivity, openStreams }) by
+// session id, one map per transport type
+const streamableSessions = new Map();
+const sseSessions = new Map();
 
+function createServer() {
   const server = new Server(
     {
       name: 'hippocampal-memory-server',
@@ -72,289 +103,243 @@ app.get('/sse', async (req, res) => {
     }
   );
 
-  // Set up tool handlers (same as stdio version)
-  setupToolHandlers(server);
+  // Same tools and handlers as the stdio server
+  registerTools(server, context);
 
-  const transport = new SSEServerTransport('/messages', res);
-  await server.connect(transport);
-});
+  return server;
+}
+
+function sendJsonRpcError(res, status, message) {
+  res.status(status).json({
+    jsonrpc: '2.0',
+    error: { code: -32000, message },
+    id: null,
+  });
+}
+
+// Create Express app
+const app = express();
+app.use(cors(corsOptions(authConfig)));
+app.use(createOriginGuard(authConfig));
+app.use(express.json());
 
-// POST endpoint for MCP messages
-app.post('/messages', async (req, res) => {
-  // This endpoint is used by SSEServerTransport for client->server messages
-  res.status(200).end();
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'healthy',
+    service: 'hippocampal-memory-mcp',
+    sessions: {
+      streamable_http: streamableSessions.size,
+      sse: sseSessions.size,
+    },
+  });
 });
 
-function setupToolHandlers(server) {
-  // Tool definitions
-  server.setRequestHandler(ListToolsRequestSchema, async () => {
-    return {
-      tools: [
-        {
-          name: 'encode_memory',
-          description: 'Create episodic memory event with emotional valence, temporal context, and entity involvement. Automatically generates embeddings for semantic retrieval.',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              event: {
-                type: 'object',
-                properties: {
-                  type: {
-                    type: 'string',
-                    enum: ['conversation', 'realization', 'correction', 'collaboration', 'genesis'],
-                    description: 'Type of episodic event',
-                  },
-                  timestamp: {
-                    type: 'string',
-                    format: 'date-time',
-                    description: 'ISO 8601 datetime (defaults to now)',
-                  },
-                  emotional_valence: {
-                    type: 'number',
-                    minimum: -1.0,
-                    maximum: 1.0,
-                    description: 'Emotional tone: -1.0 (negative) to 1.0 (positive)',
-                  },
-                  significance: {
-                    type: 'number',
-                    minimum: 0.0,
-                    maximum: 1.0,
-                    description: 'Consolidation priority: 0.0 (trivial) to 1.0 (critical)',
-                  },
-                  context_summary: {
-                    type: 'string',
-                    description: 'Brief description of the event (used for semantic search)',
-                  },
-                  full_content: {
-                    type: 'string',
-                    description: 'Optional detailed record of the event',
-                  },
-                },
-                required: ['type', 'context_summary', 'emotional_valence', 'significance'],
-              },
-              involves: {
-                type: 'array',
-                items: {
-                  type: 'object',
-                  properties: {
-                    entity_id: { type: 'string' },
-                    role: {
-                      type: 'string',
-                      enum: ['subject', 'object', 'catalyst', 'witness'],
-                    },
-                    salience: { type: 'number', minimum: 0.0, maximum: 1.0 },
-                  },
-                  required: ['entity_id', 'role', 'salience'],
-                },
-              },
-            },
-            required: ['event'],
-          },
-        },
-        {
-          name: 'recall_memory',
-          description: 'Retrieve memories using semantic similarity, emotional valence, temporal range, or entity involvement.',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              query: {
-                type: 'string',
-                description: 'Natural language query for semantic search',
-              },
-              limit: {
-                type: 'integer',
-                minimum: 1,
-                maximum: 100,
-                default: 10,
-              },
-            },
-          },
-        },
-        {
-          name: 'query_graph',
-          description: 'Execute read-only Cypher queries for complex data retrieval.',
-          inputSchema: {
-            type: 'object',
-            properties: {
-              cypher: {
-                type: 'string',
-                description: 'Cypher query to execute (read-only)',
-              },
-              params: {
-                type: 'object',
-                description: 'Parameterized query values',
-              },
-            },
-            required: ['cypher'],
-          },
-        },
-      ],
-    };
+// OAuth protected resource metadata, so connectors can find the authorization server
+const resourceMetadataUrl = protectedResourceMetadataUrl(authConfig);
+if (resourceMetadataUrl) {
+  const metadataPath = new URL(resourceMetadataUrl).pathname;
+  app.get([metadataPath, '/.well-known/oauth-protected-resource'], (req, res) => {
+    res.json(protectedResourceMetadata(authConfig));
   });
+}
 
-  // Tool handlers (simplified - add full handlers from your original file)
-  server.setRequestHandler(CallToolRequestSchema, async (request) => {
-    const startTime = Date.now();
+/**
+ * Look up a session, rejecting requests from a principal other than the one
+ * that opened it. Sends the error response and returns null on failure.
+ */
+function getOwnedSession(sessions, sessionId, req, res) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    sendJsonRpcError(res, 404, `Unknown session: ${sessionId}`);
+    return null;
+  }
+  if (session.principalId !== principalFromAuthInfo(req.auth)?.id) {
+    sendJsonRpcError(res, 403, 'Session belongs to a different principal');
+    return null;
+  }
+  session.lastActivity = Date.now();
+  return session;
+}
 
-    try {
-      switch (request.params.name) {
-        case 'encode_memory':
-          return await handleEncodeMemory(request.params.arguments, startTime);
+// ============================================================================
+// STREAMABLE HTTP TRANSPORT
+// ============================================================================
 
-        case 'recall_memory':
-          return await handleRecallMemory(request.params.arguments, startTime);
+app.post('/mcp', requireAuth, async (req, res) => {
+  const sessionId = req.get('mcp-session-id');
 
-        case 'query_graph':
-          return await handleQueryGraph(request.params.arguments, startTime);
+  try {
+    let transport;
 
-        default:
-          throw new Error(`Unknown tool: ${request.params.name}`);
+    if (sessionId) {
+      const session = getOwnedSession(streamableSessions, sessionId, req, res);
+      if (!session) {
+        return;
       }
-    } catch (error) {
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify({
-              success: false,
-              error: error.message,
-            }, null, 2),
-          },
-        ],
+      transport = session.transport;
+    } else if (isInitializeRequest(req.body)) {
+      const principal = principalFromAuthInfo(req.auth);
+
+      transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (id) => {
+          streamableSessions.set(id, { transport, principalId: principal.id, lastActivity: Date.now(), openStreams: 0 });
+          console.log(`Streamable HTTP session started: ${id} (${principal.id})`);
+        },
+      });
+
+      transport.onclose = () => {
+        if (transport.sessionId && streamableSessions.delete(transport.sessionId)) {
+          console.log(`Streamable HTTP session closed: ${transport.sessionId}`);
+        }
       };
+
+      await createServer().connect(transport);
+    } else {
+      return sendJsonRpcError(res, 400, 'Bad Request: missing Mcp-Session-Id header');
     }
-  });
-}
 
-// Simplified handlers (you can copy the full ones from hippocampal-mcp-server.mjs)
-async function handleEncodeMemory(args, startTime) {
-  const session = driver.session();
-  try {
-    const { event, involves = [] } = args;
-    const eventId = randomUUID();
-    const timestamp = event.timestamp || new Date().toISOString();
-
-    const embedding = await generateEmbedding(event.context_summary);
-
-    await session.run(
-      `CREATE (e:Event {
-        id: $id,
-        timestamp: datetime($timestamp),
-        type: $type,
-        emotional_valence: $emotional_valence,
-        significance: $significance,
-        context_summary: $context_summary,
-        full_content: $full_content,
-        embedding: $embedding,
-        embedding_model: 'text-embedding-3-small'
-      })
-      RETURN e`,
-      {
-        id: eventId,
-        timestamp,
-        type: event.type,
-        emotional_valence: event.emotional_valence,
-        significance: event.significance,
-        context_summary: event.context_summary,
-        full_content: event.full_content || null,
-        embedding,
-      }
-    );
-
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify({
-            success: true,
-            data: { event_id: eventId, timestamp },
-            metadata: { execution_time_ms: Date.now() - startTime },
-          }, null, 2),
-        },
-      ],
-    };
-  } finally {
-    await session.close();
+    await transport.handleRequest(req, res, req.body);
+  } catch (error) {
+    console.error('Error handling /mcp request:', error);
+    if (!res.headersSent) {
+      sendJsonRpcError(res, 500, 'Internal server error');
+    }
+  }
+});
+
+// GET opens the server->client notification stream, DELETE ends the session
+async function handleSessionRequest(req, res) {
+  const sessionId = req.get('mcp-session-id');
+  if (!sessionId) {
+    return sendJsonRpcError(res, 400, 'Bad Request: missing Mcp-Session-Id header');
   }
-}
 
-async function handleRecallMemory(args, startTime) {
-  const session = driver.session();
   try {
-    const { query, limit = 10 } = args;
-
-    if (query) {
-      const queryEmbedding = await generateEmbedding(query);
-
-      const result = await session.run(
-        `CALL db.index.vector.queryNodes('event_embeddings', $limit, $queryEmbedding)
-        YIELD node AS e, score
-        RETURN e.id AS id, e.context_summary AS context_summary,
-               e.emotional_valence AS emotional_valence, score
-        LIMIT $limit`,
-        { queryEmbedding, limit }
-      );
-
-      const memories = result.records.map(r => ({
-        id: r.get('id'),
-        context_summary: r.get('context_summary'),
-        emotional_valence: r.get('emotional_valence'),
-        score: r.get('score'),
-      }));
-
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify({
-              success: true,
-              data: { memories, count: memories.length },
-              metadata: { execution_time_ms: Date.now() - startTime },
-            }, null, 2),
-          },
-        ],
-      };
+    const session = getOwnedSession(streamableSessions, sessionId, req, res);
+    if (!session) {
+      return;
     }
 
-    return {
-      content: [
-        { type: 'text', text: JSON.stringify({ success: true, data: { memories: [] } }, null, 2) },
-      ],
-    };
-  } finally {
-    await session.close();
+    // An open notification stream keeps the session alive
+    if (req.method === 'GET') {
+      session.openStreams += 1;
+      res.on('close', () => {
+        session.openStreams -= 1;
+        session.lastActivity = Date.now();
+      });
+    }
+
+    await session.transport.handleRequest(req, res);
+  } catch (error) {
+    console.error(`Error handling ${req.method} /mcp request:`, error);
+    if (!res.headersSent) {
+      sendJsonRpcError(res, 500, 'Internal server error');
+    }
+  }
+}
+
+app.get('/mcp', requireAuth, handleSessionRequest);
+app.delete('/mcp', requireAuth, handleSessionRequest);
+
+async function expireIdleSessions() {
+  const now = Date.now();
+  for (const [sessionId, session] of streamableSessions) {
+    if (session.openStreams === 0 && now - session.lastActivity >= SESSION_IDLE_TIMEOUT_MS) {
+      console.log(`Streamable HTTP session idle, closing: ${sessionId}`);
+      await session.transport.close().catch(error => console.error(`Error closing session ${sessionId}:`, error));
+      // onclose already removed it, unless closing failed
+      streamableSessions.delete(sessionId);
+    }
   }
 }
 
-async function handleQueryGraph(args, startTime) {
-  const session = driver.session();
+const idleSweep = setInterval(expireIdleSessions, Math.min(SESSION_IDLE_TIMEOUT_MS, 60000));
+idleSweep.unref();
+
+// ============================================================================
+// LEGACY HTTP+SSE TRANSPORT
+// ============================================================================
+
+app.get('/sse', requireAuth, async (req, res) => {
+  let transport;
+
   try {
-    const { cypher, params = {} } = args;
-    const result = await session.run(cypher, params);
-
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify({
-            success: true,
-            data: {
-              records: result.records.map(record => record.toObject()),
-              count: result.records.length,
-            },
-            metadata: { execution_time_ms: Date.now() - startTime },
-          }, null, 2),
-        },
-      ],
+    const principal = principalFromAuthInfo(req.auth);
+    transport = new SSEServerTransport('/messages', res);
+    sseSessions.set(transport.sessionId, { transport, principalId: principal.id });
+    console.log(`SSE session started: ${transport.sessionId} (${principal.id})`);
+
+    // Fires when the client disconnects or the transport is closed
+    transport.onclose = () => {
+      if (sseSessions.delete(transport.sessionId)) {
+        console.log(`SSE session closed: ${transport.sessionId}`);
+      }
     };
-  } finally {
-    await session.close();
+
+    await createServer().connect(transport);
+  } catch (error) {
+    console.error('Error opening SSE session:', error);
+    if (transport) {
+      sseSessions.delete(transport.sessionId);
+    }
+    if (!res.headersSent) {
+      sendJsonRpcError(res, 500, 'Internal server error');
+    } else {
+      res.end();
+    }
   }
+});
+
+// Client->server messages for an SSE session
+app.post('/messages', requireAuth, async (req, res) => {
+  const sessionId = req.query.sessionId;
+  if (!sessionId) {
+    return sendJsonRpcError(res, 400, 'Missing sessionId query parameter');
+  }
+
+  try {
+    const session = getOwnedSession(sseSessions, sessionId, req, res);
+    if (!session) {
+      return;
+    }
+
+    // express.json() has already consumed the stream, so pass the parsed body
+    await session.transport.handlePostMessage(req, res, req.body);
+  } catch (error) {
+    console.error('Error handling /messages request:', error);
+    if (!res.headersSent) {
+      sendJsonRpcError(res, 500, 'Internal server error');
+    }
+  }
+});
+
+// ============================================================================
+// SERVER LIFECYCLE
+// ============================================================================
+
+async function shutdown() {
+  console.log('Shutting down, closing sessions...');
+  clearInterval(idleSweep);
+  const sessions = [...streamableSessions.values(), ...sseSessions.values()];
+  await Promise.allSettled(sessions.map(session => session.transport.close()));
+  await driver.close();
+  process.exit(0);
 }
 
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
 // Start server
 app.listen(PORT, () => {
   console.log(`🧠 Remote Hippocampal Memory MCP Server running on port ${PORT}`);
-  console.log(`📡 SSE endpoint: http://localhost:${PORT}/sse`);
+  console.log(`📡 Streamable HTTP endpoint: http://localhost:${PORT}/mcp`);
+  console.log(`📡 SSE endpoint (legacy): http://localhost:${PORT}/sse`);
   console.log(`🔗 Neo4j: ${NEO4J_URI}`);
+  console.log(`🔐 Auth: ${authConfig.disabled ? 'DISABLED (MCP_AUTH=none)' : [
+    authConfig.apiKeys.length > 0 && `${authConfig.apiKeys.length} API key(s)`,
+    authConfig.introspectionUrl && 'OAuth introspection',
+  ].filter(Boolean).join(' + ')}`);
+  console.log(`🤖 Embeddings: ${embeddingProvider.name} (${embeddingProvider.model}, ${embeddingProvider.dimensions}d)`);
 });
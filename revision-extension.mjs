@@ -0,0 +1,719 @@
+/**
+ * Revision Module Extension
+ *
+ * Versioned memory for Events, Reflections and BOND relationships:
+ * - memory_history: List the revisions of a memory by id
+ * - revert_memory: Restore a memory to a prior revision
+ * - migrate_revisions: Give memories written before versioning an id and
+ *   their first revision
+ *
+ * Each versioned entity carries `revision` (its current version) and a
+ * `revision_fingerprint` computed in Cypher from its properties. Tools that
+ * create memories (encode_memory, hippocampus_write_event, capture
+ * promotion, hippocampus_write_reflection, evolve_bond) record version 1 as
+ * they write them. Tools that modify memories (mutate_graph, evolve_bond,
+ * migrate_events, revert_memory) call captureRevisions after writing,
+ * inside the same transaction and scoped to the ids they write; any of
+ * those whose fingerprint no longer matches gets an appended (:Revision)
+ * snapshot with timestamp and author. Memories written before versioning
+ * get version 1 from migrate_revisions.
+ *
+ * Bookkeeping written by decay and recall (effective_strength,
+ * recall_count, ...) and embeddings are not versioned.
+ */
+
+import neo4j from 'neo4j-driver';
+import { randomUUID } from 'crypto';
+import { eventEmbeddingText, reflectionEmbeddingText } from './event-model.mjs';
+
+export const REVISION_LABEL = 'Revision';
+
+// Properties excluded from snapshots and fingerprints
+export const UNVERSIONED_KEYS = [
+  'revision',
+  'revision_fingerprint',
+  'embedding',
+  'embedding_model',
+  'effective_strength',
+  'last_decayed_at',
+  'archived_at',
+  'last_recalled_at',
+  'recall_count',
+];
+
+// Fields that feed Event and Reflection embeddings; reverting any of them re-embeds
+const EMBEDDED_EVENT_KEYS = ['title', 'description', 'context_summary', 'full_content'];
+const EMBEDDED_REFLECTION_KEYS = ['summary'];
+
+const VERSIONED_KINDS = {
+  Event: {
+    match: 'MATCH (x:Event)',
+    byId: 'MATCH (x:Event {id: row.id})',
+    // Events always have an id; older Reflections and BONDs may not
+    assignsId: false,
+  },
+  Reflection: {
+    match: 'MATCH (x:Reflection)',
+    byId: 'MATCH (x:Reflection {id: row.id})',
+    assignsId: true,
+  },
+  BOND: {
+    match: 'MATCH ()-[x:BOND]->()',
+    byId: 'MATCH ()-[x:BOND {id: row.id}]->()',
+    assignsId: true,
+  },
+};
+
+export const VERSIONED_KIND_NAMES = Object.keys(VERSIONED_KINDS);
+
+// Stable string form of an entity's versioned properties. Lists are
+// flattened element-wise because toString() doesn't accept them.
+const FINGERPRINT = `
+  reduce(acc = '', k IN [key IN keys(x) WHERE NOT key IN $unversionedKeys] |
+    acc + k + '=' + CASE
+      WHEN toStringOrNull(x[k]) IS NOT NULL THEN toString(x[k])
+      ELSE '[' + reduce(items = '', item IN x[k] | items + coalesce(toStringOrNull(item), '') + ',') + ']'
+    END + ';'
+  )`;
+
+// Tool definitions for Revision Module
+export const revisionTools = [
+  {
+    name: 'memory_history',
+    description: 'List the revisions of an Event, Reflection or BOND by id: what it looked like at each version, when it changed, who changed it and with which tool.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: 'Event, Reflection or BOND id',
+        },
+        include_snapshots: {
+          type: 'boolean',
+          default: true,
+          description: 'Include the full property snapshot of each revision',
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 200,
+          default: 50,
+        },
+      },
+      required: ['id'],
+    },
+  },
+  {
+    name: 'revert_memory',
+    description: 'Restore an Event, Reflection or BOND to the properties it had at a prior revision. The revert is recorded as a new revision, so it can itself be undone.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: 'Event, Reflection or BOND id',
+        },
+        version: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Revision to restore (see memory_history)',
+        },
+      },
+      required: ['id', 'version'],
+    },
+  },
+  {
+    name: 'migrate_revisions',
+    description: 'Give Events, Reflections and BONDs written before versioning existed their first revision (and an id where a Reflection or BOND lacks one), so later edits keep their prior state. Run once after upgrading; safe to re-run; dry-run by default.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dry_run: {
+          type: 'boolean',
+          default: true,
+          description: 'Report how many memories would be baselined without writing',
+        },
+        batch_size: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 5000,
+          default: 500,
+          description: 'Memories baselined per transaction',
+        },
+      },
+    },
+  },
+];
+
+// ============================================================================
+// SNAPSHOT ENCODING
+// ============================================================================
+
+// Temporal and spatial types, with the fields needed to rebuild them
+const TYPED_VALUES = [
+  ['DateTime', neo4j.isDateTime, ['year', 'month', 'day', 'hour', 'minute', 'second', 'nanosecond', 'timeZoneOffsetSeconds', 'timeZoneId']],
+  ['LocalDateTime', neo4j.isLocalDateTime, ['year', 'month', 'day', 'hour', 'minute', 'second', 'nanosecond']],
+  ['Date', neo4j.isDate, ['year', 'month', 'day']],
+  ['Time', neo4j.isTime, ['hour', 'minute', 'second', 'nanosecond', 'timeZoneOffsetSeconds']],
+  ['LocalTime', neo4j.isLocalTime, ['hour', 'minute', 'second', 'nanosecond']],
+  ['Duration', neo4j.isDuration, ['months', 'days', 'seconds', 'nanoseconds']],
+  ['Point', neo4j.isPoint, ['srid', 'x', 'y', 'z']],
+];
+
+/**
+ * JSON-safe form of a property value that keeps Neo4j integers, temporals
+ * and points distinguishable from plain numbers and strings.
+ */
+function encodeValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(encodeValue);
+  }
+  if (neo4j.isInt(value)) {
+    return { $int: value.toString() };
+  }
+  for (const [type, test, fields] of TYPED_VALUES) {
+    if (test(value)) {
+      return {
+        $type: type,
+        fields: fields.map(field => (neo4j.isInt(value[field]) ? neo4j.integer.toNumber(value[field]) : value[field] ?? null)),
+      };
+    }
+  }
+  return value;
+}
+
+function decodeValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(decodeValue);
+  }
+  if (value && typeof value === 'object') {
+    if ('$int' in value) {
+      return neo4j.int(value.$int);
+    }
+    if ('$type' in value) {
+      return new neo4j.types[value.$type](...value.fields);
+    }
+  }
+  return value;
+}
+
+/**
+ * Readable form of an encoded value for tool output.
+ */
+function displayValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(displayValue);
+  }
+  if (value && typeof value === 'object') {
+    if ('$int' in value) {
+      return Number(value.$int);
+    }
+    if ('$type' in value) {
+      return decodeValue(value).toString();
+    }
+  }
+  return value;
+}
+
+function encodeSnapshot(props) {
+  return Object.fromEntries(
+    Object.entries(props)
+      .filter(([key, value]) => !UNVERSIONED_KEYS.includes(key) && value !== null && value !== undefined)
+      .map(([key, value]) => [key, encodeValue(value)])
+  );
+}
+
+function changedKeys(previous, next) {
+  const keys = new Set([...Object.keys(previous || {}), ...Object.keys(next)]);
+  return [...keys].filter(key => JSON.stringify(previous?.[key]) !== JSON.stringify(next[key])).sort();
+}
+
+// ============================================================================
+// CAPTURE
+// ============================================================================
+
+function kindsFor(kinds) {
+  return (kinds || VERSIONED_KIND_NAMES).map(kind => [kind, VERSIONED_KINDS[kind]]);
+}
+
+// Versioning work is proportional to the memories written, never the graph
+function assertIds(ids, caller) {
+  if (!Array.isArray(ids)) {
+    throw new Error(`${caller} needs the ids of the memories being written`);
+  }
+}
+
+function byIds(spec) {
+  return `UNWIND $ids AS id ${spec.byId.replace('row.id', 'id')}`;
+}
+
+async function writeRevisions(tx, kind, rows, { author, tool, change, auditId, revertedFrom }) {
+  if (rows.length === 0) {
+    return [];
+  }
+
+  await tx.run(
+    `
+    UNWIND $rows AS row
+    ${VERSIONED_KINDS[kind].byId}
+    SET x.revision = row.version
+    WITH x, row
+    SET x.revision_fingerprint = ${FINGERPRINT}
+    CREATE (:${REVISION_LABEL} {
+      id: randomUUID(),
+      target_id: row.id,
+      target_kind: $kind,
+      version: row.version,
+      at: datetime(),
+      change: row.change,
+      changed_keys: row.changedKeys,
+      snapshot: row.snapshot,
+      author_id: $authorId,
+      author_type: $authorType,
+      tool: $tool,
+      audit_id: $auditId,
+      reverted_from: $revertedFrom
+    })
+    `,
+    {
+      rows: rows.map(row => ({ ...row, version: neo4j.int(row.version) })),
+      kind,
+      unversionedKeys: UNVERSIONED_KEYS,
+      authorId: author?.id ?? null,
+      authorType: author?.type ?? null,
+      tool,
+      auditId: auditId ?? null,
+      revertedFrom: revertedFrom !== undefined && change === 'revert' ? neo4j.int(revertedFrom) : null,
+    }
+  );
+
+  return rows.map(row => ({ id: row.id, kind, version: row.version, change: row.change, changed_keys: row.changedKeys }));
+}
+
+/**
+ * Record version 1 for the given ids that have no revision yet. Call before
+ * a write so the pre-edit state is kept, or with change 'create' right after
+ * writing a new memory. Returns the revisions written.
+ */
+export async function baselineRevisions(tx, { kinds, ids, author, tool, change = 'baseline' } = {}) {
+  assertIds(ids, 'baselineRevisions');
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const written = [];
+  for (const [kind, spec] of kindsFor(kinds)) {
+    const result = await tx.run(
+      `
+      ${byIds(spec)}
+      WITH DISTINCT x
+      WHERE x.revision IS NULL
+      RETURN x.id AS id, x {.*, embedding: null} AS props
+      `,
+      { ids }
+    );
+
+    const rows = result.records.map((record) => {
+      const snapshot = encodeSnapshot(record.get('props'));
+      return {
+        id: record.get('id'),
+        version: 1,
+        change,
+        changedKeys: [],
+        snapshot: JSON.stringify(snapshot),
+      };
+    });
+
+    written.push(...await writeRevisions(tx, kind, rows, { author, tool, change }));
+  }
+
+  return written;
+}
+
+/**
+ * Append a revision for each of the given ids whose properties changed since
+ * its last revision. Call after a write, in the same transaction. Returns
+ * the revisions written ({ id, kind, version, change, changed_keys }).
+ */
+export async function captureRevisions(tx, { kinds, ids, author, tool, change = 'update', auditId = null, revertedFrom } = {}) {
+  assertIds(ids, 'captureRevisions');
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const written = [];
+  for (const [kind, spec] of kindsFor(kinds)) {
+    const result = await tx.run(
+      `
+      ${byIds(spec)}
+      WITH DISTINCT x
+      WHERE x.revision IS NOT NULL
+        AND ${FINGERPRINT} <> coalesce(x.revision_fingerprint, '')
+      OPTIONAL MATCH (r:${REVISION_LABEL} {target_id: x.id, version: x.revision})
+      RETURN x.id AS id, x.revision AS version, x {.*, embedding: null} AS props, r.snapshot AS previous
+      `,
+      { ids, unversionedKeys: UNVERSIONED_KEYS }
+    );
+
+    const rows = result.records.map((record) => {
+      const snapshot = encodeSnapshot(record.get('props'));
+      const previous = record.get('previous') ? JSON.parse(record.get('previous')) : null;
+      return {
+        id: record.get('id'),
+        version: neo4j.integer.toNumber(record.get('version')) + 1,
+        change,
+        changedKeys: changedKeys(previous, snapshot),
+        snapshot: JSON.stringify(snapshot),
+      };
+    });
+
+    written.push(...await writeRevisions(tx, kind, rows, { author, tool, change, auditId, revertedFrom }));
+  }
+
+  return written;
+}
+
+/**
+ * Ids of the Events, Reflections and BONDs a statement returned (bare, in
+ * paths, lists or maps), by kind, for versioning a raw Cypher write.
+ * Returned Reflections and BONDs without an id are given one.
+ */
+export async function returnedVersionedIds(tx, records) {
+  const elementIds = Object.fromEntries(VERSIONED_KIND_NAMES.map(kind => [kind, new Set()]));
+
+  const visit = (value) => {
+    if (value === null || typeof value !== 'object') {
+      return;
+    }
+    if (neo4j.isNode(value)) {
+      value.labels.filter(label => label in elementIds).forEach(label => elementIds[label].add(value.elementId));
+    } else if (neo4j.isRelationship(value)) {
+      elementIds[value.type]?.add(value.elementId);
+    } else if (neo4j.isPath(value)) {
+      visit(value.start);
+      value.segments.forEach((segment) => {
+        visit(segment.relationship);
+        visit(segment.end);
+      });
+    } else if (Array.isArray(value)) {
+      value.forEach(visit);
+    } else if (!neo4j.isInt(value)) {
+      Object.values(value).forEach(visit);
+    }
+  };
+  records.forEach(record => visit(record.toObject()));
+
+  const ids = {};
+  for (const [kind, spec] of kindsFor()) {
+    if (elementIds[kind].size === 0) {
+      continue;
+    }
+    const result = await tx.run(
+      `
+      ${spec.match}
+      WHERE elementId(x) IN $elementIds ${spec.assignsId ? '' : 'AND x.id IS NOT NULL'}
+      ${spec.assignsId ? 'SET x.id = coalesce(x.id, randomUUID())' : ''}
+      RETURN x.id AS id
+      `,
+      { elementIds: [...elementIds[kind]] }
+    );
+    ids[kind] = result.records.map(record => record.get('id'));
+  }
+  return ids;
+}
+
+// ============================================================================
+// HISTORY READS
+// ============================================================================
+
+/**
+ * Revisions of the given ids, oldest first, as a Map from id to
+ * [{ version, at, at_ms, change, snapshot }] with readable snapshot values.
+ * Used by tools that analyse how a memory changed over time.
+ */
+export async function revisionSnapshots(tx, ids) {
+  const result = await tx.run(
+    `
+    MATCH (r:${REVISION_LABEL})
+    WHERE r.target_id IN $ids
+    RETURN r.target_id AS id, r.version AS version, r.at AS at, r.change AS change, r.snapshot AS snapshot
+    ORDER BY r.target_id, r.version
+    `,
+    { ids }
+  );
+
+  const history = new Map(ids.map(id => [id, []]));
+  for (const record of result.records) {
+    const at = record.get('at');
+    history.get(record.get('id'))?.push({
+      version: neo4j.integer.toNumber(record.get('version')),
+      at: at.toString(),
+      at_ms: Date.parse(at.toString()),
+      change: record.get('change'),
+      snapshot: Object.fromEntries(
+        Object.entries(JSON.parse(record.get('snapshot'))).map(([key, value]) => [key, displayValue(value)])
+      ),
+    });
+  }
+  return history;
+}
+
+// ============================================================================
+// HANDLERS
+// ============================================================================
+
+function revisionFromNode(node, includeSnapshot) {
+  const props = node.properties;
+  const revision = {
+    version: neo4j.integer.toNumber(props.version),
+    at: props.at.toString(),
+    change: props.change,
+    changed_keys: props.changed_keys,
+    author: props.author_id,
+    author_type: props.author_type,
+    tool: props.tool,
+    audit_id: props.audit_id || null,
+    reverted_from: props.reverted_from != null ? neo4j.integer.toNumber(props.reverted_from) : null,
+  };
+
+  if (includeSnapshot) {
+    revision.snapshot = Object.fromEntries(
+      Object.entries(JSON.parse(props.snapshot)).map(([key, value]) => [key, displayValue(value)])
+    );
+  }
+
+  return revision;
+}
+
+export async function handleMemoryHistory(args, startTime, context) {
+  const { driver } = context;
+  const { id, include_snapshots = true, limit = 50 } = args;
+
+  const session = driver.session();
+
+  try {
+    const result = await session.executeRead(tx => tx.run(
+      `
+      MATCH (r:${REVISION_LABEL} {target_id: $id})
+      WITH r ORDER BY r.version DESC LIMIT $limit
+      RETURN r
+      `,
+      { id, limit: neo4j.int(parseInt(limit) || 50) }
+    ));
+
+    const revisions = result.records.map(record => revisionFromNode(record.get('r'), include_snapshots));
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            data: {
+              id,
+              kind: result.records[0]?.get('r').properties.target_kind ?? null,
+              current_version: revisions[0]?.version ?? null,
+              revisions,
+              count: revisions.length,
+            },
+            metadata: {
+              execution_time_ms: Date.now() - startTime,
+              note: revisions.length === 0
+                ? 'No revisions yet: memories are versioned from the first time a modifying tool runs after they are written'
+                : undefined,
+            },
+          }, null, 2),
+        },
+      ],
+    };
+  } finally {
+    await session.close();
+  }
+}
+
+export async function handleRevertMemory(args, startTime, context) {
+  const { driver, generateEmbedding, embeddingProvider, principal } = context;
+  const { id, version } = args;
+
+  const session = driver.session();
+
+  try {
+    const lookup = await session.executeRead(tx => tx.run(
+      `
+      MATCH (r:${REVISION_LABEL} {target_id: $id, version: $version})
+      RETURN r.target_kind AS kind, r.snapshot AS snapshot
+      `,
+      { id, version: neo4j.int(version) }
+    ));
+
+    if (lookup.records.length === 0) {
+      throw new Error(`No revision ${version} for memory ${id}`);
+    }
+
+    const kind = lookup.records[0].get('kind');
+    const snapshot = JSON.parse(lookup.records[0].get('snapshot'));
+    const spec = VERSIONED_KINDS[kind];
+
+    // Catalysts and effects feed Event embeddings; BONDs are relationships
+    const current = await session.executeRead(tx => tx.run(
+      `
+      ${spec.byId.replace('row.id', '$id')}
+      RETURN x {.*, embedding: null} AS props,
+             ${kind === 'Event' ? '[(x)-[:CATALYZED_BY]->(c:Catalyst) | c.description]' : '[]'} AS why,
+             ${kind === 'Event' ? '[(x)-[:HAD_EFFECT_ON]->(f:Effect) | f { .summary }]' : '[]'} AS effects
+      `,
+      { id }
+    ));
+
+    if (current.records.length === 0) {
+      throw new Error(`${kind} ${id} no longer exists and cannot be reverted`);
+    }
+
+    const currentProps = current.records[0].get('props');
+
+    // Restore snapshot values and clear properties added since
+    const props = Object.fromEntries(
+      Object.entries(snapshot).map(([key, value]) => [key, decodeValue(value)])
+    );
+    for (const key of Object.keys(currentProps)) {
+      if (!(key in snapshot) && !UNVERSIONED_KEYS.includes(key)) {
+        props[key] = null;
+      }
+    }
+
+    const restored = changedKeys(encodeSnapshot(currentProps), snapshot);
+
+    let embedding = null;
+    if (kind === 'Event' && restored.some(key => EMBEDDED_EVENT_KEYS.includes(key))) {
+      embedding = await generateEmbedding(eventEmbeddingText({
+        ...Object.fromEntries(Object.entries(snapshot).map(([key, value]) => [key, displayValue(value)])),
+        why: current.records[0].get('why'),
+        effects: current.records[0].get('effects'),
+      }));
+    } else if (kind === 'Reflection' && restored.some(key => EMBEDDED_REFLECTION_KEYS.includes(key))) {
+      embedding = await generateEmbedding(reflectionEmbeddingText(
+        Object.fromEntries(Object.entries(snapshot).map(([key, value]) => [key, displayValue(value)]))
+      ));
+    }
+
+    const revisions = await session.executeWrite(async tx => {
+      await baselineRevisions(tx, { kinds: [kind], ids: [id], author: principal, tool: 'revert_memory' });
+
+      await tx.run(
+        `
+        ${spec.byId.replace('row.id', '$id')}
+        SET x += $props
+        FOREACH (_ IN CASE WHEN $embedding IS NULL THEN [] ELSE [1] END |
+          SET x.embedding = $embedding, x.embedding_model = $embeddingModel
+        )
+        `,
+        { id, props, embedding, embeddingModel: embeddingProvider.model }
+      );
+
+      return await captureRevisions(tx, {
+        kinds: [kind],
+        ids: [id],
+        author: principal,
+        tool: 'revert_memory',
+        change: 'revert',
+        revertedFrom: version,
+      });
+    });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            data: {
+              id,
+              kind,
+              restored_version: version,
+              restored_keys: restored,
+              new_version: revisions[0]?.version ?? null,
+              re_embedded: embedding !== null,
+            },
+            metadata: {
+              execution_time_ms: Date.now() - startTime,
+            },
+          }, null, 2),
+        },
+      ],
+    };
+  } finally {
+    await session.close();
+  }
+}
+
+export async function handleMigrateRevisions(args, startTime, context) {
+  const { driver, principal } = context;
+  const { dry_run = true, batch_size = 500 } = args;
+
+  const session = driver.session();
+
+  try {
+    const before = {};
+    const baselined = {};
+
+    for (const [kind, spec] of kindsFor()) {
+      // Events always have an id; Reflections and BONDs get one when baselined
+      const pending = `${spec.match} WHERE x.revision IS NULL ${spec.assignsId ? '' : 'AND x.id IS NOT NULL'}`;
+
+      const countResult = await session.executeRead(tx => tx.run(
+        `
+        ${pending}
+        RETURN count(x) AS pending, count(CASE WHEN x.id IS NULL THEN 1 END) AS missing_id
+        `
+      ));
+      before[kind] = {
+        pending: neo4j.integer.toNumber(countResult.records[0].get('pending')),
+        missing_id: neo4j.integer.toNumber(countResult.records[0].get('missing_id')),
+      };
+      baselined[kind] = 0;
+
+      // Each batch stamps revision 1, so the next read picks up where it left off
+      while (!dry_run) {
+        const written = await session.executeWrite(async (tx) => {
+          const batch = await tx.run(
+            `
+            ${pending}
+            WITH x LIMIT $batchSize
+            SET x.id = coalesce(x.id, randomUUID())
+            RETURN x.id AS id
+            `,
+            { batchSize: neo4j.int(batch_size) }
+          );
+          const ids = batch.records.map(record => record.get('id'));
+          return await baselineRevisions(tx, { kinds: [kind], ids, author: principal, tool: 'migrate_revisions' });
+        });
+
+        if (written.length === 0) {
+          break;
+        }
+        baselined[kind] += written.length;
+      }
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            data: {
+              dry_run,
+              before,
+              baselined,
+            },
+            metadata: {
+              execution_time_ms: Date.now() - startTime,
+            },
+          }, null, 2),
+        },
+      ],
+    };
+  } finally {
+    await session.close();
+  }
+}
@@ -0,0 +1,191 @@
+/**
+ * Scoring Profiles
+ *
+ * Relevance ranking for recall_memory. A memory's score is the weighted
+ * mean of up to six factors, each 0.0-1.0:
+ * - similarity: fused vector/full-text score for the query (hybrid-search.mjs)
+ * - significance: the Event's consolidation priority
+ * - recency: 0.5 ^ (age in days / recency_half_life_days)
+ * - intensity: |emotional_valence|, strong feelings either way
+ * - frequency: recall_count / (recall_count + 3), saturating with rehearsal
+ * - bond: strongest BOND between bond_from and an entity involved in the
+ *   Event, times that entity's salience
+ *
+ * Factors that don't apply to a call (similarity without a query, bond
+ * without bond_from) drop out and the remaining weights are renormalized.
+ * Named presets cover common recall styles; any weight can be overridden
+ * per call. The default preset reproduces the original ranking of
+ * 0.7 × similarity + 0.3 × significance.
+ */
+
+export const SCORING_FACTORS = ['similarity', 'significance', 'recency', 'intensity', 'frequency', 'bond'];
+
+// recall_count at which the frequency factor reaches 0.5
+const FREQUENCY_SATURATION = 3;
+
+export const SCORING_PRESETS = {
+  default: {
+    weights: { similarity: 0.7, significance: 0.3 },
+    recency_half_life_days: 30,
+  },
+  balanced: {
+    weights: { similarity: 0.4, significance: 0.15, recency: 0.15, intensity: 0.1, frequency: 0.1, bond: 0.1 },
+    recency_half_life_days: 30,
+  },
+  recent: {
+    weights: { similarity: 0.5, significance: 0.15, recency: 0.35 },
+    recency_half_life_days: 7,
+  },
+  emotional: {
+    weights: { similarity: 0.5, significance: 0.2, intensity: 0.3 },
+    recency_half_life_days: 30,
+  },
+  relational: {
+    weights: { similarity: 0.5, significance: 0.2, bond: 0.3 },
+    recency_half_life_days: 30,
+  },
+  rehearsed: {
+    weights: { similarity: 0.5, significance: 0.2, frequency: 0.3 },
+    recency_half_life_days: 30,
+  },
+};
+
+export const DEFAULT_SCORING_PROFILE = process.env.RECALL_SCORING_PROFILE in SCORING_PRESETS
+  ? process.env.RECALL_SCORING_PROFILE
+  : 'default';
+
+// Input schema for the recall_memory scoring argument
+export const SCORING_ARGUMENT = {
+  type: 'object',
+  properties: {
+    profile: {
+      type: 'string',
+      enum: Object.keys(SCORING_PRESETS),
+      description: `Named preset (default ${DEFAULT_SCORING_PROFILE}): default (similarity + significance), balanced (every factor), recent, emotional, relational (bonds) or rehearsed (recall frequency)`,
+    },
+    weights: {
+      type: 'object',
+      properties: Object.fromEntries(
+        SCORING_FACTORS.map(factor => [factor, { type: 'number', minimum: 0.0 }])
+      ),
+      description: 'Per-factor weights overriding the preset (factors missing from both count 0)',
+    },
+    recency_half_life_days: {
+      type: 'number',
+      exclusiveMinimum: 0,
+      description: 'Days for the recency factor to halve',
+    },
+    bond_from: {
+      type: 'string',
+      description: 'Entity id (e.g. your Person id) whose BONDs to involved entities feed the bond factor',
+    },
+  },
+  description: 'Relevance scoring profile: factor weights, recency half-life and bond perspective',
+};
+
+/**
+ * Resolve a scoring argument into a complete profile:
+ * { profile, weights (every factor), recency_half_life_days, bond_from }.
+ */
+export function resolveScoringProfile(scoring = {}) {
+  const profile = scoring.profile || DEFAULT_SCORING_PROFILE;
+  const preset = SCORING_PRESETS[profile];
+  if (!preset) {
+    throw new Error(`Unknown scoring profile: ${profile} (expected ${Object.keys(SCORING_PRESETS).join(', ')})`);
+  }
+
+  const weights = Object.fromEntries(SCORING_FACTORS.map(factor => {
+    const weight = scoring.weights?.[factor] ?? preset.weights[factor] ?? 0;
+    if (typeof weight !== 'number' || weight < 0) {
+      throw new Error(`Scoring weight for ${factor} must be a non-negative number`);
+    }
+    return [factor, weight];
+  }));
+
+  const halfLife = scoring.recency_half_life_days ?? preset.recency_half_life_days;
+  if (!(halfLife > 0)) {
+    throw new Error('recency_half_life_days must be positive');
+  }
+
+  return {
+    profile,
+    weights,
+    recency_half_life_days: halfLife,
+    bond_from: scoring.bond_from || null,
+  };
+}
+
+/**
+ * Cypher computing `factors` (a map of the six factors, null where they
+ * don't apply) and `relevance` (their weighted mean) for Event `e` with
+ * query score `score`. Needs the parameters from scoringParams; `carry`
+ * lists other variables to keep in scope.
+ */
+export function scoringCypher(carry = []) {
+  const kept = ['e', ...carry].join(', ');
+
+  return `
+    WITH ${kept}, {
+      similarity: score,
+      significance: coalesce(e.significance, 0.5),
+      recency: CASE
+        WHEN coalesce(e.happened_at, e.timestamp) IS NULL THEN null
+        WHEN coalesce(e.happened_at, e.timestamp) > datetime() THEN 1.0
+        ELSE 0.5 ^ (duration.inSeconds(coalesce(e.happened_at, e.timestamp), datetime()).seconds / 86400.0 / $scoringHalfLifeDays)
+      END,
+      intensity: abs(coalesce(e.emotional_valence, 0.0)),
+      frequency: toFloat(coalesce(e.recall_count, 0)) / (coalesce(e.recall_count, 0) + $scoringFrequencySaturation),
+      bond: CASE WHEN $scoringBondFrom IS NULL THEN null ELSE reduce(best = 0.0, strength IN
+        [(e)-[inv:INVOLVES]->(entity)-[b:BOND]-({id: $scoringBondFrom}) | b.strength * coalesce(inv.salience, 1.0)]
+        + [(e)<-[:INVOLVED_IN|PARTICIPATED_IN]-(entity)-[b:BOND]-({id: $scoringBondFrom}) | b.strength]
+        | CASE WHEN strength > best THEN strength ELSE best END)
+      END
+    } AS factors
+    WITH ${kept}, factors,
+         reduce(totals = {sum: 0.0, weight: 0.0}, factor IN keys($scoringWeights) |
+           CASE WHEN factors[factor] IS NULL OR $scoringWeights[factor] = 0 THEN totals
+           ELSE {
+             sum: totals.sum + $scoringWeights[factor] * factors[factor],
+             weight: totals.weight + $scoringWeights[factor]
+           } END
+         ) AS totals
+    WITH ${kept}, factors,
+         CASE WHEN totals.weight > 0 THEN totals.sum / totals.weight ELSE 0.0 END AS relevance
+  `;
+}
+
+/**
+ * Query parameters used by scoringCypher.
+ */
+export function scoringParams(profile) {
+  return {
+    scoringWeights: profile.weights,
+    scoringHalfLifeDays: profile.recency_half_life_days,
+    scoringFrequencySaturation: FREQUENCY_SATURATION,
+    scoringBondFrom: profile.bond_from,
+  };
+}
+
+/**
+ * Per-factor breakdown of a memory's score: each applicable factor's value,
+ * weight and contribution (weight share × value), plus any penalty applied
+ * after the weighted mean.
+ */
+export function explainScore(factors, profile, { relevance, penalty = null, score }) {
+  const applicable = SCORING_FACTORS.filter(factor => factors[factor] !== null && profile.weights[factor] > 0);
+  const totalWeight = applicable.reduce((sum, factor) => sum + profile.weights[factor], 0);
+
+  return {
+    profile: profile.profile,
+    factors: Object.fromEntries(SCORING_FACTORS.map(factor => [factor, {
+      value: factors[factor],
+      weight: profile.weights[factor],
+      contribution: applicable.includes(factor)
+        ? (profile.weights[factor] / totalWeight) * factors[factor]
+        : 0,
+    }])),
+    weighted_mean: relevance,
+    ...(penalty !== null && { penalty }),
+    score,
+  };
+}
@@ -1,13 +1,22 @@
 import 'dotenv/config';
 import neo4j from 'neo4j-driver';
+import { embeddingConfigFromEnv } from './embedding-providers.mjs';
+import { applyGraphSchema } from './graph-schema.mjs';
+import { migrateNamespaceRegistry, NAMESPACE_REGISTRY_DATABASE } from './namespace-extension.mjs';
 
 const { NEO4J_URI, NEO4J_USER, NEO4J_PASSWORD } = process.env;
+const { dimensions } = embeddingConfigFromEnv();
 
 if (!NEO4J_URI || !NEO4J_USER || !NEO4J_PASSWORD) {
   console.error('❌ Missing Neo4j environment variables');
   process.exit(1);
 }
 
+if (!Number.isInteger(dimensions) || dimensions <= 0) {
+  console.error('❌ EMBEDDING_DIMENSIONS must be a positive integer');
+  process.exit(1);
+}
+
 async function setupVectorIndex() {
   const driver = neo4j.driver(
     NEO4J_URI,
@@ -19,34 +28,19 @@ async function setupVectorIndex() {
   try {
     console.log('🧠 Setting up Neo4j vector index for hippocampal memory...\n');
 
-    // Create vector index for Event embeddings
-    console.log('📊 Creating vector index on Event.embedding...');
-    await session.run(`
-      CREATE VECTOR INDEX event_embeddings IF NOT EXISTS
-      FOR (e:Event)
-      ON e.embedding
-      OPTIONS {
-        indexConfig: {
-          \`vector.dimensions\`: 1536,
-          \`vector.similarity_function\`: 'cosine'
-        }
-      }
-    `);
-    console.log('✅ Vector index created');
-
-    // Verify constraints from claude-memory.cypher exist
-    console.log('\n🔍 Verifying node constraints...');
-    
-    const constraints = [
-      'CREATE CONSTRAINT person_id IF NOT EXISTS FOR (p:Person) REQUIRE p.id IS UNIQUE',
-      'CREATE CONSTRAINT project_id IF NOT EXISTS FOR (p:Project) REQUIRE p.id IS UNIQUE',
-      'CREATE CONSTRAINT concept_id IF NOT EXISTS FOR (c:Concept) REQUIRE c.id IS UNIQUE',
-      'CREATE CONSTRAINT event_id IF NOT EXISTS FOR (e:Event) REQUIRE e.id IS UNIQUE'
-    ];
+    // Vector/full-text indexes and constraints shared with namespace databases (graph-schema.mjs)
+    console.log(`📊 Applying vector indexes (${dimensions} dimensions), full-text index and node constraints...`);
+    await applyGraphSchema(session, {
+      dimensions,
+      log: name => console.log(`✅ ${name}`),
+    });
 
-    for (const constraint of constraints) {
-      await session.run(constraint);
-      console.log(`✅ ${constraint.match(/CONSTRAINT (\w+)/)[1]}`);
+    // Namespace registries kept in the home database by older versions move
+    // to their own database (see namespace-extension.mjs)
+    const migrated = await migrateNamespaceRegistry(driver);
+    if (migrated.length > 0) {
+      console.log(`✅ Moved ${migrated.length} namespace(s) to the ${NAMESPACE_REGISTRY_DATABASE} database; review their owners and members:`);
+      migrated.forEach(namespace => console.log(`  - ${namespace.name}: owner ${namespace.owner ?? '(none)'}, members [${namespace.members.join(', ')}]`));
     }
 
     // Show index status
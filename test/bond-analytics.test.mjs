@@ -0,0 +1,161 @@
+/**
+ * Bond analytics tests: trajectory measures, inflection points, milestones,
+ * trajectory points and mutuality, with no database.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeTrajectory, bondMutuality, bondState, trajectoryPoints } from '../bond-analytics-extension.mjs';
+
+const DAY_MS = 86400000;
+const START = Date.parse('2026-01-01T00:00:00Z');
+
+// Points one day apart (or at the given day offsets) with these strengths
+function points(strengths, days = strengths.map((_, i) => i)) {
+  return strengths.map((strength, i) => {
+    const at_ms = START + days[i] * DAY_MS;
+    return { at: new Date(at_ms).toISOString(), at_ms, strength, emotional_resonance: null };
+  });
+}
+
+describe('analyzeTrajectory', () => {
+  it('reports nothing to measure for an empty history', () => {
+    const result = analyzeTrajectory([]);
+    assert.equal(result.current_strength, null);
+    assert.equal(result.velocity, null);
+    assert.equal(result.trend, 'unknown');
+    assert.equal(result.projection, null);
+    assert.deepEqual(result.milestones, []);
+  });
+
+  it('clamps same-moment intervals to min_interval_days', () => {
+    const result = analyzeTrajectory(points([0.5, 0.6], [0, 0]), { now: START });
+    // 0.1 over one hour, not over zero days
+    assert.equal(result.velocity, 2.4);
+    assert.ok(Number.isFinite(result.momentum));
+    assert.equal(analyzeTrajectory(points([0.5, 0.6], [0, 0]), { now: START, min_interval_days: 1 }).velocity, 0.1);
+  });
+
+  it('measures steady growth as strengthening and projects it', () => {
+    const history = points([0.1, 0.11, 0.12]);
+    const result = analyzeTrajectory(history, { now: history[2].at_ms });
+    assert.equal(result.velocity, 0.01);
+    assert.equal(result.momentum, 0.01);
+    assert.equal(result.acceleration, 0);
+    assert.equal(result.trend, 'strengthening');
+    assert.deepEqual(result.projection, { days: 30, strength: 0.42 });
+  });
+
+  it('weights momentum toward recent intervals', () => {
+    const history = points([0.5, 0.9, 0.6], [0, 1, 61]);
+    const result = analyzeTrajectory(history, { now: history[2].at_ms, momentum_half_life_days: 30 });
+    // The old +0.4/day jump is two half-lives old, so it weighs a quarter as much
+    assert.equal(result.momentum, 0.076);
+    assert.equal(result.trend, 'strengthening');
+    assert.equal(analyzeTrajectory(history, { now: history[2].at_ms, momentum_half_life_days: 1 }).trend, 'weakening');
+  });
+
+  it('caps projections to the 0..1 strength range', () => {
+    const history = points([0.8, 0.95]);
+    assert.equal(analyzeTrajectory(history, { now: history[1].at_ms }).projection.strength, 1);
+  });
+
+  it('finds peaks and troughs, ignoring steps within flat_tolerance', () => {
+    const result = analyzeTrajectory(points([0.5, 0.6, 0.605, 0.5, 0.6]));
+    assert.deepEqual(
+      result.inflection_points.map(({ kind, strength }) => ({ kind, strength })),
+      [{ kind: 'peak', strength: 0.605 }, { kind: 'trough', strength: 0.5 }]
+    );
+
+    // Wobbles inside the tolerance are not turns
+    assert.deepEqual(analyzeTrajectory(points([0.5, 0.6, 0.595, 0.6])).inflection_points, []);
+    assert.equal(analyzeTrajectory(points([0.5, 0.6, 0.595, 0.6]), { flat_tolerance: 0 }).inflection_points.length, 2);
+  });
+
+  it('records level crossings in both directions', () => {
+    const result = analyzeTrajectory(points([0.2, 0.55, 0.45, 0.95]));
+    assert.deepEqual(
+      result.milestones.map(({ kind, level, strength }) => [kind, level ?? null, strength]),
+      [
+        ['first_recorded', null, 0.2],
+        ['reached', 0.25, 0.55],
+        ['reached', 0.5, 0.55],
+        ['fell_below', 0.5, 0.45],
+        ['reached', 0.5, 0.95],
+        ['reached', 0.75, 0.95],
+        ['reached', 0.9, 0.95],
+        ['all_time_high', null, 0.95],
+      ]
+    );
+  });
+
+  it('counts landing exactly on a level as reaching it', () => {
+    const levels = analyzeTrajectory(points([0.4, 0.5])).milestones
+      .filter(milestone => milestone.kind === 'reached')
+      .map(milestone => milestone.level);
+    assert.deepEqual(levels, [0.5]);
+  });
+});
+
+describe('trajectoryPoints', () => {
+  const observations = points([0.3, 0.4]).map(({ at, strength }) => ({ at, strength, emotional_resonance: 0.2 }));
+
+  it('adds the current state only when it differs from the latest observation', () => {
+    const unchanged = { strength: 0.4, emotional_resonance: 0.2, last_interaction: observations[1].at };
+    assert.equal(trajectoryPoints(unchanged, observations).length, 2);
+
+    const edited = { strength: 0.7, emotional_resonance: 0.2, last_interaction: new Date(START + 5 * DAY_MS).toISOString() };
+    const result = trajectoryPoints(edited, observations);
+    assert.deepEqual(result.map(point => point.strength), [0.3, 0.4, 0.7]);
+  });
+
+  it('skips observations without a strength and sorts by time', () => {
+    const shuffled = [observations[1], { at: observations[0].at, strength: null }, observations[0]];
+    const result = trajectoryPoints({ strength: null }, shuffled);
+    assert.deepEqual(result.map(point => point.strength), [0.3, 0.4]);
+  });
+});
+
+describe('bondMutuality', () => {
+  const bond = (strength, emotional_resonance = null) => ({ strength, emotional_resonance });
+
+  it('treats small strength gaps as balanced', () => {
+    assert.deepEqual(bondMutuality(bond(0.6, 0.5), bond(0.58, 0.3)), {
+      reciprocated: true,
+      mutuality: 0.98,
+      combined_strength: 0.59,
+      strength_gap: 0.02,
+      resonance_gap: 0.2,
+      stronger_side: 'balanced',
+    });
+  });
+
+  it('names the stronger side beyond the balanced gap', () => {
+    const result = bondMutuality(bond(0.3), bond(0.9));
+    assert.equal(result.stronger_side, 'reverse');
+    assert.equal(result.strength_gap, -0.6);
+    assert.equal(result.mutuality, 0.4);
+  });
+
+  it('scores unreciprocated bonds as not mutual, from either side', () => {
+    assert.deepEqual(bondMutuality(bond(0.8, 0.4), null), {
+      reciprocated: false,
+      mutuality: 0,
+      combined_strength: 0.4,
+      strength_gap: 0.8,
+      resonance_gap: null,
+      stronger_side: 'forward',
+    });
+
+    // Even a weak one-sided bond has a stronger side
+    const reverseOnly = bondMutuality(null, bond(0.02));
+    assert.equal(reverseOnly.stronger_side, 'reverse');
+    assert.equal(reverseOnly.strength_gap, -0.02);
+  });
+
+  it('keeps a zero resonance and skips a missing one', () => {
+    assert.equal(bondMutuality(bond(0.5, 0), bond(0.5, 0.5)).resonance_gap, -0.5);
+    assert.equal(bondMutuality(bond(0.5, null), bond(0.5, 0.5)).resonance_gap, null);
+    assert.equal(bondState({ strength: 0.5, emotional_resonance: 0 }).emotional_resonance, 0);
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * query_graph sandbox tests: the static read-only guard, USE detection, and
+ * the handler's timeout and row cap against a stub driver.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import neo4j from 'neo4j-driver';
+import { databaseSwitchViolation, readOnlyViolation, stripCypherLiterals } from '../cypher-guard.mjs';
+import { handleQueryGraph, QUERY_GRAPH_MAX_ROWS, QUERY_GRAPH_TIMEOUT_MS } from '../core-tools.mjs';
+
+const parse = result => JSON.parse(result.content[0].text);
+
+describe('readOnlyViolation', () => {
+  it('allows read queries', () => {
+    for (const cypher of [
+      'MATCH (e:Event) RETURN e.title ORDER BY e.timestamp DESC LIMIT 5',
+      'MATCH (a)-[b:BOND]->(c) WHERE b.strength > $min RETURN a, b, c',
+      'CALL db.labels() YIELD label RETURN label',
+      'MATCH (e:Event) CALL { WITH e MATCH (e)-[:HAD_EFFECT_ON]->(f) RETURN count(f) AS n } RETURN e.id, n',
+      'SHOW INDEXES YIELD name, type',
+    ]) {
+      assert.equal(readOnlyViolation(cypher), null, cypher);
+    }
+  });
+
+  it('refuses write clauses', () => {
+    for (const [cypher, clause] of [
+      ['CREATE (n:Event {id: "x"})', 'CREATE'],
+      ['MATCH (n:Event) MERGE (n)-[:LINK]->(m:Event)', 'MERGE'],
+      ['MATCH (n) DETACH DELETE n', 'DELETE'],
+      ['MATCH (n) SET n.title = "x"', 'SET'],
+      ['MATCH (n) REMOVE n.title', 'REMOVE'],
+      ['MATCH (n) FOREACH (x IN [1] | SET n.a = x)', 'SET'],
+      ['DROP INDEX event_embeddings', 'DROP'],
+      ['match (n) delete n', 'DELETE'],
+    ]) {
+      const violation = readOnlyViolation(cypher);
+      assert.equal(violation?.reason, 'write_clause', cypher);
+      assert.equal(violation.clause, clause, cypher);
+    }
+  });
+
+  it('refuses LOAD CSV and batched transactions', () => {
+    assert.equal(readOnlyViolation("LOAD CSV FROM 'file:///etc/passwd' AS row RETURN row").clause, 'LOAD CSV');
+    assert.equal(
+      readOnlyViolation('MATCH (n) CALL { WITH n RETURN n } IN 100 TRANSACTIONS RETURN n').clause,
+      'IN TRANSACTIONS'
+    );
+  });
+
+  it('refuses procedures outside the allowlist', () => {
+    for (const cypher of [
+      "CALL apoc.create.node(['Event'], {}) YIELD node RETURN node",
+      'CALL dbms.killQueries(["query-1"])',
+      'CALL `db.labels`()',
+    ]) {
+      assert.equal(readOnlyViolation(cypher)?.reason, 'procedure_not_allowed', cypher);
+    }
+    assert.equal(readOnlyViolation('CALL db.index.vector.queryNodes($index, 5, $embedding) YIELD node RETURN node'), null);
+  });
+
+  it('refuses administration commands', () => {
+    assert.equal(readOnlyViolation('GRANT ROLE admin TO alice').reason, 'admin_command');
+    assert.equal(readOnlyViolation('SHOW USERS').reason, 'admin_command');
+    assert.equal(readOnlyViolation('SHOW DATABASES').reason, 'admin_command');
+  });
+
+  it('refuses USE', () => {
+    const violation = readOnlyViolation('USE other MATCH (n) RETURN n');
+    assert.equal(violation.reason, 'database_switch');
+    assert.equal(violation.clause, 'USE');
+  });
+
+  it('ignores write keywords inside strings, comments and quoted names', () => {
+    for (const cypher of [
+      "MATCH (e:Event) WHERE e.title = 'CREATE a DELETE b' RETURN e",
+      'MATCH (e:Event) WHERE e.title CONTAINS "SET n.x = 1; USE other" RETURN e',
+      'MATCH (e:Event) // DETACH DELETE e\nRETURN e',
+      'MATCH (e:Event) /* MERGE (x)\n SET x.y = 1 */ RETURN e',
+      'MATCH (e:Event) RETURN e.title AS `CREATE`',
+      "MATCH (e:Event) WHERE e.note = 'it\\'s a DELETE' RETURN e",
+    ]) {
+      assert.equal(readOnlyViolation(cypher), null, cypher);
+    }
+  });
+
+  it('ignores keywords used as property names, map keys and labels', () => {
+    for (const cypher of [
+      'MATCH (n) RETURN n.set, n.create, n.use',
+      'MATCH (n) RETURN {merge: 1, delete: 2} AS m',
+      'MATCH (n:Set) RETURN n',
+    ]) {
+      assert.equal(readOnlyViolation(cypher), null, cypher);
+    }
+  });
+
+  it('still sees writes next to strings and comments', () => {
+    assert.equal(readOnlyViolation("MATCH (n) WHERE n.a = 'x' DELETE n").clause, 'DELETE');
+    assert.equal(readOnlyViolation('MATCH (n) /* read */ SET n.a = 1').clause, 'SET');
+    assert.equal(readOnlyViolation('MATCH (n) // note\nCREATE (m)').clause, 'CREATE');
+  });
+});
+
+describe('databaseSwitchViolation', () => {
+  it('finds USE clauses, wherever they appear', () => {
+    assert.equal(databaseSwitchViolation('USE system SHOW USERS').reason, 'database_switch');
+    assert.equal(databaseSwitchViolation('MATCH (n) CALL { USE other MATCH (m) RETURN m } RETURN n').reason, 'database_switch');
+    assert.equal(databaseSwitchViolation('use `team-b` MATCH (n) RETURN n').reason, 'database_switch');
+  });
+
+  it('ignores USE in strings, comments and property names', () => {
+    assert.equal(databaseSwitchViolation("MATCH (n) WHERE n.note = 'USE other' RETURN n.use"), null);
+    assert.equal(databaseSwitchViolation('// USE other\nMATCH (n) RETURN n'), null);
+  });
+});
+
+describe('stripCypherLiterals', () => {
+  it('replaces strings, comments and quoted names with placeholders', () => {
+    assert.equal(
+      stripCypherLiterals("MATCH (n:`My Label`) WHERE n.a = 'DELETE' // SET\nRETURN n"),
+      "MATCH (n:_quoted_) WHERE n.a = ''  \nRETURN n"
+    );
+  });
+});
+
+// ============================================================================
+// HANDLER
+// ============================================================================
+
+/**
+ * Stub driver whose read transactions yield `rows` (or fail with `error`),
+ * recording the transaction config and how many rows were pulled.
+ */
+function stubDriver({ rows = [], error = null } = {}) {
+  const state = { pulled: 0, config: null, sessionConfig: null };
+  const tx = {
+    run: () => ({
+      async *[Symbol.asyncIterator]() {
+        if (error) {
+          throw error;
+        }
+        for (const row of rows) {
+          state.pulled++;
+          yield { toObject: () => row };
+        }
+      },
+    }),
+  };
+  const driver = {
+    session: (config) => {
+      state.sessionConfig = config;
+      return {
+        executeRead: async (work, config) => {
+          state.config = config;
+          return await work(tx);
+        },
+        close: async () => {},
+      };
+    },
+  };
+  return { driver, state };
+}
+
+describe('handleQueryGraph', () => {
+  it('refuses writes before opening a session', async () => {
+    const { driver, state } = stubDriver();
+    const result = parse(await handleQueryGraph({ cypher: 'MATCH (n) DELETE n' }, Date.now(), { driver }));
+    assert.equal(result.success, false);
+    assert.equal(result.refusal.reason, 'write_clause');
+    assert.equal(state.sessionConfig, null);
+  });
+
+  it('runs in a read session with the requested timeout, capped by the server limit', async () => {
+    const { driver, state } = stubDriver({ rows: [{ n: 1 }] });
+    const result = parse(await handleQueryGraph({ cypher: 'RETURN 1 AS n', timeout_ms: 500 }, Date.now(), { driver }));
+    assert.equal(result.success, true);
+    assert.equal(state.sessionConfig.defaultAccessMode, neo4j.session.READ);
+    assert.equal(neo4j.integer.toNumber(state.config.timeout), 500);
+
+    await handleQueryGraph({ cypher: 'RETURN 1', timeout_ms: QUERY_GRAPH_TIMEOUT_MS * 10 }, Date.now(), { driver });
+    assert.equal(neo4j.integer.toNumber(state.config.timeout), QUERY_GRAPH_TIMEOUT_MS);
+  });
+
+  it('stops reading at the row cap and marks the result truncated', async () => {
+    const rows = Array.from({ length: 10 }, (_, i) => ({ i }));
+    const { driver, state } = stubDriver({ rows });
+    const result = parse(await handleQueryGraph({ cypher: 'UNWIND range(0, 9) AS i RETURN i', max_rows: 3 }, Date.now(), { driver }));
+    assert.deepEqual(result.data.records, [{ i: 0 }, { i: 1 }, { i: 2 }]);
+    assert.equal(result.data.truncated, true);
+    assert.equal(state.pulled, 4);
+
+    const capped = parse(await handleQueryGraph({ cypher: 'RETURN 1', max_rows: QUERY_GRAPH_MAX_ROWS + 1 }, Date.now(), { driver }));
+    assert.equal(capped.metadata.max_rows, QUERY_GRAPH_MAX_ROWS);
+  });
+
+  it('returns timeouts as refusals', async () => {
+    const error = Object.assign(new Error('timed out'), { code: 'Neo.ClientError.Transaction.TransactionTimedOutClientConfiguration' });
+    const { driver } = stubDriver({ error });
+    const result = parse(await handleQueryGraph({ cypher: 'MATCH (n) RETURN n', timeout_ms: 100 }, Date.now(), { driver }));
+    assert.equal(result.refusal.reason, 'timeout');
+    assert.match(result.error, /100ms/);
+  });
+
+  it('returns writes rejected by the database as refusals', async () => {
+    const error = Object.assign(new Error('Writing in read access mode not allowed'), { code: 'Neo.ClientError.Statement.AccessMode' });
+    const { driver } = stubDriver({ error });
+    const result = parse(await handleQueryGraph({ cypher: 'CALL db.ping()' }, Date.now(), { driver }));
+    assert.equal(result.success, false);
+    assert.equal(result.refusal.reason, 'write_clause');
+  });
+});
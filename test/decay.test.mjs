@@ -0,0 +1,152 @@
+/**
+ * Decay tests: forgetting curves and rehearsal, and a decay pass against a
+ * stub driver (thresholds, grace period, dry runs, prune actions).
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { retention, runDecay } from '../decay-extension.mjs';
+
+const DAY_MS = 86400000;
+
+const CONFIG = { curve: 'exponential', half_life_days: 30, rehearsal_boost: 2 };
+
+describe('retention', () => {
+  it('halves strength every half-life on the exponential curve', () => {
+    assert.equal(retention(0, 0, CONFIG), 1);
+    assert.equal(retention(30, 0, CONFIG), 0.5);
+    assert.equal(retention(60, 0, CONFIG), 0.25);
+  });
+
+  it('extends the half-life by rehearsal_boost per rehearsal', () => {
+    assert.equal(retention(60, 1, CONFIG), 0.5);
+    assert.equal(retention(120, 2, CONFIG), 0.5);
+    // Negative rehearsal counts don't shorten it
+    assert.equal(retention(30, -3, CONFIG), 0.5);
+  });
+
+  it('follows the power and linear curves', () => {
+    assert.equal(retention(30, 0, { ...CONFIG, curve: 'power' }), 0.5);
+    assert.equal(retention(90, 0, { ...CONFIG, curve: 'power' }), 0.25);
+    assert.equal(retention(30, 0, { ...CONFIG, curve: 'linear' }), 0.5);
+    assert.equal(retention(90, 0, { ...CONFIG, curve: 'linear' }), 0);
+  });
+
+  it('treats future timestamps as age 0', () => {
+    assert.equal(retention(-5, 0, CONFIG), 1);
+  });
+
+  it('rejects unknown curves', () => {
+    assert.throws(() => retention(1, 0, { ...CONFIG, curve: 'cliff' }), /Unknown decay curve: cliff/);
+  });
+});
+
+// ============================================================================
+// DECAY PASS
+// ============================================================================
+
+/**
+ * Stub driver whose target queries return the given traces
+ * ({ key, base, age_days, rehearsals, created_days }) per target, keyed by
+ * the pattern the query starts with. Records every write.
+ */
+function stubDriver(traces) {
+  const now = Date.now();
+  const writes = [];
+  const matches = { events: 'MATCH (e:Event)', captures: 'MATCH (c:Capture)', consolidations: 'MATCH (e:Event)-[r:CONSOLIDATED_TO]', bonds: 'MATCH (from)-[b:BOND]' };
+
+  const tx = {
+    run: async (cypher, params) => {
+      if (cypher.includes('UNWIND')) {
+        writes.push({ cypher, params });
+        return { records: [] };
+      }
+      // Longest pattern first: the consolidation query also starts MATCH (e:Event)
+      const target = Object.keys(matches)
+        .sort((a, b) => matches[b].length - matches[a].length)
+        .find(name => cypher.includes(matches[name]));
+      const records = (traces[target] || []).map(trace => {
+        const values = {
+          key: trace.key,
+          base: trace.base,
+          anchor_ms: now - trace.age_days * DAY_MS,
+          rehearsals: trace.rehearsals ?? 0,
+          created_ms: now - (trace.created_days ?? trace.age_days) * DAY_MS,
+          label: trace.key,
+        };
+        return { get: key => values[key] };
+      });
+      return { records };
+    },
+  };
+
+  const driver = {
+    session: () => ({
+      executeRead: fn => fn(tx),
+      executeWrite: fn => fn(tx),
+      close: async () => {},
+    }),
+  };
+  return { driver, writes };
+}
+
+const PASS_CONFIG = { ...CONFIG, prune_threshold: 0.1, grace_days: 7, bond_half_life_days: 90 };
+
+describe('runDecay', () => {
+  const traces = {
+    events: [
+      { key: 'fresh', base: 0.8, age_days: 1 },
+      { key: 'faded', base: 0.2, age_days: 120 },
+      { key: 'faded-but-rehearsed', base: 0.2, age_days: 120, rehearsals: 2 },
+    ],
+    captures: [
+      { key: 'capture-faded', base: 0.2, age_days: 120 },
+      { key: 'capture-in-grace', base: 0.2, age_days: 120, created_days: 3 },
+    ],
+    bonds: [{ key: 'bond', base: 0.1, age_days: 900 }],
+  };
+
+  it('decays every trace and prunes faded ones past the grace period', async () => {
+    const { driver, writes } = stubDriver(traces);
+    const report = await runDecay(driver, { dryRun: true, config: PASS_CONFIG });
+
+    assert.equal(report.dry_run, true);
+    assert.equal(writes.length, 0);
+    assert.equal(report.targets.events.decayed, 3);
+    assert.deepEqual(report.targets.events.pruned_sample.map(p => p.key), ['faded']);
+    assert.equal(report.targets.events.pruned_sample[0].effective_strength, 0.0125);
+    assert.deepEqual(report.targets.captures.pruned_sample.map(p => p.key), ['capture-faded']);
+    // Bonds fade but are never pruned
+    assert.equal(report.targets.bonds.pruned, 0);
+    assert.equal(report.targets.bonds.prune_action, null);
+  });
+
+  it('archives Events even when the action is delete', async () => {
+    const { driver, writes } = stubDriver(traces);
+    const report = await runDecay(driver, { dryRun: false, targets: ['events', 'captures'], config: { ...PASS_CONFIG, action: 'delete' } });
+
+    assert.equal(report.targets.events.prune_action, 'archive');
+    assert.equal(report.targets.captures.prune_action, 'delete');
+
+    const prunes = writes.filter(write => write.params.keys);
+    assert.equal(prunes.length, 2);
+    assert.match(prunes[0].cypher, /SET e:Archived/);
+    assert.deepEqual(prunes[0].params.keys, ['faded']);
+    assert.match(prunes[1].cypher, /DETACH DELETE c/);
+    assert.ok(writes.every(write => !/DELETE e\b/.test(write.cypher)));
+  });
+
+  it('uses the bond half-life for bonds', async () => {
+    const { driver, writes } = stubDriver({ bonds: [{ key: 'bond', base: 0.8, age_days: 90 }] });
+    await runDecay(driver, { dryRun: false, targets: ['bonds'], config: PASS_CONFIG });
+    // 90 days is one bond half-life, not three event half-lives
+    assert.deepEqual(writes[0].params.rows, [{ key: 'bond', strength: 0.4 }]);
+  });
+
+  it('rejects invalid settings', async () => {
+    const { driver } = stubDriver(traces);
+    await assert.rejects(runDecay(driver, { config: { ...PASS_CONFIG, half_life_days: 0 } }), /half_life_days must be greater than 0/);
+    await assert.rejects(runDecay(driver, { config: { ...PASS_CONFIG, action: 'shred' } }), /Unknown decay action: shred/);
+    await assert.rejects(runDecay(driver, { targets: ['dreams'], config: PASS_CONFIG }), /Unknown decay target: dreams/);
+  });
+});
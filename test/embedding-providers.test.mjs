@@ -0,0 +1,182 @@
+/**
+ * Embedding provider tests. Network providers get a stubbed fetch, so these
+ * run offline.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createEmbeddingProvider,
+  embeddingConfigFromEnv,
+  hashEmbedding,
+  DEFAULT_EMBEDDING_BATCH_SIZE,
+} from '../embedding-providers.mjs';
+
+const vector = (dimensions, value = 0.1) => new Array(dimensions).fill(value);
+
+const STATUS_TEXT = { 200: 'OK', 401: 'Unauthorized', 503: 'Service Unavailable' };
+
+/**
+ * fetch stub answering each request with respond(body, call), recording the
+ * parsed request bodies.
+ */
+function stubFetch(respond) {
+  const calls = [];
+  const fetch = async (url, init) => {
+    const body = JSON.parse(init.body);
+    calls.push({ url: String(url), body, headers: init.headers });
+    const { status = 200, json } = respond(body, calls.length);
+    return new Response(JSON.stringify(json), {
+      status,
+      statusText: STATUS_TEXT[status],
+      headers: { 'content-type': 'application/json' },
+    });
+  };
+  return { fetch, calls };
+}
+
+// OpenAI-style response with one embedding per input, listed in reverse
+// order to check results are matched back by index. The OpenAI SDK asks for
+// base64-encoded float32 vectors unless told otherwise.
+function dataFor({ input, encoding_format }, dimensions) {
+  const inputs = Array.isArray(input) ? input : [input];
+  const encode = embedding => (encoding_format === 'base64'
+    ? Buffer.from(new Float32Array(embedding).buffer).toString('base64')
+    : embedding);
+  return {
+    object: 'list',
+    data: inputs.map((text, index) => ({ object: 'embedding', index, embedding: encode(vector(dimensions, text.length)) })).reverse(),
+  };
+}
+
+describe('embeddingConfigFromEnv', () => {
+  it('defaults to openai with 1536 dimensions', () => {
+    const config = embeddingConfigFromEnv({});
+    assert.equal(config.provider, 'openai');
+    assert.equal(config.dimensions, 1536);
+    assert.equal(config.batchSize, DEFAULT_EMBEDDING_BATCH_SIZE);
+  });
+
+  it('reads provider, dimensions and batch size', () => {
+    const config = embeddingConfigFromEnv({ EMBEDDING_PROVIDER: 'LOCAL', EMBEDDING_DIMENSIONS: '64', EMBEDDING_BATCH_SIZE: '8' });
+    assert.equal(config.provider, 'local');
+    assert.equal(config.dimensions, 64);
+    assert.equal(config.batchSize, 8);
+  });
+});
+
+describe('createEmbeddingProvider', () => {
+  it('rejects unknown providers and invalid sizes', () => {
+    assert.throws(() => createEmbeddingProvider({ provider: 'nope', dimensions: 8 }), /Unknown EMBEDDING_PROVIDER/);
+    assert.throws(() => createEmbeddingProvider({ provider: 'local', dimensions: 0 }), /EMBEDDING_DIMENSIONS/);
+    assert.throws(() => createEmbeddingProvider({ provider: 'local', dimensions: 8, batchSize: 0 }), /EMBEDDING_BATCH_SIZE/);
+  });
+
+  it('requires credentials or an endpoint for network providers', () => {
+    assert.throws(() => createEmbeddingProvider({ provider: 'openai', dimensions: 8 }), /OPENAI_API_KEY/);
+    assert.throws(() => createEmbeddingProvider({ provider: 'http', dimensions: 8 }), /EMBEDDING_HTTP_URL/);
+  });
+});
+
+describe('local provider', () => {
+  const provider = createEmbeddingProvider({ provider: 'local', dimensions: 128 });
+
+  it('returns deterministic, normalized vectors of the configured dimensions', async () => {
+    const a = await provider.embed('The hippocampus binds episodes');
+    const b = await provider.embed('The hippocampus binds episodes');
+    assert.equal(a.length, 128);
+    assert.deepEqual(a, b);
+    assert.ok(Math.abs(Math.hypot(...a) - 1) < 1e-9);
+    assert.equal(provider.model, 'feature-hash-128');
+  });
+
+  it('never returns an all-zero vector', () => {
+    assert.ok(hashEmbedding('', 16).some(v => v !== 0));
+  });
+
+  it('embeds batches in order', async () => {
+    const texts = ['one', 'two', 'three'];
+    assert.deepEqual(await provider.embedBatch(texts), texts.map(text => hashEmbedding(text, 128)));
+  });
+});
+
+describe('http provider', () => {
+  const config = { provider: 'http', dimensions: 4, httpUrl: 'http://embeddings.test/v1/embeddings', httpTimeoutMs: 1000 };
+
+  it('posts the model and input and accepts OpenAI-style or bare responses', async () => {
+    const { fetch, calls } = stubFetch((body, call) => ({
+      json: call === 1 ? dataFor(body, 4) : { embedding: vector(4) },
+    }));
+    const provider = createEmbeddingProvider({ ...config, httpApiKey: 'secret', fetch });
+
+    assert.deepEqual(await provider.embed('hello'), vector(4, 5));
+    assert.deepEqual(await provider.embed('hello'), vector(4));
+    assert.deepEqual(calls[0].body, { model: 'default', input: 'hello' });
+    assert.equal(calls[0].headers.Authorization, 'Bearer secret');
+  });
+
+  it('sends batches of at most batchSize texts and keeps input order', async () => {
+    const { fetch, calls } = stubFetch(body => ({ json: dataFor(body, 4) }));
+    const provider = createEmbeddingProvider({ ...config, batchSize: 2, fetch });
+
+    const embeddings = await provider.embedBatch(['a', 'bb', 'ccc', 'dddd', 'eeeee']);
+    assert.deepEqual(calls.map(call => call.body.input), [['a', 'bb'], ['ccc', 'dddd'], ['eeeee']]);
+    assert.deepEqual(embeddings.map(e => e[0]), [1, 2, 3, 4, 5]);
+  });
+
+  it('maps HTTP errors and malformed responses to readable errors', async () => {
+    const failing = createEmbeddingProvider({ ...config, fetch: stubFetch(() => ({ status: 503, json: {} })).fetch });
+    await assert.rejects(failing.embed('x'), /Embedding endpoint returned 503 Service Unavailable/);
+
+    const wrongSize = createEmbeddingProvider({ ...config, fetch: stubFetch(() => ({ json: { embedding: vector(3) } })).fetch });
+    await assert.rejects(wrongSize.embed('x'), /returned 3 dimensions, expected 4/);
+
+    const empty = createEmbeddingProvider({ ...config, fetch: stubFetch(() => ({ json: {} })).fetch });
+    await assert.rejects(empty.embed('x'), /did not contain an embedding array/);
+
+    const short = createEmbeddingProvider({ ...config, fetch: stubFetch(() => ({ json: dataFor({ input: ['a'] }, 4) })).fetch });
+    await assert.rejects(short.embedBatch(['a', 'b']), /returned 1 embeddings, expected 2/);
+  });
+});
+
+describe('openai provider', () => {
+  const config = { provider: 'openai', dimensions: 8, openaiApiKey: 'sk-test' };
+
+  it('requests text-embedding-3-small with a dimensions override', async () => {
+    const { fetch, calls } = stubFetch(body => ({ json: dataFor(body, 8) }));
+    const provider = createEmbeddingProvider({ ...config, fetch });
+
+    assert.deepEqual(await provider.embed('hello'), vector(8, 5));
+    assert.match(calls[0].url, /\/embeddings$/);
+    assert.equal(calls[0].body.model, 'text-embedding-3-small');
+    assert.equal(calls[0].body.dimensions, 8);
+  });
+
+  it('omits the dimensions override at the default size', async () => {
+    const { fetch, calls } = stubFetch(body => ({ json: dataFor(body, 1536) }));
+    const provider = createEmbeddingProvider({ ...config, dimensions: 1536, fetch });
+
+    await provider.embed('hello');
+    assert.equal('dimensions' in calls[0].body, false);
+  });
+
+  it('sends batches of at most batchSize texts and keeps input order', async () => {
+    const { fetch, calls } = stubFetch(body => ({ json: dataFor(body, 8) }));
+    const provider = createEmbeddingProvider({ ...config, batchSize: 2, fetch });
+
+    const embeddings = await provider.embedBatch(['a', 'bb', 'ccc']);
+    assert.deepEqual(calls.map(call => call.body.input), [['a', 'bb'], ['ccc']]);
+    assert.deepEqual(embeddings.map(e => e[0]), [1, 2, 3]);
+  });
+
+  it('maps API errors and wrong dimensions to readable errors', async () => {
+    const unauthorized = createEmbeddingProvider({
+      ...config,
+      fetch: stubFetch(() => ({ status: 401, json: { error: { message: 'Incorrect API key' } } })).fetch,
+    });
+    await assert.rejects(unauthorized.embed('x'), /OpenAI embeddings API returned 401/);
+
+    const wrongSize = createEmbeddingProvider({ ...config, fetch: stubFetch(body => ({ json: dataFor(body, 4) })).fetch });
+    await assert.rejects(wrongSize.embed('x'), /returned 4 dimensions, expected 8/);
+  });
+});
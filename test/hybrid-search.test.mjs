@@ -0,0 +1,174 @@
+/**
+ * Hybrid search tests: lexical query escaping, RRF and weighted fusion,
+ * candidate retrieval against a stub session and search widening.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  fuseRankings,
+  lexicalQuery,
+  retrieveCandidates,
+  widenSearch,
+  MAX_CANDIDATES,
+  MIN_CANDIDATES,
+  OVERFETCH_FACTOR,
+  RRF_K,
+} from '../hybrid-search.mjs';
+
+const VECTOR = [{ id: 'a', score: 0.9 }, { id: 'b', score: 0.8 }];
+const LEXICAL = [{ id: 'c', score: 8 }, { id: 'b', score: 4 }];
+
+const byId = fused => Object.fromEntries(fused.map(entry => [entry.id, entry]));
+
+describe('lexicalQuery', () => {
+  it('escapes Lucene syntax and lowercases boolean operators', () => {
+    assert.equal(lexicalQuery('C++ AND "glyph" NOT [x]'), 'C\\+\\+ and \\"glyph\\" not \\[x\\]');
+    assert.equal(lexicalQuery('path/to:file~'), 'path\\/to\\:file\\~');
+  });
+
+  it('returns null when nothing is left to search', () => {
+    assert.equal(lexicalQuery('   '), null);
+    assert.equal(lexicalQuery(undefined), null);
+  });
+});
+
+describe('fuseRankings', () => {
+  it('fuses by reciprocal rank, normalized so first everywhere scores 1', () => {
+    const fused = fuseRankings({ vector: VECTOR, lexical: LEXICAL });
+    assert.deepEqual(fused.map(entry => entry.id), ['b', 'a', 'c']);
+
+    const { a, b, c } = byId(fused);
+    const top = 2 / (RRF_K + 1);
+    assert.equal(b.score, (1 / (RRF_K + 2) + 1 / (RRF_K + 2)) / top);
+    assert.equal(a.score, (1 / (RRF_K + 1)) / top);
+    assert.equal(c.score, a.score);
+    assert.deepEqual(
+      [b.vector_rank, b.vector_score, b.lexical_rank, b.lexical_score],
+      [2, 0.8, 2, 4]
+    );
+    assert.equal(a.lexical_rank, null);
+    assert.equal(c.vector_score, null);
+
+    assert.equal(fuseRankings({ vector: [{ id: 'x', score: 0.1 }], lexical: [{ id: 'x', score: 1 }] })[0].score, 1);
+  });
+
+  it('fuses weighted scores against the best BM25 score', () => {
+    const fused = fuseRankings({ vector: VECTOR, lexical: LEXICAL }, { fusion: 'weighted' });
+    // Unlike RRF, the strong lexical-only hit beats the vector-only one
+    assert.deepEqual(fused.map(entry => entry.id), ['b', 'c', 'a']);
+    const { a, b, c } = byId(fused);
+    assert.equal(a.score, 0.45);
+    assert.equal(b.score, 0.65);
+    assert.equal(c.score, 0.5);
+  });
+
+  it('lets vectorWeight shift the weighted balance', () => {
+    const vectorOnly = byId(fuseRankings({ vector: VECTOR, lexical: LEXICAL }, { fusion: 'weighted', vectorWeight: 1 }));
+    assert.deepEqual([vectorOnly.a.score, vectorOnly.b.score, vectorOnly.c.score], [0.9, 0.8, 0]);
+
+    const lexicalOnly = byId(fuseRankings({ vector: VECTOR, lexical: LEXICAL }, { fusion: 'weighted', vectorWeight: 0 }));
+    assert.deepEqual([lexicalOnly.a.score, lexicalOnly.b.score, lexicalOnly.c.score], [0, 0.5, 1]);
+  });
+
+  it('keeps a single source on its own scale, whatever the fusion', () => {
+    for (const fusion of ['rrf', 'weighted']) {
+      const vector = fuseRankings({ vector: VECTOR, lexical: null }, { fusion });
+      assert.deepEqual(vector.map(entry => [entry.id, entry.score]), [['a', 0.9], ['b', 0.8]], fusion);
+
+      const lexical = fuseRankings({ vector: null, lexical: LEXICAL }, { fusion });
+      assert.deepEqual(lexical.map(entry => [entry.id, entry.score]), [['c', 1], ['b', 0.5]], fusion);
+    }
+  });
+
+  it('returns nothing without hits', () => {
+    assert.deepEqual(fuseRankings({ vector: [], lexical: [] }), []);
+    assert.deepEqual(fuseRankings({ vector: null, lexical: null }), []);
+  });
+});
+
+// ============================================================================
+// RETRIEVAL
+// ============================================================================
+
+/**
+ * Stub session answering vector and full-text index queries with the given
+ * hits, recording which indexes were queried.
+ */
+function stubSession({ vector = VECTOR, lexical = LEXICAL } = {}) {
+  const queried = [];
+  const session = {
+    run: async (cypher, params) => {
+      const source = cypher.includes('db.index.vector') ? 'vector' : 'lexical';
+      queried.push({ source, params });
+      const hits = source === 'vector' ? vector : lexical;
+      return { records: hits.map(hit => ({ get: key => hit[key] })) };
+    },
+  };
+  return { session, queried };
+}
+
+const generateEmbedding = async () => [0.1, 0.2];
+
+describe('retrieveCandidates', () => {
+  it('queries both indexes in hybrid mode', async () => {
+    const { session, queried } = stubSession();
+    const result = await retrieveCandidates(session, { query: 'launch', mode: 'hybrid', candidates: 2, generateEmbedding });
+    assert.equal(result.mode, 'hybrid');
+    assert.deepEqual(queried.map(q => q.source), ['vector', 'lexical']);
+    assert.deepEqual(result.candidates.map(entry => entry.id), ['b', 'a', 'c']);
+    assert.equal(result.exhausted, false);
+  });
+
+  it('falls back to vector search when the query has no searchable words', async () => {
+    const { session, queried } = stubSession();
+    const result = await retrieveCandidates(session, { query: '  ', mode: 'lexical', candidates: 10, generateEmbedding });
+    assert.equal(result.mode, 'vector');
+    assert.deepEqual(queried.map(q => q.source), ['vector']);
+  });
+
+  it('reports exhausted indexes when every one returned fewer hits than asked for', async () => {
+    const { session } = stubSession();
+    const result = await retrieveCandidates(session, { query: 'launch', mode: 'lexical', candidates: 10, generateEmbedding });
+    assert.equal(result.mode, 'lexical');
+    assert.equal(result.exhausted, true);
+  });
+
+  it('rejects unknown modes and fusion methods', async () => {
+    const { session } = stubSession();
+    await assert.rejects(retrieveCandidates(session, { query: 'x', mode: 'psychic', candidates: 1, generateEmbedding }), /Unknown search_mode: psychic/);
+    await assert.rejects(retrieveCandidates(session, { query: 'x', fusion: 'average', candidates: 1, generateEmbedding }), /Unknown fusion: average/);
+  });
+});
+
+describe('widenSearch', () => {
+  const first = Math.max(10 * OVERFETCH_FACTOR, MIN_CANDIDATES);
+
+  it('stops after one round when the limit is filled', async () => {
+    const result = await widenSearch({ limit: 10, search: async candidates => ({ rows: new Array(10), scanned: candidates, exhausted: false }) });
+    assert.deepEqual([result.rounds, result.candidates_requested], [1, first]);
+  });
+
+  it('widens the pool until filters leave enough rows', async () => {
+    const requested = [];
+    const result = await widenSearch({
+      limit: 10,
+      search: async (candidates) => {
+        requested.push(candidates);
+        return { rows: new Array(requested.length === 3 ? 10 : 2), scanned: candidates, exhausted: false };
+      },
+    });
+    assert.deepEqual(requested, [first, first * OVERFETCH_FACTOR, first * OVERFETCH_FACTOR ** 2].map(n => Math.min(n, MAX_CANDIDATES)));
+    assert.equal(result.rows.length, 10);
+    assert.equal(result.rounds, 3);
+  });
+
+  it('stops when the indexes run out or the pool reaches MAX_CANDIDATES', async () => {
+    const exhausted = await widenSearch({ limit: 10, search: async candidates => ({ rows: [], scanned: 3, exhausted: true }) });
+    assert.deepEqual([exhausted.rounds, exhausted.exhausted, exhausted.candidates_scanned], [1, true, 3]);
+
+    const capped = await widenSearch({ limit: 10, search: async candidates => ({ rows: [], scanned: candidates, exhausted: false }) });
+    assert.equal(capped.candidates_requested, MAX_CANDIDATES);
+    assert.equal(capped.exhausted, false);
+  });
+});
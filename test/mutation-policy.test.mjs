@@ -0,0 +1,248 @@
+/**
+ * mutate_graph policy tests: the append-only AuditEntry/Revision rule,
+ * protected labels, the delete limit and dry runs, against a stub driver.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import neo4j from 'neo4j-driver';
+import {
+  appendOnlyDigest,
+  appendOnlyViolation,
+  DEFAULT_MUTATION_POLICY,
+  mutationPolicyViolation,
+  staticPolicyViolation,
+} from '../audit-log.mjs';
+import { handleMutateGraph } from '../core-tools.mjs';
+
+const parse = result => JSON.parse(result.content[0].text);
+
+describe('staticPolicyViolation', () => {
+  it('refuses any statement touching AuditEntry or Revision nodes', () => {
+    for (const cypher of [
+      'MATCH (a:AuditEntry) DETACH DELETE a',
+      'MATCH (r:Revision {target_id: $id}) DELETE r',
+      'MATCH (r:Revision) SET r.snapshot = "{}"',
+      'MATCH (n) WHERE n:AuditEntry DELETE n',
+    ]) {
+      assert.equal(staticPolicyViolation(cypher)?.reason, 'audit_log_protected', cypher);
+    }
+  });
+
+  it('refuses backtick-quoted append-only labels', () => {
+    assert.equal(staticPolicyViolation('MATCH (a:`AuditEntry`) SET a.cypher = ""')?.clause, 'AuditEntry');
+    assert.equal(staticPolicyViolation('MATCH (r:`Revision`) DELETE r')?.clause, 'Revision');
+  });
+
+  it('refuses procedures that run their own Cypher or commit on their own', () => {
+    for (const cypher of [
+      'CALL apoc.cypher.doIt("MATCH (n:Audit" + "Entry) SET n.cypher = \'\'", {}) YIELD value RETURN value',
+      'CALL apoc.periodic.iterate("MATCH (n) RETURN n", "SET n.x = 1", {})',
+      'CALL apoc.periodic.commit("MATCH (n) WITH n LIMIT 10 DETACH DELETE n RETURN count(*)")',
+      'CALL `apoc.cypher.doIt`("RETURN 1", {})',
+    ]) {
+      assert.equal(staticPolicyViolation(cypher)?.reason, 'procedure_not_allowed', cypher);
+    }
+    assert.equal(staticPolicyViolation('CALL db.labels() YIELD label CREATE (:Note {label: label})'), null);
+  });
+
+  it('refuses batched transactions, which cannot be dry-run or audited', () => {
+    assert.equal(
+      staticPolicyViolation('MATCH (n:Capture) CALL { WITH n DELETE n } IN TRANSACTIONS').clause,
+      'IN TRANSACTIONS'
+    );
+  });
+
+  it('allows ordinary writes and mentions inside strings', () => {
+    assert.equal(staticPolicyViolation('MATCH (e:Event {id: $id}) SET e.title = $title'), null);
+    assert.equal(staticPolicyViolation("CREATE (n:Note {text: 'see the AuditEntry log'})"), null);
+  });
+});
+
+describe('appendOnlyDigest', () => {
+  const digestOf = async (log) => {
+    const { driver } = stubDriver({ log });
+    return await appendOnlyDigest(driver.session().beginTransaction());
+  };
+
+  it('is stable for an unchanged log and changes with any edit', async () => {
+    const base = await digestOf(LOG);
+    assert.deepEqual(await digestOf([...LOG].reverse()), base);
+    assert.equal(appendOnlyViolation(base, await digestOf(LOG)), null);
+
+    // Same-length edit, retyped value, extra node and removed node
+    assert.equal(appendOnlyViolation(base, await digestOf(edited(0, 'tool', 'mutate_grapH')))?.clause, 'AuditEntry');
+    assert.equal(appendOnlyViolation(base, await digestOf(edited(1, 'version', 1)))?.clause, 'Revision');
+    assert.equal(appendOnlyViolation(base, await digestOf([...LOG, { id: '4:x:3', labels: ['AuditEntry'], props: { id: 'a2' } }]))?.clause, 'AuditEntry');
+    assert.equal(appendOnlyViolation(base, await digestOf(LOG.slice(1)))?.clause, 'AuditEntry');
+  });
+});
+
+describe('mutationPolicyViolation', () => {
+  const counters = { nodesDeleted: 0 };
+
+  it('refuses a statement that removed protected nodes', () => {
+    const violation = mutationPolicyViolation(counters, { Event: 10, Revision: 4 }, { Event: 9, Revision: 4 });
+    assert.equal(violation.reason, 'protected_label');
+    assert.equal(violation.clause, ':Event');
+  });
+
+  it('refuses more deletes than the limit', () => {
+    const violation = mutationPolicyViolation(
+      { nodesDeleted: DEFAULT_MUTATION_POLICY.maxNodesDeleted + 1 },
+      { Event: 1 },
+      { Event: 1 }
+    );
+    assert.equal(violation.reason, 'delete_limit');
+  });
+
+  it('allows statements that keep or add protected nodes', () => {
+    assert.equal(mutationPolicyViolation(counters, { Event: 1 }, { Event: 2 }), null);
+  });
+
+  it('always protects AuditEntry and Revision', () => {
+    assert.ok(DEFAULT_MUTATION_POLICY.protectedLabels.includes('AuditEntry'));
+    assert.ok(DEFAULT_MUTATION_POLICY.protectedLabels.includes('Revision'));
+  });
+});
+
+// ============================================================================
+// HANDLER
+// ============================================================================
+
+const LOG = [
+  { id: '4:x:1', labels: ['AuditEntry'], props: { id: 'a1', tool: 'mutate_graph', cypher: 'CREATE (:Note)', at: new neo4j.types.DateTime(2026, 1, 2, 3, 4, 5, 0, 0) } },
+  { id: '4:x:2', labels: ['Revision'], props: { id: 'r1', target_id: 'e1', version: neo4j.int(1), snapshot: '{"title":"Launch"}' } },
+];
+
+// The log with one property of one node changed
+const edited = (index, key, value) => LOG.map((node, i) => (i === index ? { ...node, props: { ...node.props, [key]: value } } : node));
+
+/**
+ * Stub driver for one mutate_graph transaction. Protected label counts are
+ * `before` until the statement runs and `after` from then on, and likewise
+ * the AuditEntry/Revision nodes are `log` then `logAfter`; the statement
+ * reports `counters` and returns `records`. Records what ran and whether it committed.
+ */
+function stubDriver({ before = { Event: 3 }, after = before, log = LOG, logAfter = log, counters = {}, records = [] } = {}) {
+  const state = { statements: [], committed: false, rolledBack: false, audited: false, ran: false };
+  const updates = { nodesCreated: 0, nodesDeleted: 0, propertiesSet: 0, ...counters };
+
+  const tx = {
+    run: async (cypher) => {
+      if (cypher.includes('COUNT {')) {
+        const counts = state.ran ? after : before;
+        return { records: [{ get: () => Object.fromEntries(Object.entries(counts).map(([k, v]) => [k, neo4j.int(v)])) }] };
+      }
+      const digest = cypher.match(/^MATCH \(n:(\w+)\) RETURN elementId\(n\)/);
+      if (digest) {
+        const nodes = (state.ran ? logAfter : log).filter(node => node.labels.includes(digest[1]));
+        return { records: nodes.map(node => ({ get: key => node[key] })) };
+      }
+      if (cypher.includes(':AuditEntry')) {
+        state.audited = true;
+        return { records: [] };
+      }
+      state.ran = true;
+      state.statements.push(cypher);
+      return { records, summary: { counters: { updates: () => updates } } };
+    },
+    commit: async () => { state.committed = true; },
+    rollback: async () => { state.rolledBack = true; },
+    isOpen: () => !state.committed && !state.rolledBack,
+  };
+
+  const driver = {
+    session: () => ({
+      beginTransaction: () => tx,
+      close: async () => {},
+    }),
+  };
+  return { driver, state };
+}
+
+const context = driver => ({ driver, principal: { id: 'local', type: 'stdio' }, namespace: 'default' });
+
+describe('handleMutateGraph', () => {
+  it('refuses to delete AuditEntry or Revision nodes without running anything', async () => {
+    for (const cypher of ['MATCH (a:AuditEntry) DETACH DELETE a', 'MATCH (r:Revision) DELETE r']) {
+      const { driver, state } = stubDriver();
+      const result = parse(await handleMutateGraph({ cypher }, Date.now(), context(driver)));
+      assert.equal(result.success, false);
+      assert.equal(result.refusal.reason, 'audit_log_protected');
+      assert.equal(state.ran, false);
+    }
+  });
+
+  it('rolls back statements that reach the log without naming its labels', async () => {
+    for (const [cypher, logAfter, clause] of [
+      ['MATCH (a) WHERE a.tool = "mutate_graph" SET a.cypher = ""', edited(0, 'cypher', ''), 'AuditEntry'],
+      ['MATCH (r) WHERE r.target_id IS NOT NULL SET r.snapshot = "{}"', edited(1, 'snapshot', '{}'), 'Revision'],
+      ['MATCH (a) WHERE a.tool IS NOT NULL SET a:Note REMOVE a:$($label)', LOG.slice(1), 'AuditEntry'],
+      ['CREATE (a {tool: "mutate_graph"}) WITH a CALL { WITH a SET a:$($label) }', [...LOG, { id: '4:x:3', labels: ['AuditEntry'], props: { tool: 'mutate_graph' } }], 'AuditEntry'],
+    ]) {
+      const { driver, state } = stubDriver({ logAfter, counters: { propertiesSet: 1 } });
+      const result = parse(await handleMutateGraph({ cypher, params: { label: 'AuditEntry' } }, Date.now(), context(driver)));
+      assert.equal(result.refusal?.reason, 'audit_log_protected', cypher);
+      assert.equal(result.refusal.clause, clause, cypher);
+      assert.equal(state.ran, true, cypher);
+      assert.equal(state.rolledBack, true, cypher);
+      assert.equal(state.committed, false, cypher);
+      assert.equal(state.audited, false, cypher);
+    }
+  });
+
+  it('rolls back and refuses a delete of a protected label', async () => {
+    const { driver, state } = stubDriver({ before: { Event: 3 }, after: { Event: 2 }, counters: { nodesDeleted: 1 } });
+    const result = parse(await handleMutateGraph({ cypher: 'MATCH (e {id: $id}) DETACH DELETE e', params: { id: 'e1' } }, Date.now(), context(driver)));
+    assert.equal(result.refusal.reason, 'protected_label');
+    assert.equal(state.rolledBack, true);
+    assert.equal(state.committed, false);
+    assert.equal(state.audited, false);
+  });
+
+  it('refuses USE with a structured refusal', async () => {
+    const { driver, state } = stubDriver();
+    const result = parse(await handleMutateGraph({ cypher: 'USE other MATCH (n) DETACH DELETE n' }, Date.now(), context(driver)));
+    assert.equal(result.refusal.reason, 'database_switch');
+    assert.equal(state.ran, false);
+  });
+
+  it('rolls back a dry run without writing an AuditEntry', async () => {
+    const { driver, state } = stubDriver({ counters: { nodesCreated: 1 } });
+    const result = parse(await handleMutateGraph({ cypher: 'CREATE (:Note {text: $text})', params: { text: 'x' }, dry_run: true }, Date.now(), context(driver)));
+    assert.equal(result.success, true);
+    assert.equal(result.data.dry_run, true);
+    assert.equal(result.data.committed, false);
+    assert.equal(result.data.audit_id, null);
+    assert.equal(result.data.summary.nodes_created, 1);
+    assert.equal(state.rolledBack, true);
+    assert.equal(state.committed, false);
+    assert.equal(state.audited, false);
+  });
+
+  it('lists the nodes a dry run returns as affected', async () => {
+    const node = new neo4j.types.Node(neo4j.int(7), ['Note'], { id: 'n1' }, '4:x:7');
+    const { driver } = stubDriver({ counters: { propertiesSet: 1 }, records: [{ toObject: () => ({ n: node }) }] });
+    const result = parse(await handleMutateGraph({ cypher: 'MATCH (n:Note {id: $id}) SET n.text = $text RETURN n', params: { id: 'n1', text: 'x' }, dry_run: true }, Date.now(), context(driver)));
+    assert.deepEqual(result.data.affected_nodes, [{ element_id: '4:x:7', id: 'n1', labels: ['Note'] }]);
+    assert.equal(result.data.affected_nodes_source, 'returned');
+    assert.equal(result.metadata.note, undefined);
+  });
+
+  it('says so when a write returns none of the nodes it changed', async () => {
+    const { driver } = stubDriver({ counters: { propertiesSet: 1 } });
+    const result = parse(await handleMutateGraph({ cypher: 'MATCH (n:Note {id: $id}) SET n.text = $text', params: { id: 'n1', text: 'x' }, dry_run: true }, Date.now(), context(driver)));
+    assert.deepEqual(result.data.affected_nodes, []);
+    assert.match(result.metadata.note, /only lists nodes the statement returns/);
+  });
+
+  it('commits and audits an allowed write', async () => {
+    const { driver, state } = stubDriver({ counters: { nodesCreated: 1 } });
+    const result = parse(await handleMutateGraph({ cypher: 'CREATE (:Note {text: $text})', params: { text: 'x' } }, Date.now(), context(driver)));
+    assert.equal(result.data.committed, true);
+    assert.ok(result.data.audit_id);
+    assert.equal(state.audited, true);
+    assert.equal(state.committed, true);
+  });
+});
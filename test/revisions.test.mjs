@@ -0,0 +1,112 @@
+/**
+ * Revision tests: reverting Events and BONDs, and version 1 recorded when a
+ * memory is written, against a stub driver.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import neo4j from 'neo4j-driver';
+import { handleRevertMemory } from '../revision-extension.mjs';
+import { handleWriteReflection } from '../hippocampus-extension.mjs';
+
+const parse = result => JSON.parse(result.content[0].text);
+
+const record = values => ({ get: key => values[key], toObject: () => values });
+
+/**
+ * Stub driver answering each statement with the first responder whose
+ * pattern it contains ([pattern, records]). Records every statement run and
+ * the rows of each Revision written.
+ */
+function stubDriver(responders) {
+  const state = { statements: [], revisions: [] };
+  const tx = {
+    run: async (cypher, params = {}) => {
+      state.statements.push(cypher);
+      if (cypher.includes('CREATE (:Revision')) {
+        state.revisions.push(...params.rows.map(row => ({ ...row, tool: params.tool, kind: params.kind })));
+      }
+      const [, records = []] = responders.find(([pattern]) => cypher.includes(pattern)) || [];
+      return { records: typeof records === 'function' ? records(params) : records };
+    },
+  };
+  const driver = {
+    session: () => ({
+      executeRead: fn => fn(tx),
+      executeWrite: fn => fn(tx),
+      close: async () => {},
+    }),
+  };
+  return { driver, state };
+}
+
+const context = driver => ({
+  driver,
+  principal: { id: 'local', type: 'stdio' },
+  embeddingProvider: { model: 'test-model' },
+  generateEmbedding: async () => [0.1, 0.2],
+});
+
+describe('handleRevertMemory', () => {
+  it('reverts a BOND without matching it as a node', async () => {
+    const { driver, state } = stubDriver([
+      ['MATCH (r:Revision {target_id: $id, version: $version})', [record({ kind: 'BOND', snapshot: JSON.stringify({ id: 'b1', strength: 0.4 }) })]],
+      ['AS why', [record({ props: { id: 'b1', strength: 0.9, revision: neo4j.int(2) }, why: [], effects: [] })]],
+      ['AS previous', [record({ id: 'b1', version: neo4j.int(2), props: { id: 'b1', strength: 0.4 }, previous: JSON.stringify({ id: 'b1', strength: 0.9 }) })]],
+    ]);
+
+    const result = parse(await handleRevertMemory({ id: 'b1', version: 1 }, Date.now(), context(driver)));
+
+    assert.equal(result.data.kind, 'BOND');
+    assert.deepEqual(result.data.restored_keys, ['strength']);
+    assert.equal(result.data.new_version, 3);
+    assert.equal(result.data.re_embedded, false);
+    assert.ok(state.statements.every(cypher => !cypher.includes('(x)-[')), 'BOND bound as a node');
+    assert.ok(state.statements.some(cypher => cypher.includes('MATCH ()-[x:BOND {id: $id}]->()') && cypher.includes('SET x += $props')));
+    assert.equal(state.revisions[0].change, 'revert');
+  });
+
+  it('re-embeds an Event from its catalysts and effects', async () => {
+    const { driver, state } = stubDriver([
+      ['MATCH (r:Revision {target_id: $id, version: $version})', [record({ kind: 'Event', snapshot: JSON.stringify({ id: 'e1', title: 'Old' }) })]],
+      ['AS why', [record({ props: { id: 'e1', title: 'New', revision: neo4j.int(2) }, why: ['deadline'], effects: [] })]],
+      ['AS previous', [record({ id: 'e1', version: neo4j.int(2), props: { id: 'e1', title: 'Old' }, previous: JSON.stringify({ id: 'e1', title: 'New' }) })]],
+    ]);
+
+    const result = parse(await handleRevertMemory({ id: 'e1', version: 1 }, Date.now(), context(driver)));
+
+    assert.equal(result.data.re_embedded, true);
+    assert.ok(state.statements.some(cypher => cypher.includes('(x)-[:CATALYZED_BY]->(c:Catalyst)')));
+  });
+
+  it('refuses an unknown revision', async () => {
+    const { driver } = stubDriver([]);
+    await assert.rejects(
+      handleRevertMemory({ id: 'b1', version: 7 }, Date.now(), context(driver)),
+      /No revision 7 for memory b1/
+    );
+  });
+});
+
+describe('revisions at creation', () => {
+  it('records version 1 of a new Reflection', async () => {
+    const reflection = { id: 'r1', summary: 'It went well', valence: 'positive' };
+    const { driver, state } = stubDriver([
+      ['CREATE (ref:Reflection', [record({ ref: { properties: reflection } })]],
+      ['WHERE x.revision IS NULL', params => params.ids.map(id => record({ id, props: reflection }))],
+    ]);
+
+    await handleWriteReflection(
+      { event_id: 'e1', agent_id: 'agent-1', reflection: { summary: reflection.summary, valence: reflection.valence } },
+      Date.now(),
+      context(driver)
+    );
+
+    assert.equal(state.revisions.length, 1);
+    assert.deepEqual(
+      { id: state.revisions[0].id, kind: state.revisions[0].kind, change: state.revisions[0].change, tool: state.revisions[0].tool },
+      { id: 'r1', kind: 'Reflection', change: 'create', tool: 'hippocampus_write_reflection' }
+    );
+    assert.equal(neo4j.integer.toNumber(state.revisions[0].version), 1);
+  });
+});
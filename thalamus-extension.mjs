@@ -0,0 +1,534 @@
+/**
+ * Thalamus Module Extension
+ *
+ * Pre-hippocampal intake layer for the :Capture node in claude-memory.cypher:
+ * - hippocampus_capture: Record raw experience with a thalamus (significance) score
+ * - hippocampus_list_captures: Browse captures by score, time, project and status
+ * - hippocampus_promote_capture: Episodicize a capture into an :Event
+ *
+ * High-scoring captures are promoted through the same writeEventGraph logic
+ * as hippocampus_write_event, and linked (:Capture)-[:BECAME]->(:Event).
+ */
+
+import neo4j from 'neo4j-driver';
+import { randomUUID } from 'crypto';
+import { writeEventGraph } from './hippocampus-extension.mjs';
+import { deriveTitle } from './event-model.mjs';
+
+export const DEFAULT_PROMOTION_THRESHOLD = process.env.CAPTURE_PROMOTION_THRESHOLD
+  ? parseFloat(process.env.CAPTURE_PROMOTION_THRESHOLD)
+  : 0.7;
+
+// Tool definitions for Thalamus Module
+export const thalamusTools = [
+  {
+    name: 'hippocampus_capture',
+    description: 'Record a raw experience as a Capture (thalamic intake). Computes a thalamus significance score unless one is given, and episodicizes captures scoring above the promotion threshold into Events.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        capture: {
+          type: 'object',
+          properties: {
+            description: {
+              type: 'string',
+              description: 'Raw content of the experience',
+            },
+            timestamp: {
+              type: 'string',
+              format: 'date-time',
+              description: 'ISO 8601 timestamp (defaults to now)',
+            },
+            thalamus_score: {
+              type: 'number',
+              minimum: 0.0,
+              maximum: 1.0,
+              description: 'Significance score (computed from the other fields if omitted)',
+            },
+            care_intensity: {
+              type: 'number',
+              minimum: 0.0,
+              maximum: 1.0,
+              description: 'Emotional weight of the experience',
+            },
+            project: {
+              type: 'string',
+              description: 'Organizational context',
+            },
+            modality: {
+              type: 'string',
+              description: 'Input type (conversation, document, observation, etc.)',
+            },
+            location: {
+              type: 'string',
+              description: 'Where it occurred (becomes the Event place on promotion)',
+            },
+            affect: {
+              type: 'string',
+              enum: ['positive', 'negative', 'neutral', 'mixed'],
+              description: 'Emotional tone',
+            },
+            tags: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Semantic labels',
+            },
+            source: {
+              type: 'string',
+              description: 'Origin identifier',
+            },
+            deadline: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Temporal pressure, if applicable',
+            },
+          },
+          required: ['description'],
+        },
+        auto_promote: {
+          type: 'boolean',
+          default: true,
+          description: 'Episodicize the capture into an Event if its score meets the promotion threshold',
+        },
+        promotion_threshold: {
+          type: 'number',
+          minimum: 0.0,
+          maximum: 1.0,
+          description: 'Score required for auto-promotion (defaults to CAPTURE_PROMOTION_THRESHOLD or 0.7)',
+        },
+        event: {
+          type: 'object',
+          description: 'Optional hippocampus_write_event fields (title, who, why, ...) used if the capture is promoted',
+        },
+      },
+      required: ['capture'],
+    },
+  },
+  {
+    name: 'hippocampus_list_captures',
+    description: 'List Captures from the thalamic intake layer, filtered by score, time range, project, modality, tags and promotion status.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        min_score: {
+          type: 'number',
+          minimum: 0.0,
+          maximum: 1.0,
+          description: 'Minimum thalamus score',
+        },
+        max_score: {
+          type: 'number',
+          minimum: 0.0,
+          maximum: 1.0,
+          description: 'Maximum thalamus score',
+        },
+        time_range: {
+          type: 'object',
+          properties: {
+            start: { type: 'string', format: 'date-time' },
+            end: { type: 'string', format: 'date-time' },
+          },
+          description: 'Filter by capture timestamp',
+        },
+        project: {
+          type: 'string',
+          description: 'Filter by project',
+        },
+        modality: {
+          type: 'string',
+          description: 'Filter by modality',
+        },
+        tags: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Return captures carrying any of these tags',
+        },
+        status: {
+          type: 'string',
+          enum: ['pending', 'promoted', 'all'],
+          default: 'all',
+          description: 'pending = not yet episodicized, promoted = linked to an Event',
+        },
+        order_by: {
+          type: 'string',
+          enum: ['timestamp', 'score'],
+          default: 'timestamp',
+          description: 'Sort newest first or highest score first',
+        },
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 100,
+          default: 20,
+          description: 'Maximum results to return',
+        },
+      },
+    },
+  },
+  {
+    name: 'hippocampus_promote_capture',
+    description: 'Episodicize an existing Capture into an Event using the hippocampus_write_event logic, linking the Capture to the Event it became.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        capture_id: {
+          type: 'string',
+          description: 'ID of the Capture to promote',
+        },
+        event: {
+          type: 'object',
+          description: 'Optional hippocampus_write_event fields (title, who, why, what_entities, effects, ...) overriding values derived from the capture',
+        },
+      },
+      required: ['capture_id'],
+    },
+  },
+];
+
+// ============================================================================
+// THALAMUS SCORING
+// ============================================================================
+
+/**
+ * Heuristic significance score for a capture (0.0-1.0).
+ * Weighted blend of care intensity, affect, deadline pressure and richness,
+ * mimicking thalamic gating on salience rather than content.
+ */
+export function computeThalamusScore(capture, now = new Date()) {
+  const care = clamp(capture.care_intensity ?? 0.3);
+
+  const affect = {
+    positive: 0.6,
+    negative: 0.8,
+    mixed: 0.7,
+    neutral: 0.2,
+  }[capture.affect] ?? 0.3;
+
+  // Deadlines within a week ramp up pressure; past deadlines count as urgent
+  let pressure = 0;
+  if (capture.deadline) {
+    const daysLeft = (new Date(capture.deadline).getTime() - now.getTime()) / 86400000;
+    pressure = daysLeft <= 0 ? 1 : clamp(1 - daysLeft / 7);
+  }
+
+  const length = (capture.description || '').length;
+  const richness = clamp(Math.log10(1 + length) / 3 + (capture.tags?.length || 0) * 0.05);
+
+  return round(care * 0.5 + affect * 0.2 + pressure * 0.15 + richness * 0.15);
+}
+
+function clamp(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// ============================================================================
+// HANDLER IMPLEMENTATIONS
+// ============================================================================
+
+export async function handleCapture(args, startTime, context) {
+  const { driver } = context;
+  const session = driver.session();
+  const tx = session.beginTransaction();
+
+  try {
+    const {
+      capture,
+      auto_promote = true,
+      promotion_threshold = DEFAULT_PROMOTION_THRESHOLD,
+      event: eventOverrides = {},
+    } = args;
+
+    if (capture.thalamus_score !== undefined && (capture.thalamus_score < 0.0 || capture.thalamus_score > 1.0)) {
+      throw new Error('thalamus_score must be between 0.0 and 1.0');
+    }
+
+    const captureId = randomUUID();
+    const timestamp = capture.timestamp || new Date().toISOString();
+    const scoreProvided = capture.thalamus_score !== undefined;
+    const thalamusScore = scoreProvided ? capture.thalamus_score : computeThalamusScore(capture);
+
+    await tx.run(
+      `
+      CREATE (c:Capture {
+        capture_id: $captureId,
+        timestamp: datetime($timestamp),
+        description: $description,
+        thalamus_score: $thalamusScore,
+        score_source: $scoreSource,
+        care_intensity: $careIntensity,
+        project: $project,
+        modality: $modality,
+        location: $location,
+        affect: $affect,
+        tags: $tags,
+        source: $source,
+        deadline: CASE WHEN $deadline IS NULL THEN null ELSE datetime($deadline) END
+      })
+      `,
+      {
+        captureId,
+        timestamp,
+        description: capture.description,
+        thalamusScore,
+        scoreSource: scoreProvided ? 'provided' : 'computed',
+        careIntensity: capture.care_intensity ?? null,
+        project: capture.project || null,
+        modality: capture.modality || null,
+        location: capture.location || null,
+        affect: capture.affect || null,
+        tags: capture.tags || [],
+        source: capture.source || null,
+        deadline: capture.deadline || null,
+      }
+    );
+
+    let promotedEventId = null;
+    if (auto_promote && thalamusScore >= promotion_threshold) {
+      promotedEventId = await promoteCapture(tx, captureId, eventOverrides, context, 'hippocampus_capture');
+    }
+
+    await tx.commit();
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            data: {
+              capture_id: captureId,
+              timestamp,
+              thalamus_score: thalamusScore,
+              score_source: scoreProvided ? 'provided' : 'computed',
+              promoted: promotedEventId !== null,
+              event_id: promotedEventId,
+            },
+            metadata: {
+              execution_time_ms: Date.now() - startTime,
+              promotion_threshold,
+            },
+          }, null, 2),
+        },
+      ],
+    };
+  } catch (error) {
+    await tx.rollback();
+    throw error;
+  } finally {
+    await session.close();
+  }
+}
+
+export async function handleListCaptures(args, startTime, context) {
+  const { driver } = context;
+  const session = driver.session();
+
+  try {
+    const {
+      min_score,
+      max_score,
+      time_range,
+      project,
+      modality,
+      tags,
+      status = 'all',
+      order_by = 'timestamp',
+      limit = 20,
+    } = args;
+
+    const params = { limit: neo4j.int(parseInt(limit) || 20) };
+    const whereClauses = [];
+
+    if (min_score !== undefined) {
+      whereClauses.push('c.thalamus_score >= $minScore');
+      params.minScore = min_score;
+    }
+
+    if (max_score !== undefined) {
+      whereClauses.push('c.thalamus_score <= $maxScore');
+      params.maxScore = max_score;
+    }
+
+    if (time_range?.start) {
+      whereClauses.push('c.timestamp >= datetime($timeStart)');
+      params.timeStart = time_range.start;
+    }
+
+    if (time_range?.end) {
+      whereClauses.push('c.timestamp <= datetime($timeEnd)');
+      params.timeEnd = time_range.end;
+    }
+
+    if (project) {
+      whereClauses.push('c.project = $project');
+      params.project = project;
+    }
+
+    if (modality) {
+      whereClauses.push('c.modality = $modality');
+      params.modality = modality;
+    }
+
+    if (tags && tags.length > 0) {
+      whereClauses.push('any(tag IN c.tags WHERE tag IN $tags)');
+      params.tags = tags;
+    }
+
+    if (status === 'pending') {
+      whereClauses.push('NOT EXISTS { (c)-[:BECAME]->(:Event) }');
+    } else if (status === 'promoted') {
+      whereClauses.push('EXISTS { (c)-[:BECAME]->(:Event) }');
+    }
+
+    const orderClause = order_by === 'score'
+      ? 'c.thalamus_score DESC, c.timestamp DESC'
+      : 'c.timestamp DESC';
+
+    const result = await session.run(
+      `
+      MATCH (c:Capture)
+      ${whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : ''}
+      OPTIONAL MATCH (c)-[:BECAME]->(e:Event)
+      RETURN c, toString(c.timestamp) AS timestamp, toString(c.deadline) AS deadline, e.id AS event_id
+      ORDER BY ${orderClause}
+      LIMIT $limit
+      `,
+      params
+    );
+
+    const captures = result.records.map(record => {
+      const c = record.get('c').properties;
+      return {
+        capture_id: c.capture_id,
+        timestamp: record.get('timestamp'),
+        description: c.description,
+        thalamus_score: c.thalamus_score,
+        care_intensity: c.care_intensity,
+        project: c.project,
+        modality: c.modality,
+        location: c.location,
+        affect: c.affect,
+        tags: c.tags || [],
+        source: c.source,
+        deadline: record.get('deadline'),
+        promoted: record.get('event_id') !== null,
+        event_id: record.get('event_id'),
+      };
+    });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            data: {
+              captures,
+              count: captures.length,
+            },
+            metadata: {
+              execution_time_ms: Date.now() - startTime,
+            },
+          }, null, 2),
+        },
+      ],
+    };
+  } finally {
+    await session.close();
+  }
+}
+
+export async function handlePromoteCapture(args, startTime, context) {
+  const { driver } = context;
+  const session = driver.session();
+  const tx = session.beginTransaction();
+
+  try {
+    const { capture_id, event: eventOverrides = {} } = args;
+
+    const eventId = await promoteCapture(tx, capture_id, eventOverrides, context, 'hippocampus_promote_capture');
+
+    await tx.commit();
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            data: {
+              capture_id,
+              event_id: eventId,
+            },
+            metadata: {
+              execution_time_ms: Date.now() - startTime,
+            },
+          }, null, 2),
+        },
+      ],
+    };
+  } catch (error) {
+    await tx.rollback();
+    throw error;
+  } finally {
+    await session.close();
+  }
+}
+
+// ============================================================================
+// PROMOTION (Capture → Event)
+// ============================================================================
+
+/**
+ * Episodicize a capture into an Event inside an open transaction.
+ * Event fields default to values derived from the capture and can be
+ * overridden with any hippocampus_write_event field. `tool` is credited with
+ * the Event's first revision.
+ */
+async function promoteCapture(tx, captureId, eventOverrides, context, tool) {
+  const lookup = await tx.run(
+    `
+    MATCH (c:Capture {capture_id: $captureId})
+    OPTIONAL MATCH (c)-[:BECAME]->(e:Event)
+    RETURN c, toString(c.timestamp) AS timestamp, e.id AS event_id
+    `,
+    { captureId }
+  );
+
+  if (lookup.records.length === 0) {
+    throw new Error(`Capture not found: ${captureId}`);
+  }
+
+  const record = lookup.records[0];
+  if (record.get('event_id')) {
+    throw new Error(`Capture ${captureId} was already promoted to event ${record.get('event_id')}`);
+  }
+
+  const capture = record.get('c').properties;
+  const event = {
+    title: deriveTitle(capture.description),
+    description: capture.description,
+    happened_at: record.get('timestamp'),
+    where: capture.location || undefined,
+    significance: capture.thalamus_score,
+    ...eventOverrides,
+  };
+
+  const { eventId } = await writeEventGraph(tx, event, context, tool);
+
+  await tx.run(
+    `
+    MATCH (c:Capture {capture_id: $captureId})
+    MATCH (e:Event {id: $eventId})
+    MERGE (c)-[:BECAME]->(e)
+    SET c.promoted_at = datetime()
+    `,
+    { captureId, eventId }
+  );
+
+  return eventId;
+}
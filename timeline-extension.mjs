@@ -0,0 +1,468 @@
+/**
+ * Timeline Module Extension
+ *
+ * Temporal navigation over Events of both shapes (encode_memory and
+ * hippocampus_write_event), keyed on coalesce(happened_at, timestamp):
+ * - memory_timeline: Events in a window, bucketed by day, week or month
+ * - what_happened_before / what_happened_after: Nearest Events in time
+ *   around an anchor Event
+ * - causal_chain: Walk PRECEDED edges forward or backward, keeping links
+ *   at or above a causal strength threshold
+ *
+ * Archived Events are skipped; Events superseded by a correction are kept
+ * (this is history) but marked outdated.
+ */
+
+import neo4j from 'neo4j-driver';
+
+const DAY_MS = 86400000;
+
+export const TIMELINE_BUCKETS = ['day', 'week', 'month'];
+
+export const DEFAULT_TIMELINE_CONFIG = {
+  window_days: 30,
+  per_bucket: 20,
+  max_chain_depth: 10,
+  max_chain_paths: 1000,
+};
+
+// Event fields shared by every timeline tool
+const EVENT_FIELDS = `
+  e.id AS id,
+  coalesce(e.title, e.context_summary) AS title,
+  e.type AS type,
+  e.significance AS significance,
+  e.emotional_valence AS emotional_valence,
+  toString(coalesce(e.happened_at, e.timestamp)) AS when,
+  EXISTS { (e)<-[:SUPERSEDES]-(:Event) } AS outdated
+`;
+
+const NEIGHBOUR_PROPERTIES = {
+  event_id: {
+    type: 'string',
+    description: 'Anchor Event id',
+  },
+  limit: {
+    type: 'integer',
+    minimum: 1,
+    maximum: 50,
+    default: 5,
+  },
+  within_days: {
+    type: 'number',
+    exclusiveMinimum: 0,
+    description: 'Only consider Events at most this many days from the anchor',
+  },
+};
+
+// Tool definitions for Timeline Module
+export const timelineTools = [
+  {
+    name: 'memory_timeline',
+    description: 'List Events in a time window, grouped into day, week or month buckets with a count per bucket. Covers Events written by both encode_memory and hippocampus_write_event.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        start: {
+          type: 'string',
+          format: 'date-time',
+          description: `Window start (defaults to ${DEFAULT_TIMELINE_CONFIG.window_days} days before end)`,
+        },
+        end: {
+          type: 'string',
+          format: 'date-time',
+          description: 'Window end (defaults to now)',
+        },
+        bucket: {
+          type: 'string',
+          enum: TIMELINE_BUCKETS,
+          default: 'day',
+        },
+        event_types: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Only these Event types',
+        },
+        per_bucket: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 100,
+          default: DEFAULT_TIMELINE_CONFIG.per_bucket,
+          description: 'Events listed per bucket (counts include all)',
+        },
+      },
+    },
+  },
+  {
+    name: 'what_happened_before',
+    description: 'Events that happened shortly before an Event, nearest first, with the time gap and whether a PRECEDED edge links them to it.',
+    inputSchema: {
+      type: 'object',
+      properties: NEIGHBOUR_PROPERTIES,
+      required: ['event_id'],
+    },
+  },
+  {
+    name: 'what_happened_after',
+    description: 'Events that happened shortly after an Event, nearest first, with the time gap and whether a PRECEDED edge links it to them.',
+    inputSchema: {
+      type: 'object',
+      properties: NEIGHBOUR_PROPERTIES,
+      required: ['event_id'],
+    },
+  },
+  {
+    name: 'causal_chain',
+    description: 'Follow PRECEDED (causal) edges from an Event forward to its consequences or backward to its causes, keeping only links at or above min_strength. Returns the Events in the chain with their depth and cumulative strength, and the links with causal_strength and temporal_distance.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        event_id: {
+          type: 'string',
+          description: 'Event to start from',
+        },
+        direction: {
+          type: 'string',
+          enum: ['forward', 'backward', 'both'],
+          default: 'forward',
+          description: 'forward: what it led to; backward: what led to it',
+        },
+        min_strength: {
+          type: 'number',
+          minimum: 0.0,
+          maximum: 1.0,
+          default: 0.0,
+          description: 'Minimum causal_strength for every link in the chain',
+        },
+        max_depth: {
+          type: 'integer',
+          minimum: 1,
+          maximum: DEFAULT_TIMELINE_CONFIG.max_chain_depth,
+          default: 5,
+        },
+      },
+      required: ['event_id'],
+    },
+  },
+];
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function eventFromRecord(record) {
+  return {
+    id: record.get('id'),
+    title: record.get('title'),
+    type: record.get('type'),
+    when: record.get('when'),
+    significance: record.get('significance'),
+    emotional_valence: record.get('emotional_valence'),
+    outdated: record.get('outdated'),
+  };
+}
+
+async function anchorEvent(tx, eventId) {
+  const result = await tx.run(
+    `
+    MATCH (e:Event {id: $eventId})
+    RETURN ${EVENT_FIELDS}
+    `,
+    { eventId }
+  );
+  if (result.records.length === 0) {
+    throw new Error(`Event not found: ${eventId}`);
+  }
+  return eventFromRecord(result.records[0]);
+}
+
+// ============================================================================
+// HANDLERS
+// ============================================================================
+
+export async function handleMemoryTimeline(args, startTime, context) {
+  const { driver } = context;
+  const { bucket = 'day', event_types, per_bucket = DEFAULT_TIMELINE_CONFIG.per_bucket } = args;
+
+  if (!TIMELINE_BUCKETS.includes(bucket)) {
+    throw new Error(`Unknown bucket: ${bucket} (expected ${TIMELINE_BUCKETS.join(', ')})`);
+  }
+
+  const end = args.end || new Date().toISOString();
+  const start = args.start || new Date(Date.parse(end) - DEFAULT_TIMELINE_CONFIG.window_days * DAY_MS).toISOString();
+
+  const session = driver.session();
+
+  try {
+    const result = await session.executeRead(tx => tx.run(
+      `
+      MATCH (e:Event)
+      WHERE NOT e:Archived
+        AND coalesce(e.happened_at, e.timestamp) >= datetime($start)
+        AND coalesce(e.happened_at, e.timestamp) <= datetime($end)
+        ${event_types && event_types.length > 0 ? 'AND e.type IN $eventTypes' : ''}
+      WITH e, coalesce(e.happened_at, e.timestamp) AS at
+      ORDER BY at
+      WITH e, CASE $bucket
+                WHEN 'week' THEN date.truncate('week', at)
+                WHEN 'month' THEN date.truncate('month', at)
+                ELSE date(at)
+              END AS bucket
+      WITH bucket, collect(e) AS events
+      RETURN toString(bucket) AS bucket,
+             size(events) AS count,
+             [e IN events[0..$perBucket] | {
+               id: e.id,
+               title: coalesce(e.title, e.context_summary),
+               type: e.type,
+               when: toString(coalesce(e.happened_at, e.timestamp)),
+               significance: e.significance,
+               outdated: EXISTS { (e)<-[:SUPERSEDES]-(:Event) }
+             }] AS events
+      ORDER BY bucket
+      `,
+      {
+        start,
+        end,
+        bucket,
+        eventTypes: event_types || [],
+        perBucket: neo4j.int(per_bucket),
+      }
+    ));
+
+    const buckets = result.records.map(record => ({
+      bucket: record.get('bucket'),
+      count: neo4j.integer.toNumber(record.get('count')),
+      events: record.get('events'),
+    }));
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            data: {
+              start,
+              end,
+              bucket,
+              buckets,
+              total_events: buckets.reduce((sum, b) => sum + b.count, 0),
+            },
+            metadata: {
+              execution_time_ms: Date.now() - startTime,
+            },
+          }, null, 2),
+        },
+      ],
+    };
+  } finally {
+    await session.close();
+  }
+}
+
+async function neighbouringEvents(args, startTime, context, direction) {
+  const { driver } = context;
+  const { event_id, limit = 5, within_days } = args;
+  const before = direction === 'before';
+
+  const session = driver.session();
+
+  try {
+    const { anchor, events } = await session.executeRead(async tx => {
+      const anchor = await anchorEvent(tx, event_id);
+
+      const result = await tx.run(
+        `
+        MATCH (anchor:Event {id: $eventId})
+        WITH anchor, coalesce(anchor.happened_at, anchor.timestamp) AS anchorAt
+        MATCH (e:Event)
+        WHERE e <> anchor AND NOT e:Archived
+        WITH anchor, anchorAt, e, coalesce(e.happened_at, e.timestamp) AS at
+        WHERE at ${before ? '<=' : '>='} anchorAt
+          AND ($withinDays IS NULL OR
+               at ${before ? '>=' : '<='} anchorAt ${before ? '-' : '+'} duration({seconds: toInteger($withinDays * 86400)}))
+        RETURN ${EVENT_FIELDS},
+               toString(duration.between(${before ? 'at, anchorAt' : 'anchorAt, at'})) AS gap,
+               EXISTS { ${before ? '(e)-[:PRECEDED]->(anchor)' : '(anchor)-[:PRECEDED]->(e)'} } AS causally_linked
+        ORDER BY at ${before ? 'DESC' : 'ASC'}
+        LIMIT $limit
+        `,
+        {
+          eventId: event_id,
+          withinDays: within_days ?? null,
+          limit: neo4j.int(limit),
+        }
+      );
+
+      return {
+        anchor,
+        events: result.records.map(record => ({
+          ...eventFromRecord(record),
+          gap: record.get('gap'),
+          causally_linked: record.get('causally_linked'),
+        })),
+      };
+    });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            data: {
+              anchor,
+              direction,
+              events,
+              count: events.length,
+            },
+            metadata: {
+              execution_time_ms: Date.now() - startTime,
+            },
+          }, null, 2),
+        },
+      ],
+    };
+  } finally {
+    await session.close();
+  }
+}
+
+export async function handleWhatHappenedBefore(args, startTime, context) {
+  return neighbouringEvents(args, startTime, context, 'before');
+}
+
+export async function handleWhatHappenedAfter(args, startTime, context) {
+  return neighbouringEvents(args, startTime, context, 'after');
+}
+
+/**
+ * PRECEDED paths from an Event in one direction, as lists of event ids and
+ * links, every link at or above minStrength.
+ */
+async function causalPaths(tx, { eventId, direction, minStrength, maxDepth }) {
+  const pattern = direction === 'forward'
+    ? `(start)-[:PRECEDED*1..${maxDepth}]->(:Event)`
+    : `(:Event)-[:PRECEDED*1..${maxDepth}]->(start)`;
+
+  const result = await tx.run(
+    `
+    MATCH (start:Event {id: $eventId})
+    MATCH path = ${pattern}
+    WHERE all(r IN relationships(path) WHERE coalesce(r.causal_strength, 1.0) >= $minStrength)
+      AND none(n IN nodes(path) WHERE n:Archived)
+    RETURN [n IN nodes(path) | n.id] AS ids,
+           [r IN relationships(path) | {
+             from: startNode(r).id,
+             to: endNode(r).id,
+             causal_strength: r.causal_strength,
+             temporal_distance: toString(r.temporal_distance)
+           }] AS links
+    LIMIT $maxPaths
+    `,
+    {
+      eventId,
+      minStrength,
+      maxPaths: neo4j.int(DEFAULT_TIMELINE_CONFIG.max_chain_paths),
+    }
+  );
+
+  return result.records.map(record => {
+    const ids = record.get('ids');
+    // Backward paths end at the start Event; walk them from it
+    return direction === 'forward'
+      ? { ids, links: record.get('links') }
+      : { ids: [...ids].reverse(), links: [...record.get('links')].reverse() };
+  });
+}
+
+export async function handleCausalChain(args, startTime, context) {
+  const { driver } = context;
+  const { event_id, direction = 'forward', min_strength = 0.0 } = args;
+  const maxDepth = Math.min(Math.max(parseInt(args.max_depth) || 5, 1), DEFAULT_TIMELINE_CONFIG.max_chain_depth);
+
+  if (!['forward', 'backward', 'both'].includes(direction)) {
+    throw new Error(`Unknown direction: ${direction} (expected forward, backward or both)`);
+  }
+
+  const session = driver.session();
+
+  try {
+    const { start, chain, links, truncated } = await session.executeRead(async tx => {
+      const start = await anchorEvent(tx, event_id);
+
+      const directions = direction === 'both' ? ['backward', 'forward'] : [direction];
+      const reached = new Map();
+      const links = new Map();
+      let truncated = false;
+
+      for (const walk of directions) {
+        const paths = await causalPaths(tx, { eventId: event_id, direction: walk, minStrength: min_strength, maxDepth });
+        truncated = truncated || paths.length >= DEFAULT_TIMELINE_CONFIG.max_chain_paths;
+
+        for (const path of paths) {
+          // Depth and the product of link strengths from the start Event
+          let strength = 1.0;
+          path.links.forEach((link, index) => {
+            links.set(`${link.from}->${link.to}`, link);
+            strength *= link.causal_strength ?? 1.0;
+
+            const id = path.ids[index + 1];
+            const depth = index + 1;
+            const current = reached.get(id);
+            if (id === event_id) return;
+            if (!current || depth < current.depth || (depth === current.depth && strength > current.cumulative_strength)) {
+              reached.set(id, { direction: walk, depth, cumulative_strength: strength });
+            }
+          });
+        }
+      }
+
+      const details = await tx.run(
+        `
+        UNWIND $ids AS eventId
+        MATCH (e:Event {id: eventId})
+        RETURN ${EVENT_FIELDS}
+        `,
+        { ids: [...reached.keys()] }
+      );
+
+      const chain = details.records
+        .map(record => ({ ...eventFromRecord(record), ...reached.get(record.get('id')) }))
+        .sort((a, b) =>
+          (a.direction === b.direction ? 0 : a.direction === 'backward' ? -1 : 1) ||
+          (a.direction === 'backward' ? b.depth - a.depth : a.depth - b.depth) ||
+          String(a.when).localeCompare(String(b.when))
+        );
+
+      return { start, chain, links: [...links.values()], truncated };
+    });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            data: {
+              start,
+              direction,
+              chain,
+              links,
+              count: chain.length,
+            },
+            metadata: {
+              execution_time_ms: Date.now() - startTime,
+              min_strength,
+              max_depth: maxDepth,
+              truncated,
+            },
+          }, null, 2),
+        },
+      ],
+    };
+  } finally {
+    await session.close();
+  }
+}
@@ -0,0 +1,224 @@
+/**
+ * Tool Registry
+ *
+ * Single source of tool definitions and handlers, mounted by both the stdio
+ * server (hippocampal-mcp-server.mjs) and the remote server
+ * (remote-mcp-server.mjs) so every tool and parameter behaves identically
+ * over either transport.
+ *
+ * Every handler has the signature (args, startTime, context), where context
+ * carries the Neo4j driver, embedding provider and the calling principal.
+ *
+ * Every tool except the namespace tools takes an optional `namespace`
+ * argument. callTool checks the principal may use it and hands the handler a
+ * context whose driver is scoped to that namespace's database.
+ */
+
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+} from '@modelcontextprotocol/sdk/types.js';
+import {
+  coreTools,
+  handleEncodeMemory,
+  handleRecallMemory,
+  handleMutateGraph,
+  handleEvolveBond,
+  handleQueryGraph,
+} from './core-tools.mjs';
+import {
+  hippocampusTools,
+  handleWriteEvent,
+  handleWriteReflection,
+  handleSearchEvents,
+  handleAgentRecall,
+  handleComparePerspectives,
+} from './hippocampus-extension.mjs';
+import { thalamusTools, handleCapture, handleListCaptures, handlePromoteCapture } from './thalamus-extension.mjs';
+import { decayTools, handleRunDecay } from './decay-extension.mjs';
+import { consolidationTools, handleConsolidate } from './consolidation-extension.mjs';
+import { eventModelTools, handleMigrateEvents } from './event-model.mjs';
+import { revisionTools, handleMemoryHistory, handleRevertMemory, handleMigrateRevisions } from './revision-extension.mjs';
+import { patternCompletionTools, handlePatternComplete } from './pattern-completion-extension.mjs';
+import {
+  timelineTools,
+  handleMemoryTimeline,
+  handleWhatHappenedBefore,
+  handleWhatHappenedAfter,
+  handleCausalChain,
+} from './timeline-extension.mjs';
+import {
+  bondAnalyticsTools,
+  handleBondReport,
+  handleEntityBonds,
+  handleBondHistory,
+  handleBondMutuality,
+  handleAsymmetricBonds,
+  handleMigrateBondHistory,
+} from './bond-analytics-extension.mjs';
+import {
+  namespaceTools,
+  handleListNamespaces,
+  handleCreateNamespace,
+  resolveNamespace,
+  scopeContext,
+  DEFAULT_NAMESPACE,
+} from './namespace-extension.mjs';
+
+// ============================================================================
+// TOOL DEFINITIONS
+// ============================================================================
+
+const NAMESPACE_ARGUMENT = {
+  type: 'string',
+  description: `Memory namespace to work in (defaults to '${DEFAULT_NAMESPACE}'; see list_namespaces)`,
+};
+
+// Tools that run against one namespace, with the namespace argument added
+const scopedTools = [
+  ...hippocampusTools,
+  ...patternCompletionTools,
+  ...timelineTools,
+  ...thalamusTools,
+  ...decayTools,
+  ...consolidationTools,
+  ...eventModelTools,
+  ...revisionTools,
+  ...coreTools,
+  ...bondAnalyticsTools,
+].map(tool => ({
+  ...tool,
+  inputSchema: {
+    ...tool.inputSchema,
+    properties: {
+      ...tool.inputSchema.properties,
+      namespace: NAMESPACE_ARGUMENT,
+    },
+  },
+}));
+
+const UNSCOPED_TOOLS = new Set(namespaceTools.map(tool => tool.name));
+
+export const tools = [
+  ...scopedTools,
+  ...namespaceTools,
+];
+
+// ============================================================================
+// HANDLER MAP
+// ============================================================================
+
+export const toolHandlers = {
+  // Hippocampus Module
+  hippocampus_write_event: handleWriteEvent,
+  hippocampus_write_reflection: handleWriteReflection,
+  hippocampus_search_events: handleSearchEvents,
+  hippocampus_agent_recall: handleAgentRecall,
+  compare_perspectives: handleComparePerspectives,
+
+  // Pattern Completion Module
+  pattern_complete: handlePatternComplete,
+
+  // Timeline Module
+  memory_timeline: handleMemoryTimeline,
+  what_happened_before: handleWhatHappenedBefore,
+  what_happened_after: handleWhatHappenedAfter,
+  causal_chain: handleCausalChain,
+
+  // Thalamus Module
+  hippocampus_capture: handleCapture,
+  hippocampus_list_captures: handleListCaptures,
+  hippocampus_promote_capture: handlePromoteCapture,
+
+  // Decay, consolidation and maintenance
+  run_decay: handleRunDecay,
+  consolidate: handleConsolidate,
+  migrate_events: handleMigrateEvents,
+
+  // Revision Module
+  memory_history: handleMemoryHistory,
+  revert_memory: handleRevertMemory,
+  migrate_revisions: handleMigrateRevisions,
+
+  // Core Memory Tools
+  encode_memory: handleEncodeMemory,
+  recall_memory: handleRecallMemory,
+  mutate_graph: handleMutateGraph,
+  evolve_bond: handleEvolveBond,
+  query_graph: handleQueryGraph,
+
+  // Bond Analytics Module
+  bond_report: handleBondReport,
+  entity_bonds: handleEntityBonds,
+  bond_history: handleBondHistory,
+  bond_mutuality: handleBondMutuality,
+  asymmetric_bonds: handleAsymmetricBonds,
+  migrate_bond_history: handleMigrateBondHistory,
+
+  // Namespace Module
+  list_namespaces: handleListNamespaces,
+  create_namespace: handleCreateNamespace,
+};
+
+// ============================================================================
+// SERVER REGISTRATION
+// ============================================================================
+
+/**
+ * Run a tool by name. Errors are returned in the standard
+ * { success: false, error, metadata } envelope rather than thrown.
+ */
+export async function callTool(name, args, context) {
+  const startTime = Date.now();
+
+  try {
+    const handler = toolHandlers[name];
+    if (!handler) {
+      throw new Error(`Unknown tool: ${name}`);
+    }
+
+    if (UNSCOPED_TOOLS.has(name)) {
+      return await handler(args || {}, startTime, context);
+    }
+
+    const { namespace: requested, ...toolArgs } = args || {};
+    const namespace = await resolveNamespace(
+      context.driver,
+      context.principal,
+      requested || context.namespace || DEFAULT_NAMESPACE
+    );
+
+    return await handler(toolArgs, startTime, scopeContext(context, namespace));
+  } catch (error) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: false,
+            error: error.message,
+            metadata: {
+              execution_time_ms: Date.now() - startTime,
+            },
+          }, null, 2),
+        },
+      ],
+    };
+  }
+}
+
+/**
+ * Mount ListTools and CallTool handlers for every registered tool on an MCP
+ * Server instance. The principal authenticated by the transport (remote
+ * server) overrides context.principal for each call.
+ */
+export function registerTools(server, context) {
+  server.setRequestHandler(ListToolsRequestSchema, async () => {
+    return { tools };
+  });
+
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const principal = extra?.authInfo?.extra?.principal ?? context.principal ?? null;
+    return await callTool(request.params.name, request.params.arguments, { ...context, principal });
+  });
+}